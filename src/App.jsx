@@ -13,6 +13,9 @@ import Collection from "./pages/Collection";
 import Contact from "./pages/Contact";
 import Login from "./pages/Login";
 import Orders from "./pages/Orders";
+import OrderDetail from "./pages/OrderDetail";
+import TrackOrder from "./pages/TrackOrder";
+import Search from "./pages/Search";
 import Product from "./pages/Product";
 import Navbar from "./components/Navbar/Navbar";
 import { CollectionsProvider } from "./context/CollectionsContext";
@@ -92,24 +95,27 @@ function App() {
                     path="/collection/:categoryName/:subCategoryName"
                     element={<Collection />}
                   />
+                  <Route path="/search" element={<Search />} />
                   <Route path="/contact" element={<Contact />} />
 
                   <Route path="/login" element={<Login />} />
                   <Route path="/signup" element={<Signup />} />
                   <Route path="/orders" element={<Orders />} />
                   <Route
-                    path="/successPage/:qiKinkOrderId"
-                    element={<SuccessPage />}
-                  />
-                  <Route path="/wishlist" element={<Wishlist />} />
-                  <Route
-                    path="/place-order"
+                    path="/orders/:orderId"
                     element={
                       <ProtectedRoute>
-                        <PlaceOrder />
+                        <OrderDetail />
                       </ProtectedRoute>
                     }
                   />
+                  <Route
+                    path="/successPage/:qiKinkOrderId"
+                    element={<SuccessPage />}
+                  />
+                  <Route path="/wishlist" element={<Wishlist />} />
+                  <Route path="/place-order" element={<PlaceOrder />} />
+                  <Route path="/track-order" element={<TrackOrder />} />
                   <Route
                     path="/profile"
                     element={
@@ -0,0 +1,120 @@
+/**
+ * Compact offline PIN code directory, keyed by prefix. The longest matching
+ * prefix wins. A prefix only pins down the state, so this is a last resort
+ * when the India Post API is unreachable. Names follow the India Post API
+ * spelling.
+ */
+export const pincodePrefixes = {
+  // Delhi, Haryana, Punjab, Himachal, J&K
+  11: { state: "Delhi" },
+  12: { state: "Haryana" },
+  13: { state: "Haryana" },
+  14: { state: "Punjab" },
+  15: { state: "Punjab" },
+  16: { state: "Punjab" },
+  160: { state: "Chandigarh" },
+  17: { state: "Himachal Pradesh" },
+  18: { state: "Jammu and Kashmir" },
+  19: { state: "Jammu and Kashmir" },
+  194: { state: "Ladakh" },
+
+  // Uttar Pradesh, Uttarakhand
+  20: { state: "Uttar Pradesh" },
+  21: { state: "Uttar Pradesh" },
+  22: { state: "Uttar Pradesh" },
+  23: { state: "Uttar Pradesh" },
+  24: { state: "Uttar Pradesh" },
+  246: { state: "Uttarakhand" },
+  248: { state: "Uttarakhand" },
+  249: { state: "Uttarakhand" },
+  25: { state: "Uttar Pradesh" },
+  26: { state: "Uttar Pradesh" },
+  263: { state: "Uttarakhand" },
+  27: { state: "Uttar Pradesh" },
+  28: { state: "Uttar Pradesh" },
+
+  // Rajasthan, Gujarat
+  30: { state: "Rajasthan" },
+  31: { state: "Rajasthan" },
+  32: { state: "Rajasthan" },
+  33: { state: "Rajasthan" },
+  34: { state: "Rajasthan" },
+  36: { state: "Gujarat" },
+  37: { state: "Gujarat" },
+  38: { state: "Gujarat" },
+  39: { state: "Gujarat" },
+
+  // Maharashtra, Goa, Madhya Pradesh, Chhattisgarh
+  40: { state: "Maharashtra" },
+  403: { state: "Goa" },
+  41: { state: "Maharashtra" },
+  42: { state: "Maharashtra" },
+  43: { state: "Maharashtra" },
+  44: { state: "Maharashtra" },
+  45: { state: "Madhya Pradesh" },
+  46: { state: "Madhya Pradesh" },
+  47: { state: "Madhya Pradesh" },
+  48: { state: "Madhya Pradesh" },
+  49: { state: "Chhattisgarh" },
+
+  // Telangana, Andhra Pradesh, Karnataka
+  50: { state: "Telangana" },
+  51: { state: "Andhra Pradesh" },
+  52: { state: "Andhra Pradesh" },
+  53: { state: "Andhra Pradesh" },
+  56: { state: "Karnataka" },
+  57: { state: "Karnataka" },
+  58: { state: "Karnataka" },
+  59: { state: "Karnataka" },
+
+  // Tamil Nadu, Kerala
+  60: { state: "Tamil Nadu" },
+  61: { state: "Tamil Nadu" },
+  62: { state: "Tamil Nadu" },
+  63: { state: "Tamil Nadu" },
+  64: { state: "Tamil Nadu" },
+  67: { state: "Kerala" },
+  68: { state: "Kerala" },
+  69: { state: "Kerala" },
+
+  // West Bengal, Sikkim, Andaman & Nicobar, Odisha
+  70: { state: "West Bengal" },
+  71: { state: "West Bengal" },
+  72: { state: "West Bengal" },
+  73: { state: "West Bengal" },
+  737: { state: "Sikkim" },
+  74: { state: "West Bengal" },
+  744: { state: "Andaman and Nicobar Islands" },
+  75: { state: "Odisha" },
+  76: { state: "Odisha" },
+  77: { state: "Odisha" },
+
+  // North-East
+  78: { state: "Assam" },
+  790: { state: "Arunachal Pradesh" },
+  791: { state: "Arunachal Pradesh" },
+  792: { state: "Arunachal Pradesh" },
+  793: { state: "Meghalaya" },
+  794: { state: "Meghalaya" },
+  795: { state: "Manipur" },
+  796: { state: "Mizoram" },
+  797: { state: "Nagaland" },
+  798: { state: "Nagaland" },
+  799: { state: "Tripura" },
+
+  // Bihar, Jharkhand
+  80: { state: "Bihar" },
+  81: { state: "Bihar" },
+  814: { state: "Jharkhand" },
+  815: { state: "Jharkhand" },
+  816: { state: "Jharkhand" },
+  82: { state: "Bihar" },
+  825: { state: "Jharkhand" },
+  826: { state: "Jharkhand" },
+  827: { state: "Jharkhand" },
+  828: { state: "Jharkhand" },
+  829: { state: "Jharkhand" },
+  83: { state: "Jharkhand" },
+  84: { state: "Bihar" },
+  85: { state: "Bihar" },
+};
@@ -0,0 +1,345 @@
+import React, { useState } from "react";
+import { Loader2, MapPin, Pencil, Plus, Star, Trash2 } from "lucide-react";
+import { useAuth } from "../context/NewAuthContext";
+import ProfileInputTile from "./ProfileInputTile";
+import { ProfileSelectTile, INDIAN_STATES } from "./ProfileSelectTile";
+import { Title } from "./Title";
+import PostOfficePicker from "./PostOfficePicker";
+import { fetchLocationByPincode } from "../context/LocationService";
+import {
+  ADDRESS_LABELS,
+  EMPTY_ADDRESS,
+  buildAddressBookUpdate,
+  createAddressId,
+  formatAddressLine,
+  getUserAddresses,
+  validateAddressEntry,
+  validateAddressField,
+  withLocality,
+} from "../context/AddressService";
+
+// Add/edit form for a single address book entry
+export function AddressForm({ initialAddress, onSave, onCancel, isSaving }) {
+  const [address, setAddress] = useState({
+    ...EMPTY_ADDRESS,
+    ...initialAddress,
+  });
+  const [errors, setErrors] = useState({});
+  const [isPincodeLoading, setIsPincodeLoading] = useState(false);
+
+  const handlePincodeLocationFetch = async (pincode) => {
+    setIsPincodeLoading(true);
+    try {
+      const result = await fetchLocationByPincode(pincode);
+      if (result.success) {
+        setAddress((prev) => ({
+          ...prev,
+          city: result.data.division || prev.city,
+          state: result.data.state,
+        }));
+        setErrors((prev) => ({ ...prev, city: "", state: "", pincode: "" }));
+      } else {
+        setErrors((prev) => ({ ...prev, pincode: result.error }));
+      }
+    } catch (error) {
+      console.error("Error in handlePincodeLocationFetch:", error);
+      setErrors((prev) => ({
+        ...prev,
+        pincode: "Unable to fetch location. Please enter manually.",
+      }));
+    } finally {
+      setIsPincodeLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    let processedValue = value;
+
+    if (name === "pincode") {
+      processedValue = value.replace(/\D/g, "").slice(0, 6);
+      if (processedValue.length === 6) {
+        handlePincodeLocationFetch(processedValue);
+      }
+    }
+    if (name === "city" || name === "country") {
+      processedValue = value.replace(/[^a-zA-Z\s]/g, "");
+    }
+
+    setAddress((prev) => ({ ...prev, [name]: processedValue }));
+    setErrors((prev) => ({
+      ...prev,
+      [name]: validateAddressField(name, processedValue),
+    }));
+  };
+
+  const handleSubmit = () => {
+    const validationErrors = validateAddressEntry(address);
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+    onSave(address);
+  };
+
+  const fields = [
+    { title: "Door No", name: "doorNo", placeholder: "Door No" },
+    { title: "Street", name: "street", placeholder: "Street Address" },
+    { title: "PIN Code", name: "pincode", placeholder: "6-digit PIN code" },
+    { title: "City", name: "city", placeholder: "City" },
+  ];
+
+  return (
+    <div className="flex flex-col gap-4 border border-gray-200 rounded-lg p-4">
+      <div className="flex gap-2">
+        {ADDRESS_LABELS.map((label) => (
+          <button
+            key={label}
+            type="button"
+            onClick={() => setAddress((prev) => ({ ...prev, label }))}
+            className={`px-3 py-1 text-sm rounded-full border ${
+              address.label === label
+                ? "border-orange-300 bg-orange-50"
+                : "border-gray-300"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {fields.map((field) => (
+          <div key={field.name} className="relative">
+            <ProfileInputTile
+              title={field.title}
+              name={field.name}
+              value={address[field.name]}
+              placeholder={field.placeholder}
+              handleInputChange={handleInputChange}
+            />
+            {field.name === "pincode" && isPincodeLoading && (
+              <div className="absolute right-3 top-9 flex items-center">
+                <Loader2 className="w-4 h-4 animate-spin text-orange-500" />
+              </div>
+            )}
+            {errors[field.name] && (
+              <p className="text-red-500 text-sm mt-1">{errors[field.name]}</p>
+            )}
+          </div>
+        ))}
+        <div>
+          <ProfileSelectTile
+            title="State"
+            name="state"
+            value={address.state}
+            handleInputChange={handleInputChange}
+            options={INDIAN_STATES}
+            placeholder="Select State"
+          />
+          {errors.state && (
+            <p className="text-red-500 text-sm mt-1">{errors.state}</p>
+          )}
+        </div>
+        <div>
+          <ProfileInputTile
+            title="Country"
+            name="country"
+            value={address.country}
+            placeholder="Country"
+            handleInputChange={handleInputChange}
+          />
+          {errors.country && (
+            <p className="text-red-500 text-sm mt-1">{errors.country}</p>
+          )}
+        </div>
+      </div>
+      <PostOfficePicker
+        pincode={address.pincode}
+        onSelect={(office) =>
+          setAddress((prev) => ({
+            ...prev,
+            street: withLocality(prev.street, office.Name),
+            city: office.Division || prev.city,
+          }))
+        }
+      />
+      <div className="flex justify-end gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-sm border border-gray-300 rounded hover:border-black"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleSubmit}
+          disabled={isSaving}
+          className="px-4 py-2 text-sm bg-orange-300 rounded hover:bg-orange-400 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSaving ? (
+            <span className="flex items-center gap-2">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              Saving...
+            </span>
+          ) : (
+            "Save Address"
+          )}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Saved addresses with add/edit/delete and default selection
+function AddressBook() {
+  const { user, updateUser } = useAuth();
+  const addresses = getUserAddresses(user);
+  const [editingId, setEditingId] = useState(null); // "new" while adding
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const saveAddresses = async (nextAddresses) => {
+    setError("");
+    setIsSaving(true);
+    try {
+      await updateUser(buildAddressBookUpdate(nextAddresses));
+      setEditingId(null);
+    } catch (err) {
+      console.error("Address book update error:", err);
+      setError(err.message || "Failed to update addresses. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = (address) => {
+    if (editingId === "new") {
+      saveAddresses([
+        ...addresses,
+        {
+          ...address,
+          id: createAddressId(),
+          isDefault: addresses.length === 0,
+        },
+      ]);
+    } else {
+      saveAddresses(
+        addresses.map((entry) =>
+          entry.id === editingId ? { ...entry, ...address } : entry
+        )
+      );
+    }
+  };
+
+  const handleDelete = (id) => {
+    saveAddresses(addresses.filter((entry) => entry.id !== id));
+  };
+
+  const handleMakeDefault = (id) => {
+    saveAddresses(
+      addresses.map((entry) => ({ ...entry, isDefault: entry.id === id }))
+    );
+  };
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div className="flex justify-between items-center text-xl">
+        <Title text1="MY" text2=" ADDRESSES" />
+        {editingId === null && (
+          <button
+            type="button"
+            onClick={() => setEditingId("new")}
+            className="flex items-center gap-1 text-sm px-3 py-1 bg-orange-300 rounded hover:bg-orange-400"
+          >
+            <Plus className="h-4 w-4" />
+            Add Address
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="border-l-4 border-red-500 bg-red-50 p-4 rounded">
+          <p className="text-red-700 text-sm">{error}</p>
+        </div>
+      )}
+
+      {editingId === "new" && (
+        <AddressForm
+          initialAddress={{ isDefault: addresses.length === 0 }}
+          onSave={handleSave}
+          onCancel={() => setEditingId(null)}
+          isSaving={isSaving}
+        />
+      )}
+
+      {addresses.length === 0 && editingId !== "new" && (
+        <p className="text-sm text-gray-500">No saved addresses yet.</p>
+      )}
+
+      {addresses.map((address) =>
+        editingId === address.id ? (
+          <AddressForm
+            key={address.id}
+            initialAddress={address}
+            onSave={handleSave}
+            onCancel={() => setEditingId(null)}
+            isSaving={isSaving}
+          />
+        ) : (
+          <div
+            key={address.id}
+            className={`flex justify-between items-start gap-3 border rounded-lg p-4 ${
+              address.isDefault ? "border-orange-300" : "border-gray-200"
+            }`}
+          >
+            <div className="flex gap-3">
+              <MapPin className="h-5 w-5 text-gray-400 shrink-0" />
+              <div className="text-sm">
+                <div className="flex items-center gap-2">
+                  <p className="font-medium">{address.label}</p>
+                  {address.isDefault && (
+                    <span className="text-xs px-2 py-0.5 bg-orange-100 text-orange-700 rounded-full">
+                      Default
+                    </span>
+                  )}
+                </div>
+                <p className="text-gray-600">{formatAddressLine(address)}</p>
+              </div>
+            </div>
+            <div className="flex items-center gap-3 shrink-0">
+              {!address.isDefault && (
+                <button
+                  type="button"
+                  onClick={() => handleMakeDefault(address.id)}
+                  disabled={isSaving}
+                  title="Make default"
+                >
+                  <Star className="h-4 w-4 text-gray-400 hover:text-orange-400" />
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => setEditingId(address.id)}
+                disabled={isSaving}
+                title="Edit"
+              >
+                <Pencil className="h-4 w-4 text-gray-400 hover:text-black" />
+              </button>
+              <button
+                type="button"
+                onClick={() => handleDelete(address.id)}
+                disabled={isSaving}
+                title="Delete"
+              >
+                <Trash2 className="h-4 w-4 text-gray-400 hover:text-red-500" />
+              </button>
+            </div>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
+export default AddressBook;
@@ -0,0 +1,68 @@
+import React from "react";
+import { Loader2, Package, ShoppingBag } from "lucide-react";
+import { Title } from "./Title";
+import {
+  getBuyAgainItems,
+  getOrderItemImage,
+  getOrderItemProductId,
+} from "../context/OrderService";
+
+// Recently purchased items, one tap to add them back to the cart
+function BuyAgain({ orders, onAdd, loadingKey }) {
+  const items = getBuyAgainItems(orders);
+  if (items.length === 0) return null;
+
+  return (
+    <div className="mb-8">
+      <div className="text-xl mb-3">
+        <Title text1={"BUY"} text2={" AGAIN"} />
+      </div>
+      <div className="flex gap-3 overflow-x-auto pb-2">
+        {items.map((item) => {
+          const key = `${getOrderItemProductId(item)}:${item.size}:${item.color}`;
+          const image = getOrderItemImage(item);
+
+          return (
+            <div
+              key={key}
+              className="w-40 shrink-0 border rounded-lg p-3 flex flex-col gap-2"
+            >
+              {image ? (
+                <img
+                  src={image}
+                  alt={item.productName}
+                  className="w-full h-32 object-cover rounded"
+                />
+              ) : (
+                <div className="w-full h-32 bg-gray-100 rounded flex items-center justify-center">
+                  <Package className="h-8 w-8 text-gray-300" />
+                </div>
+              )}
+              <p className="text-sm font-medium line-clamp-2">
+                {item.productName}
+              </p>
+              <p className="text-xs text-gray-500">
+                {item.size}, {item.color}
+              </p>
+              <button
+                type="button"
+                onClick={() => onAdd([{ ...item, quantity: 1 }], key)}
+                disabled={loadingKey === key}
+                className="mt-auto flex items-center justify-center gap-1 px-3 py-1.5 text-xs bg-orange-300 rounded hover:bg-orange-400 disabled:bg-orange-200 disabled:cursor-not-allowed"
+              >
+                {loadingKey === key ? (
+                  <Loader2 className="h-3 w-3 animate-spin" />
+                ) : (
+                  <ShoppingBag className="h-3 w-3" />
+                )}
+                Add to Cart
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default BuyAgain;
@@ -0,0 +1,74 @@
+import React from "react";
+import { AlertTriangle } from "lucide-react";
+import { colorMap } from "../context/CollectionsContext";
+
+const issueMessages = {
+  deleted: "This product is no longer available.",
+  out_of_stock: "This product is out of stock.",
+  size_unavailable: "This size is no longer available.",
+  color_unavailable: "This color is no longer available.",
+};
+
+function CartIssues({ issues, onResolve }) {
+  if (!issues || issues.length === 0) return null;
+
+  return (
+    <div className="mb-4 p-3 border border-yellow-300 bg-yellow-50 rounded-md text-sm">
+      <div className="flex items-center gap-2 mb-2 font-medium text-yellow-800">
+        <AlertTriangle className="w-4 h-4" />
+        <p>Some items in your cart have changed</p>
+      </div>
+      <div className="flex flex-col gap-2">
+        {issues.map((issue) => (
+          <div
+            key={`${issue.productId}-${issue.size}-${issue.color}`}
+            className="flex justify-between items-center gap-2 bg-white p-2 rounded"
+          >
+            <div className="flex flex-col">
+              <div className="flex items-center gap-2">
+                <p className="font-medium text-gray-700">{issue.name}</p>
+                <div
+                  className={`w-3 h-3 rounded-full border border-gray-300 ${
+                    colorMap[issue.color]
+                  }`}
+                ></div>
+                <p className="text-gray-500">{issue.size}</p>
+              </div>
+              {issue.type === "price_changed" ? (
+                <p className="text-gray-500">
+                  Price changed from{" "}
+                  <span className="line-through">₹{issue.oldPrice}</span> to{" "}
+                  <span className="font-medium text-black">
+                    ₹{issue.newPrice}
+                  </span>
+                </p>
+              ) : (
+                <p className="text-red-500">{issueMessages[issue.type]}</p>
+              )}
+            </div>
+            <div className="flex gap-2 shrink-0">
+              {issue.type === "price_changed" && (
+                <button
+                  type="button"
+                  onClick={() => onResolve(issue, "accept")}
+                  className="px-3 py-1 text-xs bg-black text-white rounded"
+                >
+                  Accept
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => onResolve(issue, "remove")}
+                className="px-3 py-1 text-xs border border-gray-300 rounded hover:border-black"
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default CartIssues;
@@ -1,22 +1,25 @@
 import React from "react";
 import { Title } from "./Title";
-
-function CartTotal({ total, extraCharge, totalNoOfItems, shippingCost = 0, taxRate = 0 }) {
-  // Calculate the total discount amount
-  const totalDiscount = extraCharge * totalNoOfItems;
-
-  // Calculate the original price (before discount)
-  const originalPrice = total + totalDiscount;
-
-  // Calculate the discount percentage
-  const discountPercentage =
-    originalPrice > 0 ? Math.round((totalDiscount / originalPrice) * 100) : 0;
-
-  // Calculate tax amount
-  const taxAmount = total * (taxRate / 100);
-
-  // Calculate the final total
-  const finalTotal = total + shippingCost + taxAmount;
+import { calculatePricing } from "../context/PricingService";
+
+// Renders a breakdown produced by calculatePricing
+function CartTotal({ pricing = calculatePricing({ items: [] }) }) {
+  const {
+    mrp,
+    discount,
+    discountPercentage,
+    subtotal,
+    couponCode,
+    couponDiscount,
+    shipping,
+    tax,
+    codFee,
+    gst,
+    total,
+  } = pricing;
+  const includedGst = gst
+    ? gst.totals.cgst + gst.totals.sgst + gst.totals.igst
+    : 0;
 
   // Helper function to format currency
   const formatCurrency = (amount) => {
@@ -33,15 +36,15 @@ function CartTotal({ total, extraCharge, totalNoOfItems, shippingCost = 0, taxRa
       </div>
       <div className="flex flex-col gap-3 text-sm">
 
-        {totalDiscount > 0 && (
+        {discount > 0 && (
           <div className="flex justify-between">
             <p className="font-medium">Original Price</p>
-            <p className="line-through text-gray-500">{formatCurrency(originalPrice)}</p>
+            <p className="line-through text-gray-500">{formatCurrency(mrp)}</p>
           </div>
         )}
 
 
-        {totalDiscount > 0 && (
+        {discount > 0 && (
           <div className="flex justify-between">
             <p className="font-medium">
               Discount{" "}
@@ -49,33 +52,58 @@ function CartTotal({ total, extraCharge, totalNoOfItems, shippingCost = 0, taxRa
                 ({discountPercentage}%)
               </span>
             </p>
-            <p className="text-green-600">-{formatCurrency(totalDiscount)}</p>
+            <p className="text-green-600">-{formatCurrency(discount)}</p>
           </div>
         )}
 
         <div className="flex justify-between">
           <p className="font-medium">Subtotal</p>
-          <p>{formatCurrency(total)}</p>
+          <p>{formatCurrency(subtotal)}</p>
         </div>
 
+        {couponDiscount > 0 && (
+          <div className="flex justify-between">
+            <p className="font-medium">
+              Coupon{" "}
+              <span className="text-green-600 text-xs">({couponCode})</span>
+            </p>
+            <p className="text-green-600">-{formatCurrency(couponDiscount)}</p>
+          </div>
+        )}
 
 
-        {/* 
-        <div className="flex justify-between">
-          <p className="font-medium">Shipping</p>
-          <p>{formatCurrency(shippingCost)}</p>
-        </div>
 
-        <div className="flex justify-between">
-          <p className="font-medium">Tax</p>
-          <p>{formatCurrency(taxAmount)}</p>
-        </div> */}
+        {shipping > 0 && (
+          <div className="flex justify-between">
+            <p className="font-medium">Shipping</p>
+            <p>{formatCurrency(shipping)}</p>
+          </div>
+        )}
+
+        {tax > 0 && (
+          <div className="flex justify-between">
+            <p className="font-medium">Tax</p>
+            <p>{formatCurrency(tax)}</p>
+          </div>
+        )}
+
+        {codFee > 0 && (
+          <div className="flex justify-between">
+            <p className="font-medium">COD Fee</p>
+            <p>{formatCurrency(codFee)}</p>
+          </div>
+        )}
 
         <hr className="my-2" />
         <div className="flex justify-between text-lg font-bold">
           <p>Total</p>
-          <p>{formatCurrency(finalTotal)}</p>
+          <p>{formatCurrency(total)}</p>
         </div>
+        {includedGst > 0 && (
+          <p className="text-xs text-gray-500 text-right">
+            Inclusive of {formatCurrency(includedGst)} GST
+          </p>
+        )}
       </div>
     </div>
   );
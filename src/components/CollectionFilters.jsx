@@ -0,0 +1,198 @@
+import { X } from "lucide-react";
+import { colorMap, colorNames } from "../context/CollectionsContext";
+import {
+  PRICE_RANGES,
+  getActiveFilterChips,
+} from "../context/CollectionFilterService";
+
+const FacetBox = ({ title, showFilter, children }) => (
+  <div
+    className={`border border-gray-300 pl-5 pr-3 py-3 mt-6 ${
+      showFilter ? "" : "hidden"
+    } sm:block `}
+  >
+    <p className="mb-3  text-sm font-medium">{title}</p>
+    <div className="flex flex-col gap-2 text-sm font-light text-gray-700">
+      {children}
+    </div>
+  </div>
+);
+
+const Count = ({ count }) => <span className="text-gray-400">({count})</span>;
+
+const toggleValue = (values, value) =>
+  values.includes(value)
+    ? values.filter((item) => item !== value)
+    : [...values, value];
+
+// Size, color, price, rating, availability and discount facets for the
+// collection sidebar
+function CollectionFilters({ facets, filters, onChange, showFilter }) {
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  return (
+    <>
+      {facets.sizes.length > 0 && (
+        <FacetBox title="SIZE" showFilter={showFilter}>
+          <div className="flex flex-wrap gap-2">
+            {facets.sizes.map(({ value, count }) => (
+              <button
+                key={value}
+                type="button"
+                disabled={count === 0 && !filters.sizes.includes(value)}
+                onClick={() =>
+                  update({ sizes: toggleValue(filters.sizes, value) })
+                }
+                className={`border px-3 py-1 rounded text-xs disabled:opacity-40 ${
+                  filters.sizes.includes(value)
+                    ? "border-black bg-black text-white"
+                    : "border-gray-300 bg-gray-50"
+                }`}
+              >
+                {value} <span className="opacity-70">({count})</span>
+              </button>
+            ))}
+          </div>
+        </FacetBox>
+      )}
+
+      {facets.colors.length > 0 && (
+        <FacetBox title="COLOR" showFilter={showFilter}>
+          {facets.colors.map(({ value, count }) => (
+            <label
+              key={value}
+              className={`flex gap-2 items-center ${
+                count === 0 && !filters.colors.includes(value)
+                  ? "opacity-40"
+                  : ""
+              }`}
+            >
+              <input
+                type="checkbox"
+                checked={filters.colors.includes(value)}
+                onChange={() =>
+                  update({ colors: toggleValue(filters.colors, value) })
+                }
+              />
+              <span
+                className={`w-4 h-4 rounded-full border border-gray-300 ${colorMap[value]}`}
+              />
+              {colorNames[value] || value} <Count count={count} />
+            </label>
+          ))}
+        </FacetBox>
+      )}
+
+      <FacetBox title="PRICE" showFilter={showFilter}>
+        {facets.prices.map(({ value, count }) => (
+          <label key={value} className="flex gap-2">
+            <input
+              type="checkbox"
+              checked={filters.prices.includes(value)}
+              onChange={() =>
+                update({ prices: toggleValue(filters.prices, value) })
+              }
+            />
+            {PRICE_RANGES.find((range) => range.value === value).label}{" "}
+            <Count count={count} />
+          </label>
+        ))}
+      </FacetBox>
+
+      <FacetBox title="CUSTOMER RATING" showFilter={showFilter}>
+        <label className="flex gap-2">
+          <input
+            type="radio"
+            name="minRating"
+            checked={!filters.minRating}
+            onChange={() => update({ minRating: 0 })}
+          />
+          Any rating
+        </label>
+        {facets.ratings.map(({ value, count }) => (
+          <label key={value} className="flex gap-2">
+            <input
+              type="radio"
+              name="minRating"
+              checked={filters.minRating === value}
+              onChange={() => update({ minRating: value })}
+            />
+            {value}★ & up <Count count={count} />
+          </label>
+        ))}
+      </FacetBox>
+
+      <FacetBox title="AVAILABILITY" showFilter={showFilter}>
+        <label className="flex gap-2">
+          <input
+            type="checkbox"
+            checked={filters.inStockOnly}
+            onChange={() => update({ inStockOnly: !filters.inStockOnly })}
+          />
+          In stock only <Count count={facets.inStock} />
+        </label>
+      </FacetBox>
+
+      <FacetBox title="DISCOUNT" showFilter={showFilter}>
+        <label className="flex gap-2">
+          <input
+            type="radio"
+            name="minDiscount"
+            checked={!filters.minDiscount}
+            onChange={() => update({ minDiscount: 0 })}
+          />
+          Any discount
+        </label>
+        {facets.discounts.map(({ value, count }) => (
+          <label key={value} className="flex gap-2">
+            <input
+              type="radio"
+              name="minDiscount"
+              checked={filters.minDiscount === value}
+              onChange={() => update({ minDiscount: value })}
+            />
+            {value}% or more <Count count={count} />
+          </label>
+        ))}
+      </FacetBox>
+    </>
+  );
+}
+
+// The chosen facet values, each removable on its own
+export function ActiveFilterChips({ filters, onChange, onClearAll }) {
+  const chips = getActiveFilterChips(filters, colorNames);
+  if (chips.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4">
+      {chips.map((chip) => (
+        <button
+          key={chip.key}
+          type="button"
+          onClick={() => onChange({ ...filters, ...chip.changes })}
+          className="flex items-center gap-1 px-3 py-1 text-xs border border-gray-300 rounded-full bg-gray-50 hover:border-gray-500"
+        >
+          {chip.color && (
+            <span
+              className={`w-3 h-3 rounded-full border border-gray-300 ${
+                colorMap[chip.color]
+              }`}
+            />
+          )}
+          {chip.label}
+          <X className="h-3 w-3" />
+        </button>
+      ))}
+      <button
+        type="button"
+        onClick={onClearAll}
+        className="text-xs text-gray-500 underline hover:text-black"
+      >
+        Clear all
+      </button>
+    </div>
+  );
+}
+
+export default CollectionFilters;
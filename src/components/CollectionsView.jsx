@@ -128,7 +128,7 @@ import React, { useEffect, useState } from "react";
 import { Title } from "./Title";
 import { useCollections } from "../context/CollectionsContext";
 import { assets } from "../assets/assets";
-import { useNavigate, useLocation } from "react-router-dom";
+import { useNavigate } from "react-router-dom";
 import { CollectionCategoryItem } from "./ProductItem";
 
 // Enhanced skeleton components with orange theme
@@ -232,7 +232,6 @@ function CollectionsView() {
   const { CollectionsData, isLoading, error, fetchCollections } =
     useCollections();
   const navigate = useNavigate();
-  const location = useLocation();
   const [cachedCollections, setCachedCollections] = useState(null);
   const [activeSlideIndex, setActiveSlideIndex] = useState(0);
 
@@ -251,7 +250,6 @@ function CollectionsView() {
 
   // Update cache when CollectionsData changes
   useEffect(() => {
-    sessionStorage.setItem("previousPath", location.pathname);
     if (CollectionsData) {
       sessionStorage.setItem(
         "collectionsData",
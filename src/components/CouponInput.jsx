@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+import { Loader2, Tag, X } from "lucide-react";
+import { useCartContext } from "../context/CartContext";
+
+// Promo code entry used by the cart slider and checkout. `items` are the
+// lines being priced ({ id, price, quantity }), `message` explains why an
+// applied coupon doesn't currently apply to them.
+function CouponInput({ items, message }) {
+  const { appliedCoupon, applyCoupon, removeCoupon } = useCartContext();
+  const [code, setCode] = useState("");
+  const [isApplying, setIsApplying] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleApply = async () => {
+    setError("");
+    setIsApplying(true);
+    try {
+      const result = await applyCoupon(code, items);
+      if (result.success) {
+        setCode("");
+      } else {
+        setError(result.error);
+      }
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  if (appliedCoupon) {
+    return (
+      <div className="flex flex-col gap-1 text-sm">
+        <div className="flex justify-between items-center border border-dashed border-green-500 bg-green-50 px-3 py-2 rounded-md">
+          <div className="flex items-center gap-2 text-green-700">
+            <Tag className="w-4 h-4" />
+            <span className="font-medium">{appliedCoupon.code}</span>
+            {appliedCoupon.description && (
+              <span className="text-xs text-gray-500">
+                {appliedCoupon.description}
+              </span>
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={removeCoupon}
+            aria-label="Remove promo code"
+          >
+            <X className="w-4 h-4 text-gray-500 hover:text-black" />
+          </button>
+        </div>
+        {message && <p className="text-yellow-600 text-xs">{message}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-1 text-sm">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value.toUpperCase())}
+          onKeyDown={(e) => {
+            // Don't submit the surrounding checkout form
+            if (e.key === "Enter") {
+              e.preventDefault();
+              handleApply();
+            }
+          }}
+          placeholder="Promo code"
+          className="flex-1 px-3 py-2 border rounded-md focus:outline-none focus:ring-1 focus:ring-orange-500"
+        />
+        <button
+          type="button"
+          onClick={handleApply}
+          disabled={isApplying || !code.trim()}
+          className="px-4 py-2 bg-black text-white rounded-md disabled:bg-gray-400 disabled:cursor-not-allowed"
+        >
+          {isApplying ? <Loader2 className="w-4 h-4 animate-spin" /> : "Apply"}
+        </button>
+      </div>
+      {error && <p className="text-red-500 text-xs">{error}</p>}
+    </div>
+  );
+}
+
+export default CouponInput;
@@ -0,0 +1,116 @@
+import React, { useEffect, useState } from "react";
+import { Loader2, MapPin, Truck, Wallet } from "lucide-react";
+import { useAuth } from "../context/NewAuthContext";
+import {
+  getDefaultAddress,
+  getUserAddresses,
+} from "../context/AddressService";
+import {
+  checkDeliveryAvailability,
+  formatDeliveryWindow,
+  getLastDeliveryPincode,
+  saveLastDeliveryPincode,
+} from "../context/ShippingService";
+
+// "Check delivery" widget for the product page
+function DeliveryCheck() {
+  const { user } = useAuth();
+  const [pincode, setPincode] = useState("");
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const [isChecking, setIsChecking] = useState(false);
+
+  const checkDelivery = async (value) => {
+    setError("");
+    setIsChecking(true);
+    try {
+      const response = await checkDeliveryAvailability(value);
+      if (response.success) {
+        setResult(response.data);
+        saveLastDeliveryPincode(user?._id, value);
+      } else {
+        setResult(null);
+        setError(response.error);
+      }
+    } catch (err) {
+      console.error("Error checking delivery:", err);
+      setResult(null);
+      setError("Unable to check delivery right now. Please try again.");
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  // Start from the last checked PIN code, or the default address
+  useEffect(() => {
+    const savedPincode =
+      getLastDeliveryPincode(user?._id) ||
+      getDefaultAddress(getUserAddresses(user))?.pincode ||
+      "";
+    setPincode(savedPincode);
+    setResult(null);
+    if (savedPincode) {
+      checkDelivery(savedPincode);
+    }
+  }, [user?._id]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    checkDelivery(pincode);
+  };
+
+  return (
+    <div className="mt-6 sm:w-4/5">
+      <p className="font-medium text-sm mb-2 flex items-center gap-1">
+        <MapPin className="w-4 h-4" />
+        Check delivery
+      </p>
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          type="text"
+          inputMode="numeric"
+          value={pincode}
+          onChange={(e) =>
+            setPincode(e.target.value.replace(/\D/g, "").slice(0, 6))
+          }
+          placeholder="Enter PIN code"
+          className="flex-1 border border-gray-300 rounded px-3 py-2 text-sm outline-none focus:border-orange-300"
+        />
+        <button
+          type="submit"
+          disabled={isChecking || pincode.length !== 6}
+          className="px-4 py-2 text-sm border border-black rounded hover:bg-black hover:text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:bg-transparent disabled:hover:text-black"
+        >
+          {isChecking ? <Loader2 className="w-4 h-4 animate-spin" /> : "Check"}
+        </button>
+      </form>
+
+      {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+
+      {result && !isChecking && (
+        <div className="mt-3 text-sm text-gray-600 flex flex-col gap-1">
+          {result.city && (
+            <p className="text-gray-500">
+              Delivering to {result.city}, {result.state}
+            </p>
+          )}
+          <p className="flex items-center gap-2">
+            <Truck className="w-4 h-4 text-gray-400" />
+            Get it by{" "}
+            <span className="font-medium text-gray-800">
+              {formatDeliveryWindow(result.window)}
+            </span>
+          </p>
+          <p className="flex items-center gap-2">
+            <Wallet className="w-4 h-4 text-gray-400" />
+            {result.codAvailable
+              ? "Cash on Delivery available"
+              : "Cash on Delivery not available, pay online"}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DeliveryCheck;
@@ -41,6 +41,12 @@ function Footer() {
             >
               About Us
             </Link>
+            <Link
+              to="/track-order"
+              className="hover:font-medium transition-colors duration-300"
+            >
+              Track Order
+            </Link>
           </ul>
         </div>
 
@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+import { useAuth } from "../context/NewAuthContext";
+
+// Turns the verified guest into an account; the guest's orders move to it
+function GuestAccountForm({ email, firstName = "", lastName = "" }) {
+  const { convertGuestAccount } = useAuth();
+  const [account, setAccount] = useState({ firstName, lastName, password: "" });
+  const [accountError, setAccountError] = useState("");
+  const [isConverting, setIsConverting] = useState(false);
+  const [isConverted, setIsConverted] = useState(false);
+
+  const handleAccountChange = (e) => {
+    const { name, value } = e.target;
+    setAccount((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleConvert = async (e) => {
+    e.preventDefault();
+    setIsConverting(true);
+    setAccountError("");
+    try {
+      await convertGuestAccount(
+        account.firstName,
+        account.lastName,
+        account.password
+      );
+      setIsConverted(true);
+    } catch (error) {
+      setAccountError(error.message || "Unable to create your account");
+    } finally {
+      setIsConverting(false);
+    }
+  };
+
+  if (isConverted) {
+    return (
+      <p className="mt-6 text-sm text-green-700">
+        Your account is ready and this order has been added to it.
+      </p>
+    );
+  }
+
+  return (
+    <form
+      onSubmit={handleConvert}
+      className="mt-6 pt-6 border-t text-left space-y-3"
+    >
+      <p className="font-medium text-gray-800">
+        Save your details for next time
+      </p>
+      <p className="text-sm text-gray-600">
+        Set a password to create an account with {email || "your email"}. This
+        order will be added to it.
+      </p>
+      <div className="flex gap-3">
+        <input
+          name="firstName"
+          value={account.firstName}
+          onChange={handleAccountChange}
+          placeholder="First name"
+          className="w-full px-3 py-2 border rounded-md"
+        />
+        <input
+          name="lastName"
+          value={account.lastName}
+          onChange={handleAccountChange}
+          placeholder="Last name"
+          className="w-full px-3 py-2 border rounded-md"
+        />
+      </div>
+      <input
+        name="password"
+        type="password"
+        value={account.password}
+        onChange={handleAccountChange}
+        placeholder="Password"
+        className="w-full px-3 py-2 border rounded-md"
+      />
+      {accountError && <p className="text-red-500 text-sm">{accountError}</p>}
+      <button
+        type="submit"
+        disabled={isConverting}
+        className="w-full px-6 py-2 bg-black text-white rounded-lg disabled:opacity-50"
+      >
+        {isConverting ? "Creating account..." : "Create account"}
+      </button>
+    </form>
+  );
+}
+
+export default GuestAccountForm;
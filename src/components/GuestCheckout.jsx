@@ -0,0 +1,206 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { CheckCircle2, Loader2 } from "lucide-react";
+import { validateEmail, validatePhone } from "../context/AddressService";
+import {
+  OTP_LENGTH,
+  OTP_RESEND_SECONDS,
+  requestGuestOtp,
+  verifyGuestOtp,
+} from "../context/GuestService";
+
+const inputClassName =
+  "w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-1 focus:ring-orange-500";
+
+// Email + phone verification for checking out without an account
+function GuestCheckout({ guestSession, email, phone, onVerified, onReset }) {
+  const [step, setStep] = useState("contact"); // "contact" | "code"
+  const [contact, setContact] = useState({ email, phone });
+  const [codes, setCodes] = useState({ emailOtp: "", phoneOtp: "" });
+  const [error, setError] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
+
+  useEffect(() => {
+    if (resendIn <= 0) return;
+    const timer = setTimeout(() => setResendIn((prev) => prev - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  if (guestSession) {
+    return (
+      <div className="flex items-center justify-between gap-3 p-3 mb-4 bg-green-50 border border-green-200 rounded-md text-sm">
+        <div className="flex items-center gap-2 text-green-800">
+          <CheckCircle2 className="h-4 w-4 flex-shrink-0" />
+          <span>
+            Checking out as guest: {guestSession.email}, {guestSession.phone}
+          </span>
+        </div>
+        <button
+          type="button"
+          onClick={onReset}
+          className="text-gray-600 hover:text-black underline flex-shrink-0"
+        >
+          Change
+        </button>
+      </div>
+    );
+  }
+
+  const sendCodes = async () => {
+    const trimmed = {
+      email: contact.email.trim().toLowerCase(),
+      phone: contact.phone.trim(),
+    };
+    if (!validateEmail(trimmed.email)) {
+      setError("Please enter a valid email address");
+      return;
+    }
+    if (!validatePhone(trimmed.phone)) {
+      setError("Please enter a valid 10-digit mobile number");
+      return;
+    }
+
+    setIsBusy(true);
+    setError("");
+    const result = await requestGuestOtp(trimmed);
+    setIsBusy(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setContact(trimmed);
+    setStep("code");
+    setResendIn(OTP_RESEND_SECONDS);
+  };
+
+  const verifyCodes = async () => {
+    if (
+      codes.emailOtp.length !== OTP_LENGTH ||
+      codes.phoneOtp.length !== OTP_LENGTH
+    ) {
+      setError(`Enter the ${OTP_LENGTH}-digit codes sent to you`);
+      return;
+    }
+
+    setIsBusy(true);
+    setError("");
+    const result = await verifyGuestOtp({ ...contact, ...codes });
+    setIsBusy(false);
+
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    onVerified(result.data);
+  };
+
+  const handleCodeChange = (e) => {
+    const { name, value } = e.target;
+    setCodes((prev) => ({
+      ...prev,
+      [name]: value.replace(/\D/g, "").slice(0, OTP_LENGTH),
+    }));
+  };
+
+  return (
+    <div className="p-4 mb-4 border border-gray-200 rounded-md bg-gray-50">
+      <div className="flex items-center justify-between mb-3">
+        <p className="font-medium">Check out as guest</p>
+        <Link
+          to="/login?returnTo=%2Fplace-order"
+          className="text-sm text-orange-600 hover:underline"
+        >
+          Have an account? Log in
+        </Link>
+      </div>
+
+      {step === "contact" ? (
+        <div className="flex flex-col md:flex-row gap-3">
+          <input
+            type="email"
+            value={contact.email}
+            onChange={(e) =>
+              setContact((prev) => ({ ...prev, email: e.target.value }))
+            }
+            placeholder="Email"
+            className={inputClassName}
+          />
+          <input
+            type="tel"
+            value={contact.phone}
+            onChange={(e) =>
+              setContact((prev) => ({ ...prev, phone: e.target.value }))
+            }
+            placeholder="10-digit mobile number"
+            className={inputClassName}
+          />
+          <button
+            type="button"
+            onClick={sendCodes}
+            disabled={isBusy}
+            className="flex items-center justify-center gap-2 px-4 py-2 bg-black text-white text-sm rounded-md whitespace-nowrap disabled:opacity-50"
+          >
+            {isBusy && <Loader2 className="h-4 w-4 animate-spin" />}
+            Send codes
+          </button>
+        </div>
+      ) : (
+        <div className="flex flex-col gap-3">
+          <p className="text-sm text-gray-600">
+            Enter the codes sent to {contact.email} and {contact.phone}.{" "}
+            <button
+              type="button"
+              onClick={() => setStep("contact")}
+              className="underline hover:text-black"
+            >
+              Edit
+            </button>
+          </p>
+          <div className="flex flex-col md:flex-row gap-3">
+            <input
+              name="emailOtp"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={codes.emailOtp}
+              onChange={handleCodeChange}
+              placeholder="Email code"
+              className={inputClassName}
+            />
+            <input
+              name="phoneOtp"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={codes.phoneOtp}
+              onChange={handleCodeChange}
+              placeholder="SMS code"
+              className={inputClassName}
+            />
+            <button
+              type="button"
+              onClick={verifyCodes}
+              disabled={isBusy}
+              className="flex items-center justify-center gap-2 px-4 py-2 bg-black text-white text-sm rounded-md disabled:opacity-50"
+            >
+              {isBusy && <Loader2 className="h-4 w-4 animate-spin" />}
+              Verify
+            </button>
+          </div>
+          <button
+            type="button"
+            onClick={sendCodes}
+            disabled={isBusy || resendIn > 0}
+            className="self-start text-sm text-gray-600 hover:text-black disabled:text-gray-400"
+          >
+            {resendIn > 0 ? `Resend codes in ${resendIn}s` : "Resend codes"}
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-red-500 text-sm mt-2">{error}</p>}
+    </div>
+  );
+}
+
+export default GuestCheckout;
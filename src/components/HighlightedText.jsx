@@ -0,0 +1,20 @@
+import { highlightMatches } from "../context/SearchIndexService";
+
+// Text with the words a search matched in bold
+function HighlightedText({ text, matchedTerms = [] }) {
+  return (
+    <>
+      {highlightMatches(text, matchedTerms).map((part, index) =>
+        part.isMatch ? (
+          <strong key={index} className="font-semibold text-black">
+            {part.text}
+          </strong>
+        ) : (
+          <span key={index}>{part.text}</span>
+        )
+      )}
+    </>
+  );
+}
+
+export default HighlightedText;
@@ -4,9 +4,16 @@ import { ProductItem } from "../components/ProductItem";
 
 import { products } from "../assets/assets";
 import { useWishlist } from "../context/WhislistContext";
+import { useCartContext } from "../context/CartContext";
+import {
+  PRODUCT_SORT_OPTIONS,
+  sortProducts,
+} from "../context/CollectionFilterService";
 function LatestCollections() {
   // const { products } = useContext(ShopContext);
   const [LastestProducts, setLatestProducts] = useState([]);
+  const [sort, setSort] = useState("");
+  const { extraCharge } = useCartContext();
   const carouselRef = useRef(null);
   const { addToWishlist, wishlistItems, removeFromWishlist } = useWishlist();
 
@@ -52,6 +59,9 @@ function LatestCollections() {
     // Clear the interval on component unmount
     return () => clearInterval(intervalId);
   }, []);
+
+  const sortedProducts = sortProducts(products.slice(0, 10), sort, extraCharge);
+
   return (
     <div className="my-2 sm:my-8 lg:my-10 ">
       <div className="text-center py-8 text-3xl">
@@ -64,13 +74,31 @@ function LatestCollections() {
         </p>
       </div>
 
+      <div className="flex justify-end px-6 mb-4">
+        <select
+          value={sort}
+          onChange={(e) => {
+            setSort(e.target.value);
+            carouselRef.current?.scrollTo({ left: 0 });
+          }}
+          className="border border-gray-300 text-sm px-2 py-2 rounded-md"
+          aria-label="Sort products"
+        >
+          {PRODUCT_SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              Sort by: {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
       <div
         ref={carouselRef}
         className="flex overflow-x-auto scrollbar-hide space-x-4 px-6"
       >
-        {products.slice(0, 10).map((product, index) => (
+        {sortedProducts.map((product) => (
           <ProductItem
-            key={index}
+            key={product._id}
             id={product._id}
             name={product.name}
             image={product.image[0]}
@@ -1,9 +1,11 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect } from "react";
 import { assets } from "../../assets/assets";
 import { Title } from "../../components/Title";
 import { useCartContext } from "../../context/CartContext";
 import { colorMap } from "../../context/CollectionsContext";
 import CartTotal from "../CartTotal";
+import CartIssues from "../CartIssues";
+import CouponInput from "../CouponInput";
 
 function CartSlider({ cartVisible, setCartVisible }) {
   const {
@@ -11,66 +13,41 @@ function CartSlider({ cartVisible, setCartVisible }) {
     updateQuantity,
     navigate,
     removeCartItem,
-    getCartAmount,
+    getCartPricing,
     isLoading,
     error,
-    extraCharge
+    cartIssues,
+    isRevalidating,
+    revalidateCart,
+    resolveCartIssue,
+    getCartSummary,
   } = useCartContext();
 
-  const [total, setTotal] = useState(0);
-
+  // Re-check prices and stock every time the cart is opened
   useEffect(() => {
-    getCartAmount()
-      .then((total) => setTotal(total))
-      .catch((err) => console.error("Error fetching cart amount:", err));
-  }, [getCartAmount]);
-
-
-  const noOfItems = Object.keys(cart).flatMap((key) => cart[key]).reduce((subLen, item) => {
-    return subLen + item.quantity;
-  }, 0);
-
-
-  const handleCheckout = () => {
-    // if (Object.keys(cart).length === 0) return; // Prevent checkout if cart is empty
-    if (isLoading || error) return; // Prevent checkout if loading or error exists
-
-    const cartItems = Object.keys(cart).flatMap((key) => cart[key]);
-
-
-    const itemsTotal = cartItems.reduce((total, item) => {
-      return total + item.product.price * item.quantity;
-    }, 0);
-
-  
-    const formattedItems = cartItems.map((item) => ({
+    if (cartVisible) {
+      revalidateCart();
+    }
+  }, [cartVisible]);
+
+  const pricing = getCartPricing();
+  const couponItems = Object.keys(cart)
+    .flatMap((key) => cart[key])
+    .map((item) => ({
       id: item.product._id,
-      name: item.product.name,
-      sku: item.product.sku,
-      quantity: item.quantity,
       price: item.product.price,
-      size: item.size,
-      color: item.color,
-      image: item.product.image,
-      subtotal: item.product.price * item.quantity,
+      quantity: item.quantity,
     }));
 
-    const cartSummary = {
-    
-      items: formattedItems,
-      summary: {
-        noOfItems:noOfItems,
-        totalAmount: itemsTotal,
-        itemCount: cartItems.length,
-        finalTotal: itemsTotal,
-      },
-    
-      orderDetails: {
-        createdAt: new Date().toISOString(),
-        currency: "INR",
-        status: "pending",
-      },
-    };
+  const handleCheckout = async () => {
+    // if (Object.keys(cart).length === 0) return; // Prevent checkout if cart is empty
+    if (isLoading || error || isRevalidating) return; // Prevent checkout if loading or error exists
+
+    // Stop here until the user accepts or removes stale items
+    const issues = await revalidateCart();
+    if (issues.length > 0) return;
+
+    const cartSummary = getCartSummary();
 
     navigate("/place-order", {
       state: { cartSummary },
@@ -214,14 +191,31 @@ function CartSlider({ cartVisible, setCartVisible }) {
       {/* Bottom Section */}
       {!isLoading && !error && (
         <div className="p-5">
-          <CartTotal total={total} extraCharge={extraCharge} totalNoOfItems={noOfItems}/>
+          <CartIssues issues={cartIssues} onResolve={resolveCartIssue} />
+          <div className="mb-4">
+            <CouponInput
+              items={couponItems}
+              message={pricing.couponEligible ? "" : pricing.couponMessage}
+            />
+          </div>
+          <CartTotal pricing={pricing} />
           <div className="w-full text-end mt-5">
          
             <button
               onClick={handleCheckout}
-              disabled={Object.keys(cart).length === 0 || isLoading || error}
+              disabled={
+                Object.keys(cart).length === 0 ||
+                isLoading ||
+                error ||
+                isRevalidating ||
+                cartIssues.length > 0
+              }
               className={`px-10 py-3 text-sm ${
-                Object.keys(cart).length === 0 || isLoading || error
+                Object.keys(cart).length === 0 ||
+                isLoading ||
+                error ||
+                isRevalidating ||
+                cartIssues.length > 0
                   ? "bg-gray-400 cursor-not-allowed"
                   : "bg-black text-white"
               }`}
@@ -230,6 +224,8 @@ function CartSlider({ cartVisible, setCartVisible }) {
                 ? "Cart Empty"
                 : isLoading
                 ? "Processing..."
+                : isRevalidating
+                ? "Checking cart..."
                 : "Checkout"}
             </button>
           </div>
@@ -6,6 +6,7 @@ import Topbar from "./Topbar";
 import { useCartContext } from "../../context/CartContext";
 import CartSlider from "./CartSlider";
 import { useAuth } from "../../context/NewAuthContext";
+import { useCollections } from "../../context/CollectionsContext";
 
 function Navbar() {
   const navigate = useNavigate();
@@ -13,6 +14,7 @@ function Navbar() {
   const [cartVisible, setCartVisible] = useState(false);
   const { getCartCount } = useCartContext();
   const { user, logout } = useAuth();
+  const { showSearch, setShowSearch } = useCollections();
 
   const openProfile = () => {
     navigate("/profile");
@@ -33,6 +35,14 @@ function Navbar() {
 
       {/* Right side */}
       <div className="flex items-center gap-6">
+        {/* Search Icon */}
+        <img
+          onClick={() => setShowSearch(!showSearch)}
+          src={assets.search_icon}
+          alt="search"
+          className="w-5 cursor-pointer"
+        />
+
         {/* Profile Icon with Dropdown - Desktop */}
         <div className="hidden sm:block group relative">
           {user ? (
@@ -1,30 +1,231 @@
-import React, { useEffect, useState } from 'react'
-import { useCollections } from '../../context/CollectionsContext';
-import { assets } from '../../assets/assets';
-import { useLocation } from 'react-router-dom';
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Loader2 } from "lucide-react";
+import { useCollections } from "../../context/CollectionsContext";
+import { assets } from "../../assets/assets";
+import HighlightedText from "../HighlightedText";
+import { tokenize } from "../../context/SearchIndexService";
+import {
+  SEARCH_DEBOUNCE_MS,
+  SUGGESTION_LIMIT,
+  fetchSearchSuggestions,
+  getSearchPath,
+  getSubCategoryPath,
+  normalizeQuery,
+} from "../../context/SearchService";
+
+const EMPTY_SUGGESTIONS = { query: "", products: [], subCategories: [] };
 
 function SearchBar() {
-  const { search, setSearch, showSearch, setShowSearch } = useCollections();
-  const [visible, setVisible] = useState(false);
-  const location = useLocation();
+  const {
+    search,
+    setSearch,
+    showSearch,
+    setShowSearch,
+    loadSearchIndex,
+    searchProducts,
+  } = useCollections();
+  const navigate = useNavigate();
+  const [suggestions, setSuggestions] = useState(EMPTY_SUGGESTIONS);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+
+  useEffect(() => {
+    if (showSearch) loadSearchIndex();
+  }, [showSearch, loadSearchIndex]);
 
+  // Debounced autocomplete; a newer query aborts the request for the older one
   useEffect(() => {
-    if (location.pathname.includes('/collection')) {
-      setVisible(true);
-    } else {
-      setVisible(false);
+    if (!showSearch) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setIsLoading(true);
+      const result = await fetchSearchSuggestions(search, controller.signal);
+      if (result.aborted) return;
+
+      setIsLoading(false);
+      setSuggestions(
+        result.success ? { query: search, ...result.data } : EMPTY_SUGGESTIONS
+      );
+      setHighlighted(-1);
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [search, showSearch]);
+
+  // The local index answers instantly; server suggestions replace its
+  // products once they arrive for what is in the box now
+  const hasServerSuggestions = suggestions.query === search;
+  const queryTerms = tokenize(search);
+  const productOptions = hasServerSuggestions
+    ? suggestions.products.map((product) => ({
+        key: `product-${product._id}`,
+        label: product.name,
+        matchedTerms: queryTerms,
+        detail: `₹${product.price}`,
+        image: Array.isArray(product.image) ? product.image[0] : product.image,
+        path: `/product/${product._id}`,
+      }))
+    : searchProducts(search, SUGGESTION_LIMIT).map(
+        ({ product, matchedTerms }) => ({
+          key: `product-${product.id}`,
+          label: product.name,
+          matchedTerms,
+          detail: `₹${product.price}`,
+          image: product.image,
+          path: `/product/${product.id}`,
+        })
+      );
+
+  // Subcategories first, then products, in one list for keyboard navigation
+  const options = [
+    ...(hasServerSuggestions ? suggestions.subCategories : []).map(
+      (subCategory) => ({
+        key: `sub-${subCategory.parentCategory}-${subCategory.name}`,
+        label: subCategory.name,
+        matchedTerms: queryTerms,
+        detail: `in ${subCategory.parentCategory}`,
+        path: getSubCategoryPath(subCategory),
+      })
+    ),
+    ...productOptions,
+  ];
+
+  const goTo = (path) => {
+    setIsOpen(false);
+    navigate(path);
+  };
+
+  const submitSearch = () => {
+    if (!normalizeQuery(search)) return;
+    goTo(getSearchPath(search));
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setIsOpen(true);
+      setHighlighted((prev) => Math.min(prev + 1, options.length - 1));
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setHighlighted((prev) => Math.max(prev - 1, -1));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (isOpen && options[highlighted]) {
+        goTo(options[highlighted].path);
+      } else {
+        submitSearch();
+      }
+    } else if (e.key === "Escape") {
+      setIsOpen(false);
     }
-  }, [location])
+  };
+
+  if (!showSearch) return null;
+
+  return (
+    <div className="border-t border-b bg-gray-50 text-center p-5">
+      <div className="relative inline-block w-10/12 sm:w-7/12 text-left align-middle">
+        <div className="flex items-center border border-gray-400 p-4 rounded-full bg-gray-50">
+          <input
+            autoFocus
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setIsOpen(true);
+            }}
+            onFocus={() => setIsOpen(true)}
+            onBlur={() => setIsOpen(false)}
+            onKeyDown={handleKeyDown}
+            className="flex-1 outline-none bg-inherit text-sm"
+            type="text"
+            placeholder=" Search products and collections"
+            role="combobox"
+            aria-expanded={isOpen && options.length > 0}
+            aria-controls="search-suggestions"
+          />
+          {isLoading ? (
+            <Loader2 className="w-4 h-4 animate-spin text-gray-400" />
+          ) : (
+            <img
+              onClick={submitSearch}
+              className="w-4 cursor-pointer"
+              src={assets.search_icon}
+              alt="search"
+            />
+          )}
+        </div>
 
-  return showSearch && visible? (
-    <div className='border-t border-b bg-gray-50 text-center p-5'>
-      <div className='inline-flex w-7/12 items-center justify-center border border-gray-400 p-4 rounded-full'>
-        <input value={search} onChange={(e) => setSearch(e.target.value)} className='flex-1 outline-none bg-inherit text-sm ' type="text" placeholder=' Search' />
-        <img className='w-4' src={assets.search_icon} alt='' />
+        {isOpen && options.length > 0 && (
+          <ul
+            id="search-suggestions"
+            role="listbox"
+            className="absolute z-40 left-0 right-0 mt-2 bg-white border border-gray-200 rounded-lg shadow-lg overflow-hidden"
+          >
+            {options.map((option, index) => (
+              <li
+                key={option.key}
+                role="option"
+                aria-selected={index === highlighted}
+                // Runs before the input's blur closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  goTo(option.path);
+                }}
+                onMouseEnter={() => setHighlighted(index)}
+                className={`flex items-center gap-3 px-4 py-2 cursor-pointer text-sm ${
+                  index === highlighted ? "bg-orange-50" : ""
+                }`}
+              >
+                {option.image ? (
+                  <img
+                    src={option.image}
+                    alt=""
+                    className="w-8 h-8 object-cover rounded"
+                  />
+                ) : (
+                  <img
+                    src={assets.search_icon}
+                    alt=""
+                    className="w-3 mx-2.5 opacity-50"
+                  />
+                )}
+                <span className="flex-1 truncate text-gray-700">
+                  <HighlightedText
+                    text={option.label}
+                    matchedTerms={option.matchedTerms}
+                  />
+                </span>
+                <span className="text-xs text-gray-500">{option.detail}</span>
+              </li>
+            ))}
+            <li
+              role="option"
+              aria-selected={false}
+              onMouseDown={(e) => {
+                e.preventDefault();
+                submitSearch();
+              }}
+              className="px-4 py-2 border-t text-sm text-orange-600 cursor-pointer hover:bg-orange-50"
+            >
+              See all results for &quot;{normalizeQuery(search)}&quot;
+            </li>
+          </ul>
+        )}
       </div>
-      <img onClick={() => setShowSearch(false)} className='inline w-3 cursor-pointer ml-5' src={assets.cross_icon} alt="" />
+      <img
+        onClick={() => setShowSearch(false)}
+        className="inline w-3 cursor-pointer ml-5"
+        src={assets.cross_icon}
+        alt=""
+      />
     </div>
-  ) : null
+  );
 }
 
-export default SearchBar
+export default SearchBar;
@@ -0,0 +1,502 @@
+import React, { useEffect, useRef, useState } from "react";
+import { ImagePlus, Loader2, X } from "lucide-react";
+import { formatOrderStatus } from "../context/OrderService";
+import {
+  CANCEL_REASONS,
+  MAX_RETURN_PHOTOS,
+  REFUND_MODE_LABELS,
+  REFUND_MODES,
+  REQUEST_STATUS_COLORS,
+  REQUEST_TYPES,
+  RETURN_REASONS,
+  getRefundModes,
+  validateReturnPhotos,
+} from "../context/ReturnService";
+
+const DEFAULT_SIZES = ["XS", "S", "M", "L", "XL", "XXL"];
+
+function Modal({ title, onClose, children }) {
+  return (
+    <div
+      className="relative z-50"
+      aria-labelledby="modal-title"
+      role="dialog"
+      aria-modal="true"
+    >
+      <div
+        className="fixed inset-0 bg-gray-500/75 transition-opacity"
+        aria-hidden="true"
+        onClick={onClose}
+      ></div>
+      <div className="fixed inset-0 z-10 w-screen overflow-y-auto pointer-events-none">
+        <div className="flex min-h-full items-end justify-center p-4 sm:items-center">
+          <div className="relative w-full sm:max-w-lg rounded-lg bg-white p-6 shadow-xl pointer-events-auto">
+            <div className="flex justify-between items-center mb-4">
+              <h3
+                className="text-base font-semibold text-gray-900"
+                id="modal-title"
+              >
+                {title}
+              </h3>
+              <button type="button" onClick={onClose} title="Close">
+                <X className="h-5 w-5 text-gray-400 hover:text-black" />
+              </button>
+            </div>
+            {children}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Confirms cancelling an order that hasn't shipped
+export function CancelOrderModal({ onConfirm, onClose, isSubmitting, error }) {
+  const [reason, setReason] = useState(CANCEL_REASONS[0]);
+
+  return (
+    <Modal title="Cancel order" onClose={onClose}>
+      <p className="text-sm text-gray-600 mb-4">
+        Your order hasn&apos;t shipped yet, so it can still be cancelled.
+        Prepaid orders are refunded to the original payment method.
+      </p>
+      <p className="text-xs font-medium text-gray-400 mb-2">Reason</p>
+      <div className="flex flex-col gap-2 mb-4">
+        {CANCEL_REASONS.map((option) => (
+          <label key={option} className="flex items-center gap-2 text-sm">
+            <input
+              type="radio"
+              name="cancelReason"
+              checked={reason === option}
+              onChange={() => setReason(option)}
+            />
+            {option}
+          </label>
+        ))}
+      </div>
+      {error && <p className="text-red-500 text-sm mb-3">{error}</p>}
+      <div className="flex justify-end gap-3">
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-4 py-2 text-sm border border-gray-300 rounded hover:border-black"
+        >
+          Keep Order
+        </button>
+        <button
+          type="button"
+          onClick={() => onConfirm(reason)}
+          disabled={isSubmitting}
+          className="flex items-center gap-2 px-4 py-2 text-sm bg-red-500 text-white rounded hover:bg-red-600 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {isSubmitting && <Loader2 className="h-4 w-4 animate-spin" />}
+          Cancel Order
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+// Return / exchange form: items, sizes, reason, photos and refund mode
+export function ReturnRequestModal({
+  order,
+  onSubmit,
+  onClose,
+  isSubmitting,
+  error,
+}) {
+  const refundModes = getRefundModes(order.paymentMethod);
+  const [type, setType] = useState(REQUEST_TYPES.RETURN);
+  const [selectedItems, setSelectedItems] = useState({});
+  const [reason, setReason] = useState(RETURN_REASONS[0].value);
+  const [comments, setComments] = useState("");
+  const [photos, setPhotos] = useState([]);
+  const [refundMode, setRefundMode] = useState(refundModes[0]);
+  const [bankDetails, setBankDetails] = useState({
+    accountName: "",
+    accountNumber: "",
+    ifsc: "",
+  });
+  const [formError, setFormError] = useState("");
+
+  // Previews still open when the modal goes away, after a submit or a close
+  const photosRef = useRef(photos);
+  photosRef.current = photos;
+  useEffect(
+    () => () =>
+      photosRef.current.forEach(({ preview }) => URL.revokeObjectURL(preview)),
+    []
+  );
+
+  const toggleItem = (item) => {
+    setSelectedItems((prev) => {
+      const next = { ...prev };
+      if (next[item._id]) {
+        delete next[item._id];
+      } else {
+        next[item._id] = {
+          itemId: item._id,
+          quantity: Number(item.quantity),
+          exchangeSize: item.size,
+        };
+      }
+      return next;
+    });
+  };
+
+  const updateItem = (itemId, changes) => {
+    setSelectedItems((prev) => ({
+      ...prev,
+      [itemId]: { ...prev[itemId], ...changes },
+    }));
+  };
+
+  const handlePhotoChange = (e) => {
+    const files = Array.from(e.target.files || []).slice(
+      0,
+      MAX_RETURN_PHOTOS - photos.length
+    );
+    setPhotos((prev) => [
+      ...prev,
+      ...files.map((file) => ({ file, preview: URL.createObjectURL(file) })),
+    ]);
+    e.target.value = "";
+  };
+
+  const removePhoto = (index) => {
+    URL.revokeObjectURL(photos[index].preview);
+    setPhotos((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = () => {
+    const items = Object.values(selectedItems);
+    if (items.length === 0) {
+      setFormError("Please select at least one item");
+      return;
+    }
+    const photoError = validateReturnPhotos(photos.map(({ file }) => file));
+    if (photoError) {
+      setFormError(photoError);
+      return;
+    }
+    if (
+      type === REQUEST_TYPES.RETURN &&
+      refundMode === REFUND_MODES.BANK_TRANSFER &&
+      (!bankDetails.accountName.trim() ||
+        !/^\d{9,18}$/.test(bankDetails.accountNumber) ||
+        !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(bankDetails.ifsc))
+    ) {
+      setFormError("Please enter valid bank details for the refund");
+      return;
+    }
+
+    setFormError("");
+    onSubmit({
+      type,
+      items,
+      reason,
+      comments: comments.trim(),
+      refundMode,
+      bankDetails,
+      photos: photos.map(({ file }) => file),
+    });
+  };
+
+  return (
+    <Modal title="Return or exchange" onClose={onClose}>
+      <div className="flex flex-col gap-4 text-sm">
+        <div className="flex gap-2">
+          {Object.values(REQUEST_TYPES).map((option) => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setType(option)}
+              className={`flex-1 px-3 py-2 rounded border capitalize ${
+                type === option
+                  ? "border-orange-300 bg-orange-50"
+                  : "border-gray-300"
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+
+        {/* Items */}
+        <div>
+          <p className="text-xs font-medium text-gray-400 mb-2">Items</p>
+          <div className="flex flex-col gap-2">
+            {order.items.map((item) => {
+              const selected = selectedItems[item._id];
+              const sizes =
+                typeof item.productId === "object" &&
+                item.productId?.size?.length
+                  ? item.productId.size
+                  : DEFAULT_SIZES;
+
+              return (
+                <div key={item._id} className="border rounded p-3">
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(selected)}
+                      onChange={() => toggleItem(item)}
+                    />
+                    <span className="font-medium">{item.productName}</span>
+                    <span className="text-gray-500">
+                      ({item.size}, {item.color})
+                    </span>
+                  </label>
+                  {selected && (
+                    <div className="flex gap-4 mt-2 ml-6">
+                      <label className="flex items-center gap-2">
+                        Qty
+                        <select
+                          value={selected.quantity}
+                          onChange={(e) =>
+                            updateItem(item._id, {
+                              quantity: Number(e.target.value),
+                            })
+                          }
+                          className="border border-gray-300 rounded px-2 py-1"
+                        >
+                          {Array.from(
+                            { length: Number(item.quantity) },
+                            (_, index) => index + 1
+                          ).map((quantity) => (
+                            <option key={quantity} value={quantity}>
+                              {quantity}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                      {type === REQUEST_TYPES.EXCHANGE && (
+                        <label className="flex items-center gap-2">
+                          Size
+                          <select
+                            value={selected.exchangeSize}
+                            onChange={(e) =>
+                              updateItem(item._id, {
+                                exchangeSize: e.target.value,
+                              })
+                            }
+                            className="border border-gray-300 rounded px-2 py-1"
+                          >
+                            {sizes.map((size) => (
+                              <option key={size} value={size}>
+                                {size}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Reason */}
+        <div>
+          <p className="text-xs font-medium text-gray-400 mb-2">Reason</p>
+          <select
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            className="w-full px-2 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-transparent"
+          >
+            {RETURN_REASONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <textarea
+            value={comments}
+            onChange={(e) => setComments(e.target.value)}
+            placeholder="Tell us more (optional)"
+            rows={2}
+            className="w-full mt-2 border border-gray-300 rounded-md px-2 py-2"
+          />
+        </div>
+
+        {/* Photos */}
+        <div>
+          <p className="text-xs font-medium text-gray-400 mb-2">
+            Photos of the issue (up to {MAX_RETURN_PHOTOS})
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {photos.map((photo, index) => (
+              <div key={photo.preview} className="relative">
+                <img
+                  src={photo.preview}
+                  alt={photo.file.name}
+                  className="w-16 h-16 object-cover rounded"
+                />
+                <button
+                  type="button"
+                  onClick={() => removePhoto(index)}
+                  className="absolute -top-2 -right-2 bg-white rounded-full shadow"
+                  title="Remove photo"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+            {photos.length < MAX_RETURN_PHOTOS && (
+              <label className="w-16 h-16 border border-dashed border-gray-300 rounded flex items-center justify-center cursor-pointer hover:border-black">
+                <ImagePlus className="h-5 w-5 text-gray-400" />
+                <input
+                  type="file"
+                  accept="image/*"
+                  multiple
+                  onChange={handlePhotoChange}
+                  className="hidden"
+                />
+              </label>
+            )}
+          </div>
+        </div>
+
+        {/* Refund mode */}
+        {type === REQUEST_TYPES.RETURN && (
+          <div>
+            <p className="text-xs font-medium text-gray-400 mb-2">Refund to</p>
+            <div className="flex flex-col gap-2">
+              {refundModes.map((mode) => (
+                <label key={mode} className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name="refundMode"
+                    checked={refundMode === mode}
+                    onChange={() => setRefundMode(mode)}
+                  />
+                  {REFUND_MODE_LABELS[mode]}
+                </label>
+              ))}
+            </div>
+            {refundMode === REFUND_MODES.BANK_TRANSFER && (
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 mt-2">
+                <input
+                  type="text"
+                  value={bankDetails.accountName}
+                  onChange={(e) =>
+                    setBankDetails((prev) => ({
+                      ...prev,
+                      accountName: e.target.value,
+                    }))
+                  }
+                  placeholder="Account holder"
+                  className="border border-gray-300 rounded px-2 py-2"
+                />
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  value={bankDetails.accountNumber}
+                  onChange={(e) =>
+                    setBankDetails((prev) => ({
+                      ...prev,
+                      accountNumber: e.target.value.replace(/\D/g, ""),
+                    }))
+                  }
+                  placeholder="Account number"
+                  className="border border-gray-300 rounded px-2 py-2"
+                />
+                <input
+                  type="text"
+                  value={bankDetails.ifsc}
+                  onChange={(e) =>
+                    setBankDetails((prev) => ({
+                      ...prev,
+                      ifsc: e.target.value.toUpperCase().slice(0, 11),
+                    }))
+                  }
+                  placeholder="IFSC"
+                  className="border border-gray-300 rounded px-2 py-2"
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        {(formError || error) && (
+          <p className="text-red-500 text-sm">{formError || error}</p>
+        )}
+
+        <div className="flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 text-sm border border-gray-300 rounded hover:border-black"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSubmit}
+            disabled={isSubmitting}
+            className="flex items-center gap-2 px-4 py-2 text-sm bg-orange-300 rounded hover:bg-orange-400 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting && <Loader2 className="h-4 w-4 animate-spin" />}
+            Submit Request
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+// Status of the return / exchange requests raised for an order
+export function ReturnRequestList({ requests, order }) {
+  if (requests.length === 0) return null;
+
+  const getItemName = (itemId) =>
+    order.items.find((item) => item._id === itemId)?.productName || "Item";
+
+  return (
+    <div className="flex flex-col gap-3">
+      {requests.map((request) => (
+        <div
+          key={request._id || request.requestId}
+          className="bg-white p-3 rounded-lg text-sm"
+        >
+          <div className="flex justify-between items-center mb-2">
+            <p className="font-medium capitalize">
+              {request.type} request
+              {request.requestId && (
+                <span className="text-gray-500 font-normal">
+                  {" "}
+                  #{request.requestId}
+                </span>
+              )}
+            </p>
+            <span
+              className={`px-3 py-1 rounded-full text-xs ${
+                REQUEST_STATUS_COLORS[request.status] ||
+                "bg-gray-100 text-gray-800"
+              }`}
+            >
+              {formatOrderStatus(request.status)}
+            </span>
+          </div>
+          <ul className="text-gray-600 space-y-1">
+            {request.items.map((item) => (
+              <li key={item.itemId}>
+                {getItemName(item.itemId)} × {item.quantity}
+                {request.type === REQUEST_TYPES.EXCHANGE &&
+                  item.exchangeSize &&
+                  ` → size ${item.exchangeSize}`}
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-gray-400 mt-2">
+            Raised on {new Date(request.createdAt).toLocaleDateString("en-IN")}
+            {request.refundMode &&
+              ` · Refund to ${REFUND_MODE_LABELS[request.refundMode]}`}
+          </p>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import React from "react";
+import { Search, X } from "lucide-react";
+import {
+  DEFAULT_ORDER_FILTERS,
+  ORDER_SORT_OPTIONS,
+  ORDER_STATUS_FILTERS,
+} from "../context/OrderService";
+
+const selectClassName =
+  "px-2 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-transparent";
+
+// Search, status, date range and sort controls for the order history
+function OrderFilters({ filters, searchInput, onSearchChange, onChange }) {
+  const isFiltered =
+    searchInput ||
+    filters.status !== DEFAULT_ORDER_FILTERS.status ||
+    filters.from ||
+    filters.to;
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  return (
+    <div className="flex flex-col gap-3 mb-6">
+      <div className="flex items-center gap-2 border border-gray-300 rounded-md px-3 py-2">
+        <Search className="h-4 w-4 text-gray-400" />
+        <input
+          type="text"
+          value={searchInput}
+          onChange={(e) => onSearchChange(e.target.value)}
+          placeholder="Search by product name or order ID"
+          className="flex-1 text-sm outline-none"
+        />
+      </div>
+      <div className="flex flex-wrap gap-2 items-center">
+        <select
+          value={filters.status}
+          onChange={(e) => update({ status: e.target.value })}
+          className={selectClassName}
+        >
+          {ORDER_STATUS_FILTERS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1 text-sm text-gray-500">
+          From
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => update({ from: e.target.value })}
+            className={selectClassName}
+          />
+        </label>
+        <label className="flex items-center gap-1 text-sm text-gray-500">
+          To
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => update({ to: e.target.value })}
+            className={selectClassName}
+          />
+        </label>
+        <select
+          value={filters.sort}
+          onChange={(e) => update({ sort: e.target.value })}
+          className={`${selectClassName} sm:ml-auto`}
+        >
+          {ORDER_SORT_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        {isFiltered && (
+          <button
+            type="button"
+            onClick={() => {
+              onSearchChange("");
+              onChange({ ...DEFAULT_ORDER_FILTERS, sort: filters.sort });
+            }}
+            className="flex items-center gap-1 text-sm text-gray-500 hover:text-black"
+          >
+            <X className="h-4 w-4" />
+            Clear
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OrderFilters;
@@ -0,0 +1,93 @@
+import React from "react";
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+  }).format(amount);
+};
+
+// Price breakdown of a placed order, from priceOrder()
+function OrderPriceSummary({ pricing }) {
+  return (
+    <div className="mt-4 pt-2 border-t">
+      {/* Original Price */}
+      <div className="flex justify-between text-sm text-gray-600 mb-1">
+        <span>Original Price</span>
+        <span className="line-through">{formatCurrency(pricing.mrp)}</span>
+      </div>
+
+      {/* Discount */}
+      <div className="flex justify-between text-sm text-green-600 mb-1">
+        <span>
+          Discount
+          <span className="text-xs ml-1">({pricing.discountPercentage}%)</span>
+        </span>
+        <span>-{formatCurrency(pricing.discount)}</span>
+      </div>
+
+      {/* Subtotal */}
+      <div className="flex justify-between text-sm text-gray-600 mb-1">
+        <span>Subtotal</span>
+        <span>{formatCurrency(pricing.subtotal)}</span>
+      </div>
+
+      {/* Coupon */}
+      {pricing.couponDiscount > 0 && (
+        <div className="flex justify-between text-sm text-green-600 mb-1">
+          <span>
+            Coupon
+            <span className="text-xs ml-1">({pricing.couponCode})</span>
+          </span>
+          <span>-{formatCurrency(pricing.couponDiscount)}</span>
+        </div>
+      )}
+
+      {/* Shipping Charges */}
+      <div className="flex justify-between text-sm text-gray-600 mb-1">
+        <span>Shipping</span>
+        <span>{formatCurrency(pricing.shipping)}</span>
+      </div>
+
+      {/* Tax */}
+      {pricing.tax > 0 && (
+        <div className="flex justify-between text-sm text-gray-600 mb-1">
+          <span>Tax</span>
+          <span>{formatCurrency(pricing.tax)}</span>
+        </div>
+      )}
+
+      {/* GST included in the prices */}
+      {pricing.gst?.lines.length > 0 && (
+        <div className="flex justify-between text-xs text-gray-500 mb-1">
+          <span>
+            Includes {pricing.gst.isInterState ? "IGST" : "CGST + SGST"}
+          </span>
+          <span>
+            {formatCurrency(
+              pricing.gst.totals.cgst +
+                pricing.gst.totals.sgst +
+                pricing.gst.totals.igst
+            )}
+          </span>
+        </div>
+      )}
+
+      {/* COD Fee */}
+      {pricing.codFee > 0 && (
+        <div className="flex justify-between text-sm text-gray-600 mb-1">
+          <span>COD Fee</span>
+          <span>{formatCurrency(pricing.codFee)}</span>
+        </div>
+      )}
+
+      {/* Total Amount */}
+      <div className="flex justify-between font-medium text-gray-900 pt-2 border-t">
+        <span>Total Amount</span>
+        <span>{formatCurrency(pricing.total)}</span>
+      </div>
+    </div>
+  );
+}
+
+export default OrderPriceSummary;
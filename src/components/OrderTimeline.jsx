@@ -0,0 +1,59 @@
+import React from "react";
+import { CheckCircle2, Circle, XCircle } from "lucide-react";
+import { formatOrderStatus, getOrderTimeline } from "../context/OrderService";
+
+// Shipment progress from placed to delivered
+function OrderTimeline({ order }) {
+  const { steps, haltedStatus } = getOrderTimeline(order);
+
+  return (
+    <div className="bg-white p-4 rounded-lg">
+      <ol className="flex flex-col sm:flex-row gap-4 sm:gap-0">
+        {steps.map((step, index) => (
+          <li
+            key={step.key}
+            className="flex sm:flex-col items-center gap-3 sm:gap-2 flex-1 relative"
+          >
+            {index > 0 && (
+              <span
+                className={`hidden sm:block absolute top-3 right-1/2 w-full h-0.5 -z-0 ${
+                  step.completed ? "bg-green-500" : "bg-gray-200"
+                }`}
+              />
+            )}
+            {step.completed ? (
+              <CheckCircle2 className="h-6 w-6 text-green-500 bg-white relative z-10" />
+            ) : (
+              <Circle className="h-6 w-6 text-gray-300 bg-white relative z-10" />
+            )}
+            <div className="sm:text-center">
+              <p
+                className={`text-sm ${
+                  step.current ? "font-semibold" : "text-gray-600"
+                }`}
+              >
+                {step.label}
+              </p>
+              {step.date && (
+                <p className="text-xs text-gray-400">
+                  {new Date(step.date).toLocaleDateString("en-IN", {
+                    day: "numeric",
+                    month: "short",
+                  })}
+                </p>
+              )}
+            </div>
+          </li>
+        ))}
+      </ol>
+      {haltedStatus && (
+        <p className="mt-4 flex items-center gap-2 text-sm text-red-600">
+          <XCircle className="h-4 w-4" />
+          This order was {formatOrderStatus(haltedStatus).toLowerCase()}.
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default OrderTimeline;
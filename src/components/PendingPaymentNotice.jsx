@@ -0,0 +1,98 @@
+import React from "react";
+import { AlertTriangle, Loader2, RotateCcw } from "lucide-react";
+import { PAYMENT_STATUS } from "../context/PaymentService";
+
+const formatAmount = (amount) =>
+  new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+  }).format(amount || 0);
+
+const getMessage = ({ status, error }) => {
+  switch (status) {
+    case PAYMENT_STATUS.FAILED:
+      return `Your payment didn't go through${
+        error?.description ? `: ${error.description}` : "."
+      } Your order hasn't been placed. Any amount debited will be refunded by your bank.`;
+    case PAYMENT_STATUS.DISMISSED:
+      return "You closed the payment window before paying. Your order hasn't been placed yet.";
+    default:
+      return "Your last payment wasn't completed. Your order hasn't been placed yet.";
+  }
+};
+
+// Banner for a checkout payment that didn't turn into an order
+function PendingPaymentNotice({
+  pendingPayment,
+  onRetry,
+  onDiscard,
+  isRetrying,
+}) {
+  if (!pendingPayment) return null;
+
+  const amount = formatAmount(pendingPayment.orderPayload?.totalAmount);
+
+  if (pendingPayment.status === PAYMENT_STATUS.UNVERIFIED) {
+    return (
+      <div className="bg-red-50 border border-red-300 text-red-800 px-4 py-3 rounded mb-4 flex gap-3">
+        <AlertTriangle className="h-5 w-5 flex-shrink-0 mt-0.5" />
+        <div className="text-sm">
+          <p className="font-semibold">We received your payment of {amount}</p>
+          <p>
+            {
+              "But we couldn't confirm your order. Please don't pay again, contact support with payment ID "
+            }
+            <span className="font-mono">{pendingPayment.error?.paymentId}</span>
+            {" and we'll sort it out."}
+          </p>
+          {onDiscard && (
+            <button
+              type="button"
+              onClick={onDiscard}
+              className="mt-2 underline text-red-700 hover:text-red-900"
+            >
+              Dismiss
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-orange-50 border border-orange-300 text-orange-900 px-4 py-3 rounded mb-4 flex gap-3">
+      <AlertTriangle className="h-5 w-5 flex-shrink-0 mt-0.5" />
+      <div className="text-sm flex-1">
+        <p className="font-semibold">Payment of {amount} not completed</p>
+        <p>{getMessage(pendingPayment)}</p>
+        <div className="flex gap-3 mt-3">
+          <button
+            type="button"
+            onClick={onRetry}
+            disabled={isRetrying}
+            className="flex items-center gap-2 bg-black text-white px-4 py-2 rounded text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isRetrying ? (
+              <Loader2 className="h-4 w-4 animate-spin" />
+            ) : (
+              <RotateCcw className="h-4 w-4" />
+            )}
+            Retry payment
+          </button>
+          {onDiscard && (
+            <button
+              type="button"
+              onClick={onDiscard}
+              disabled={isRetrying}
+              className="text-sm text-gray-600 hover:text-black disabled:opacity-50"
+            >
+              Discard
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PendingPaymentNotice;
@@ -0,0 +1,64 @@
+import React, { useEffect, useState } from "react";
+import {
+  fetchAllPostOfficesByPincode,
+  validatePincode,
+} from "../context/LocationService";
+
+// Lets the user pick their locality when a PIN code covers several post offices
+function PostOfficePicker({ pincode, onSelect }) {
+  const [postOffices, setPostOffices] = useState([]);
+  const [selectedName, setSelectedName] = useState("");
+
+  useEffect(() => {
+    setPostOffices([]);
+    setSelectedName("");
+    if (!validatePincode(pincode)) return;
+
+    let isCurrent = true;
+    fetchAllPostOfficesByPincode(pincode)
+      .then((result) => {
+        if (isCurrent && result.success) {
+          setPostOffices(result.data.postOffices);
+        }
+      })
+      .catch((error) => {
+        console.error("Error fetching post offices:", error);
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [pincode]);
+
+  if (postOffices.length < 2) return null;
+
+  const handleChange = (e) => {
+    const office = postOffices.find((entry) => entry.Name === e.target.value);
+    setSelectedName(e.target.value);
+    if (office) onSelect(office);
+  };
+
+  return (
+    <div className="flex flex-col gap-2">
+      <p className="block text-xs font-medium text-gray-400 mb-1">Locality</p>
+      <select
+        value={selectedName}
+        onChange={handleChange}
+        className="w-full px-2 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-transparent"
+      >
+        <option value="">Select your locality</option>
+        {postOffices.map((office) => (
+          <option
+            key={`${office.Name}-${office.BranchType}`}
+            value={office.Name}
+          >
+            {office.Name}
+            {office.Block && office.Block !== "NA" ? `, ${office.Block}` : ""}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default PostOfficePicker;
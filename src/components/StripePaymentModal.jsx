@@ -0,0 +1,100 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Loader2, X } from "lucide-react";
+
+// Card dialog for the Stripe Payment Element. The `dialog` comes from the
+// Stripe gateway's open(); `onClose` gets the payment outcome.
+function StripePaymentModal({ dialog, onClose }) {
+  const { elements, amountLabel, billingDetails, confirm, dismiss } = dialog;
+  const mountRef = useRef(null);
+  const [lastFailure, setLastFailure] = useState(null);
+  const [isPaying, setIsPaying] = useState(false);
+
+  useEffect(() => {
+    const paymentElement = elements.create("payment", {
+      defaultValues: { billingDetails },
+    });
+    paymentElement.mount(mountRef.current);
+    return () => paymentElement.destroy();
+  }, [elements, billingDetails]);
+
+  const handleCancel = () => {
+    if (isPaying) return;
+    onClose(dismiss(lastFailure));
+  };
+
+  const handlePay = async () => {
+    setIsPaying(true);
+    const outcome = await confirm();
+    setIsPaying(false);
+
+    if (!outcome) return;
+    if (outcome.error) {
+      setLastFailure(outcome);
+      return;
+    }
+    onClose(outcome);
+  };
+
+  return (
+    <div
+      className="relative z-50"
+      aria-labelledby="card-payment-title"
+      role="dialog"
+      aria-modal="true"
+    >
+      <div
+        className="fixed inset-0 bg-gray-500/75 transition-opacity"
+        aria-hidden="true"
+      ></div>
+      <div className="fixed inset-0 z-10 w-screen overflow-y-auto">
+        <div className="flex min-h-full items-end justify-center p-4 sm:items-center">
+          <div className="relative w-full sm:max-w-md rounded-lg bg-white p-6 shadow-xl">
+            <div className="flex justify-between items-center mb-4">
+              <h3
+                className="text-base font-semibold text-gray-900"
+                id="card-payment-title"
+              >
+                Card payment
+              </h3>
+              <button
+                type="button"
+                onClick={handleCancel}
+                disabled={isPaying}
+                title="Close"
+              >
+                <X className="h-5 w-5 text-gray-400 hover:text-black" />
+              </button>
+            </div>
+            <div ref={mountRef} />
+            {lastFailure && (
+              <p className="mt-3 text-sm text-red-600">
+                {lastFailure.error.description}
+              </p>
+            )}
+            <div className="mt-6 flex gap-3">
+              <button
+                type="button"
+                onClick={handleCancel}
+                disabled={isPaying}
+                className="flex-1 rounded-md border border-gray-300 py-2 text-sm hover:border-gray-400 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handlePay}
+                disabled={isPaying}
+                className="flex flex-1 items-center justify-center gap-2 rounded-md bg-orange-300 py-2 text-sm font-medium hover:bg-orange-400 disabled:cursor-not-allowed disabled:bg-orange-200"
+              >
+                {isPaying && <Loader2 className="h-4 w-4 animate-spin" />}
+                Pay {amountLabel}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default StripePaymentModal;
@@ -0,0 +1,276 @@
+// services/addressService.js
+import { INDIAN_STATES } from "../components/ProfileSelectTile";
+import { validatePincode } from "./LocationService";
+
+export const ADDRESS_LABELS = ["Home", "Work", "Other"];
+
+export const EMPTY_ADDRESS = {
+  label: "Home",
+  doorNo: "",
+  street: "",
+  city: "",
+  state: "",
+  pincode: "",
+  country: "India",
+  isDefault: false,
+};
+
+// Validation functions
+export const validateEmail = (email) => {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email);
+};
+
+export const validatePhone = (phone) => {
+  const phoneRegex = /^[6-9]\d{9}$/; // Indian mobile number format
+  return phoneRegex.test(phone.replace(/\s+/g, ""));
+};
+
+export const validateName = (name) => {
+  const nameRegex = /^[a-zA-Z0-9\s]{2,30}$/;
+  return nameRegex.test(name.trim());
+};
+
+export const validateAddress = (address) => {
+  return address.trim().length >= 5 && address.trim().length <= 200;
+};
+
+export const validateCity = (city) => {
+  const cityRegex = /^[a-zA-Z\s]{2,50}$/;
+  return cityRegex.test(city.trim());
+};
+
+export const validateState = (state) => {
+  return INDIAN_STATES.includes(state);
+};
+
+export const validateDoorNo = (doorNo) => {
+  return doorNo.trim().length >= 1 && doorNo.trim().length <= 20;
+};
+
+export const validateCountry = (country) => {
+  const countryRegex = /^[a-zA-Z\s]{2,50}$/;
+  return countryRegex.test(country.trim());
+};
+
+/**
+ * Validates a single checkout or address book field
+ * @param {string} name - Field name (checkout uses `address` for the street)
+ * @param {string} value - Field value
+ * @returns {string} - Error message, or "" if valid
+ */
+export const validateAddressField = (name, value) => {
+  let error = "";
+
+  switch (name) {
+    case "firstName":
+      if (!value.trim()) {
+        error = "First name is required";
+      } else if (!validateName(value)) {
+        error = "First name should be 2-30 characters long";
+      }
+      break;
+
+    case "lastName":
+      if (!value.trim()) {
+        error = "Last name is required";
+      } else if (!validateName(value)) {
+        error = "Last name should be 2-30 characters long";
+      }
+      break;
+
+    case "email":
+      if (!value.trim()) {
+        error = "Email is required";
+      } else if (!validateEmail(value)) {
+        error = "Please enter a valid email address";
+      }
+      break;
+
+    case "phone":
+      if (!value.trim()) {
+        error = "Phone number is required";
+      } else if (!validatePhone(value)) {
+        error = "Please enter a valid 10-digit Indian mobile number";
+      }
+      break;
+
+    case "doorNo":
+      if (!value.trim()) {
+        error = "Door number is required";
+      } else if (!validateDoorNo(value)) {
+        error = "Door number should be 1-20 characters long";
+      }
+      break;
+
+    case "address":
+    case "street":
+      if (!value.trim()) {
+        error = "Address is required";
+      } else if (!validateAddress(value)) {
+        error = "Address should be 5-200 characters long";
+      }
+      break;
+
+    case "city":
+      if (!value.trim()) {
+        error = "City is required";
+      } else if (!validateCity(value)) {
+        error = "City should contain only letters and be 2-50 characters long";
+      }
+      break;
+
+    case "state":
+      if (!value.trim()) {
+        error = "State is required";
+      } else if (!validateState(value)) {
+        error = "State should contain only letters and be 2-50 characters long";
+      }
+      break;
+
+    case "pincode":
+      if (!value.trim()) {
+        error = "PIN code is required";
+      } else if (!validatePincode(value)) {
+        error = "Please enter a valid 6-digit PIN code";
+      }
+      break;
+
+    case "country":
+      if (!value.trim()) {
+        error = "Country is required";
+      } else if (!validateCountry(value)) {
+        error =
+          "Country should contain only letters and be 2-50 characters long";
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  return error;
+};
+
+/**
+ * Validates every field of an address book entry
+ * @param {Object} address - Address book entry
+ * @returns {Object} - Field name to error message, empty if valid
+ */
+export const validateAddressEntry = (address) => {
+  const errors = {};
+  ["doorNo", "street", "city", "state", "pincode", "country"].forEach(
+    (field) => {
+      const error = validateAddressField(field, address[field] || "");
+      if (error) errors[field] = error;
+    }
+  );
+  return errors;
+};
+
+/**
+ * Returns the user's saved addresses. Accounts that predate the address
+ * book get their single `address` as the default Home entry.
+ * @param {Object} user - Authenticated user
+ * @returns {Object[]} - Address book entries
+ */
+export const getUserAddresses = (user) => {
+  if (Array.isArray(user?.addresses) && user.addresses.length > 0) {
+    return user.addresses;
+  }
+  if (user?.address?.street || user?.address?.pincode) {
+    return [
+      {
+        ...EMPTY_ADDRESS,
+        ...user.address,
+        id: "legacy",
+        label: "Home",
+        isDefault: true,
+      },
+    ];
+  }
+  return [];
+};
+
+/**
+ * @param {Object[]} addresses - Address book entries
+ * @returns {Object|null} - The default entry, or the first one
+ */
+export const getDefaultAddress = (addresses) => {
+  return addresses.find((address) => address.isDefault) || addresses[0] || null;
+};
+
+/**
+ * @param {Object} address - Address book entry
+ * @returns {string} - Single-line address for display
+ */
+export const formatAddressLine = (address) => {
+  return [
+    address.doorNo,
+    address.street,
+    address.city,
+    address.state,
+    address.pincode,
+  ]
+    .filter(Boolean)
+    .join(", ");
+};
+
+export const createAddressId = () => {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * Checks whether two addresses point to the same place
+ */
+export const isSameAddress = (a, b) => {
+  const normalize = (value) => (value || "").trim().toLowerCase();
+  return ["doorNo", "street", "city", "state", "pincode"].every(
+    (field) => normalize(a[field]) === normalize(b[field])
+  );
+};
+
+/**
+ * Builds the user update for a new address book. The legacy `address`
+ * field mirrors the default entry so older screens keep working.
+ * @param {Object[]} addresses - Address book entries
+ * @returns {Object} - Payload for updateUser
+ */
+export const buildAddressBookUpdate = (addresses) => {
+  const withDefault = addresses.some((address) => address.isDefault)
+    ? addresses
+    : addresses.map((address, index) => ({
+        ...address,
+        isDefault: index === 0,
+      }));
+  const defaultAddress = getDefaultAddress(withDefault);
+
+  return {
+    addresses: withDefault,
+    address: defaultAddress
+      ? {
+          doorNo: defaultAddress.doorNo,
+          street: defaultAddress.street,
+          city: defaultAddress.city,
+          state: defaultAddress.state,
+          pincode: defaultAddress.pincode,
+          country: defaultAddress.country,
+        }
+      : {},
+  };
+};
+
+/**
+ * Adds the chosen post office locality to a street line, unless it's
+ * already there
+ * @param {string} street - Street address as typed
+ * @param {string} locality - Post office name
+ * @returns {string} - Street address including the locality
+ */
+export const withLocality = (street, locality) => {
+  const trimmed = (street || "").trim();
+  if (!locality || trimmed.toLowerCase().includes(locality.toLowerCase())) {
+    return trimmed;
+  }
+  return trimmed ? `${trimmed}, ${locality}` : locality;
+};
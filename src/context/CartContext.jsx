@@ -1,6 +1,11 @@
 import { createContext, useContext, useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "./NewAuthContext";
+import { useCollections } from "./CollectionsContext";
+import { validateCoupon } from "./CouponService";
+import { getOrderItemProductId } from "./OrderService";
+import { calculatePricing, PRICING_DEFAULTS } from "./PricingService";
+import { toast } from "react-toastify";
 
 const CartContext = createContext({
   cart: {},
@@ -13,9 +18,20 @@ const CartContext = createContext({
   updateQuantity: () => {},
   navigate: () => {},
   getCartAmount: () => 0,
+  getCartPricing: () => calculatePricing({ items: [] }),
   removeCartItem: () => {},
   clearCart: () => {},
-
+  isSyncing: false,
+  cartIssues: [],
+  isRevalidating: false,
+  revalidateCart: async () => [],
+  resolveCartIssue: () => {},
+  appliedCoupon: null,
+  applyCoupon: async () => {},
+  removeCoupon: () => {},
+  addOrderItemsToCart: async () => ({ added: 0, capped: 0, skipped: [] }),
+  isCartReady: false,
+  getCartSummary: () => null,
 });
 
 // Helper function to get storage key for a user
@@ -23,6 +39,28 @@ const getStorageKey = (userId) => {
   return userId ? `cart_${userId}` : "anonymous_cart";
 };
 
+// Sync metadata lives under its own prefix so the "cart_" scan on mount
+// doesn't pick it up as a cart
+const getSyncKey = (userId) => `cartSync_${userId}`;
+
+const loadSyncMeta = (userId) => {
+  try {
+    const savedMeta = localStorage.getItem(getSyncKey(userId));
+    return savedMeta ? JSON.parse(savedMeta) : { updatedAt: 0, pending: false };
+  } catch (error) {
+    console.error("Error loading cart sync state:", error);
+    return { updatedAt: 0, pending: false };
+  }
+};
+
+const saveSyncMeta = (userId, meta) => {
+  try {
+    localStorage.setItem(getSyncKey(userId), JSON.stringify(meta));
+  } catch (error) {
+    console.error("Error saving cart sync state:", error);
+  }
+};
+
 const loadCartFromStorage = (userId) => {
   const storageKey = getStorageKey(userId);
   try {
@@ -34,13 +72,104 @@ const loadCartFromStorage = (userId) => {
   }
 };
 
+// Stock is tracked per product, so it caps every size/color line of it
+const getStockCap = (product) => {
+  return typeof product?.stock === "number"
+    ? Math.max(product.stock, 0)
+    : Infinity;
+};
+
+// Merge `incomingCart` into `baseCart` line by line (product + size + color),
+// summing quantities up to the available stock. Returns the merged cart and a
+// report of what happened to the incoming lines.
+const mergeCarts = (baseCart, incomingCart) => {
+  const merged = structuredClone(baseCart);
+  const report = { added: 0, combined: 0, capped: 0, skipped: 0 };
+
+  Object.entries(incomingCart).forEach(([productId, items]) => {
+    items.forEach((item) => {
+      if (!merged[productId]) {
+        merged[productId] = [];
+      }
+      const existingItem = merged[productId].find(
+        (line) => line.size === item.size && line.color === item.color
+      );
+      const product = existingItem?.product || item.product;
+      const cap = getStockCap(product);
+      const requested = (existingItem?.quantity || 0) + item.quantity;
+      const quantity = Math.min(requested, cap);
+
+      if (quantity < requested) {
+        report.capped += 1;
+      }
+
+      if (existingItem) {
+        existingItem.quantity = quantity;
+        report.combined += 1;
+      } else if (quantity > 0) {
+        merged[productId].push({ ...item, quantity });
+        report.added += 1;
+      } else {
+        report.skipped += 1;
+      }
+    });
+
+    if (merged[productId].length === 0) {
+      delete merged[productId];
+    }
+  });
+
+  return { merged, report };
+};
+
+// Compare a cart line's stored product snapshot against the current product.
+// `current` is null when the product no longer exists.
+const getLineIssue = (productId, item, current) => {
+  const base = {
+    productId,
+    size: item.size,
+    color: item.color,
+    name: item.product?.name,
+  };
+
+  if (!current) {
+    return { ...base, type: "deleted" };
+  }
+  if (typeof current.stock === "number" && current.stock <= 0) {
+    return { ...base, type: "out_of_stock" };
+  }
+  if (Array.isArray(current.size) && !current.size.includes(item.size)) {
+    return { ...base, type: "size_unavailable" };
+  }
+  if (Array.isArray(current.color) && !current.color.includes(item.color)) {
+    return { ...base, type: "color_unavailable" };
+  }
+  if (current.price !== item.product?.price) {
+    return {
+      ...base,
+      type: "price_changed",
+      oldPrice: item.product?.price,
+      newPrice: current.price,
+      product: current,
+    };
+  }
+  return null;
+};
+
 export const CartProvider = ({ children }) => {
-  const { user } = useAuth();
+  const { user, apiCall } = useAuth();
+  const { fetchSpecificProduct } = useCollections();
   const navigate = useNavigate();
   const [carts, setCarts] = useState({}); // Store all carts
   const [cart, setCart] = useState({}); // Current user's cart
   const [isLoading, setIsLoading] = useState(true);
+  const [isSyncing, setIsSyncing] = useState(false);
   const [error, setError] = useState(null);
+  const [cartIssues, setCartIssues] = useState([]);
+  const [isRevalidating, setIsRevalidating] = useState(false);
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  // Set once the current user's cart has been read from the cache
+  const [isCartReady, setIsCartReady] = useState(false);
 
   // Load all carts from localStorage on mount
   useEffect(() => {
@@ -71,23 +200,98 @@ export const CartProvider = ({ children }) => {
     const storageKey = getStorageKey(user?._id);
     const savedCart = carts[storageKey] || {};
     setCart(savedCart);
-  }, [user, carts]);
+    if (!isLoading) {
+      setIsCartReady(true);
+    }
+  }, [user, carts, isLoading]);
+
+  // Write a cart to the localStorage cache without touching the server
+  const cacheCart = (userId, newCart) => {
+    const storageKey = getStorageKey(userId);
+    localStorage.setItem(storageKey, JSON.stringify(newCart));
+    setCarts((prev) => ({
+      ...prev,
+      [storageKey]: newCart,
+    }));
+  };
+
+  // Push the logged-in cart to the backend. Failures leave the change marked
+  // as pending so it is retried on the next login or when we come back online.
+  const pushCartToServer = async (userId, newCart, updatedAt) => {
+    saveSyncMeta(userId, { updatedAt, pending: true });
+    try {
+      const response = await apiCall(`/api/v1/cart/${userId}`, {
+        method: "PUT",
+        body: JSON.stringify({ items: newCart, updatedAt }),
+      });
+
+      if (!response.success) {
+        throw new Error(response.message || "Failed to sync cart");
+      }
+
+      // Only clear the pending flag if nothing newer was saved meanwhile
+      if (loadSyncMeta(userId).updatedAt === updatedAt) {
+        saveSyncMeta(userId, { updatedAt, pending: false });
+      }
+    } catch (error) {
+      console.error("Error syncing cart to server:", error);
+    }
+  };
+
+  // Load the server cart on login and reconcile it with the local cache:
+  // unsynced local edits newer than the server copy win, otherwise the
+  // server copy replaces the cache.
+  const loadServerCart = async (userId) => {
+    const localCart = loadCartFromStorage(userId);
+    const meta = loadSyncMeta(userId);
+
+    try {
+      setIsSyncing(true);
+      const response = await apiCall(`/api/v1/cart/${userId}`, {
+        method: "GET",
+      });
+
+      if (!response.success) {
+        throw new Error(response.message || "Failed to fetch cart");
+      }
+
+      const serverCart = response.cart?.items || {};
+      const serverUpdatedAt = response.cart?.updatedAt
+        ? new Date(response.cart.updatedAt).getTime()
+        : 0;
+
+      if (meta.pending && meta.updatedAt > serverUpdatedAt) {
+        await pushCartToServer(userId, localCart, meta.updatedAt);
+        return localCart;
+      }
+
+      cacheCart(userId, serverCart);
+      saveSyncMeta(userId, { updatedAt: serverUpdatedAt, pending: false });
+      return serverCart;
+    } catch (error) {
+      // Offline or backend unavailable: keep working from the local cache
+      console.error("Error loading cart from server:", error);
+      return localCart;
+    } finally {
+      setIsSyncing(false);
+    }
+  };
 
   // Save cart to localStorage whenever it changes
   const saveCart = (newCart) => {
     setError(null);
-    const storageKey = getStorageKey(user?._id);
+    const userId = user?._id;
     try {
-      localStorage.setItem(storageKey, JSON.stringify(newCart));
-      setCarts((prev) => ({
-        ...prev,
-        [storageKey]: newCart,
-      }));
+      cacheCart(userId, newCart);
     } catch (error) {
       console.error("Error saving cart:", error);
       setError("Failed to save cart");
       throw error;
     }
+
+    if (userId) {
+      pushCartToServer(userId, newCart, Date.now());
+    }
   };
 
   const addToCart = (id, size, color, product) => {
@@ -186,15 +390,231 @@ export const CartProvider = ({ children }) => {
     }
   };
 
+  // Flatten the cart into the { id, name, category, price, quantity } lines
+  // used for pricing
+  const getCartLines = () => {
+    return Object.values(cart)
+      .flat()
+      .map((item) => ({
+        id: item.product._id,
+        name: item.product.name,
+        category: item.product.category?.name,
+        price: item.product.price,
+        quantity: item.quantity,
+      }));
+  };
+
+  // Full breakdown for the current cart and applied coupon. `options` are
+  // passed through to calculatePricing (e.g. paymentMethod).
+  const getCartPricing = (options = {}) => {
+    return calculatePricing({
+      items: getCartLines(),
+      coupon: appliedCoupon,
+      ...options,
+    });
+  };
+
+  // Checkout summary for the whole cart, as passed to /place-order
+  const getCartSummary = () => {
+    const cartItems = Object.values(cart).flat();
+    const pricing = getCartPricing();
+
+    return {
+      items: cartItems.map((item) => ({
+        id: item.product._id,
+        name: item.product.name,
+        sku: item.product.sku,
+        category: item.product.category?.name,
+        quantity: item.quantity,
+        price: item.product.price,
+        size: item.size,
+        color: item.color,
+        image: item.product.image,
+        subtotal: item.product.price * item.quantity,
+      })),
+      summary: {
+        noOfItems: pricing.itemCount,
+        totalAmount: pricing.subtotal,
+        itemCount: cartItems.length,
+        finalTotal: pricing.subtotal,
+      },
+      orderDetails: {
+        createdAt: new Date().toISOString(),
+        currency: "INR",
+        status: "pending",
+      },
+    };
+  };
+
   const getCartAmount = async () => {
-    return Object.values(cart).reduce((total, items) => {
-      return (
-        total +
-        items.reduce((subTotal, item) => {
-          return (subTotal += item.quantity * item.product.price);
-        }, 0)
+    return getCartPricing().subtotal;
+  };
+
+  const isProductNotFound = (data) =>
+    data.success === false && /not\s*found/i.test(data.message || "");
+
+  // Re-fetch every product in the cart and flag lines whose snapshot is stale:
+  // price changes, sold-out products, sizes/colors no longer offered and
+  // deleted products. Products that fail to load are left alone.
+  const revalidateCart = async () => {
+    const productIds = Object.keys(cart);
+    if (productIds.length === 0) {
+      setCartIssues([]);
+      return [];
+    }
+
+    setIsRevalidating(true);
+    try {
+      const results = await Promise.all(
+        productIds.map((productId) => fetchSpecificProduct(productId))
       );
-    }, 0);
+
+      const issues = [];
+      productIds.forEach((productId, index) => {
+        const data = results[index];
+        if (!data) return; // Network error, can't tell
+        // Only an explicit "not found" means the product was deleted; any
+        // other error body is a backend hiccup and tells us nothing
+        if (!data._id && !isProductNotFound(data)) return;
+
+        const current = data._id ? data : null;
+        cart[productId].forEach((item) => {
+          const issue = getLineIssue(productId, item, current);
+          if (issue) issues.push(issue);
+        });
+      });
+
+      setCartIssues(issues);
+      return issues;
+    } catch (error) {
+      console.error("Error revalidating cart:", error);
+      return [];
+    } finally {
+      setIsRevalidating(false);
+    }
+  };
+
+  // "accept" refreshes the line's product snapshot to the current price,
+  // "remove" drops the line. Unavailable lines can only be removed.
+  const resolveCartIssue = (issue, action) => {
+    try {
+      let copyCart = structuredClone(cart);
+      if (!copyCart[issue.productId]) {
+        throw new Error("Product not found in cart");
+      }
+
+      if (action === "accept" && issue.type === "price_changed") {
+        copyCart[issue.productId].forEach((item) => {
+          if (item.size === issue.size && item.color === issue.color) {
+            item.product = issue.product;
+          }
+        });
+      } else {
+        copyCart[issue.productId] = copyCart[issue.productId].filter(
+          (item) => item.size !== issue.size || item.color !== issue.color
+        );
+        if (copyCart[issue.productId].length === 0) {
+          delete copyCart[issue.productId];
+        }
+      }
+
+      setCart(copyCart);
+      saveCart(copyCart);
+      setCartIssues((prev) =>
+        prev.filter(
+          (other) =>
+            other.productId !== issue.productId ||
+            other.size !== issue.size ||
+            other.color !== issue.color
+        )
+      );
+    } catch (error) {
+      console.error("Error resolving cart issue:", error);
+      setError(error.message || "Failed to update cart");
+      return false;
+    }
+  };
+
+  // Rebuild cart lines from past order items against the current catalogue.
+  // Items whose product, size or color is gone, or that are sold out, are
+  // skipped; quantities are capped at the available stock.
+  const addOrderItemsToCart = async (orderItems) => {
+    const productIds = [
+      ...new Set(orderItems.map((item) => getOrderItemProductId(item))),
+    ].filter(Boolean);
+
+    const results = await Promise.all(
+      productIds.map((productId) => fetchSpecificProduct(productId))
+    );
+    const products = {};
+    productIds.forEach((productId, index) => {
+      products[productId] = results[index];
+    });
+
+    const incoming = {};
+    const skipped = [];
+    orderItems.forEach((item) => {
+      const productId = getOrderItemProductId(item);
+      const data = products[productId];
+      const current = data?._id ? data : null;
+      const line = {
+        size: item.size,
+        color: item.color,
+        quantity: Number(item.quantity) || 1,
+        product: current,
+      };
+      const issue = data
+        ? getLineIssue(productId, line, current)
+        : { type: "unavailable" }; // Network error
+
+      if (!productId || issue) {
+        skipped.push({
+          name: item.productName,
+          size: item.size,
+          color: item.color,
+          reason: issue?.type || "deleted",
+        });
+        return;
+      }
+
+      if (!incoming[productId]) {
+        incoming[productId] = [];
+      }
+      const existing = incoming[productId].find(
+        (other) => other.size === line.size && other.color === line.color
+      );
+      if (existing) {
+        existing.quantity += line.quantity;
+      } else {
+        incoming[productId].push(line);
+      }
+    });
+
+    const { merged, report } = mergeCarts(cart, incoming);
+    if (report.added + report.combined > 0) {
+      setCart(merged);
+      saveCart(merged);
+    }
+
+    return {
+      added: report.added + report.combined,
+      capped: report.capped,
+      skipped,
+    };
+  };
+
+  // Validate a promo code for the given lines ({ id, price, quantity }) and
+  // keep it for the rest of the checkout
+  const applyCoupon = async (code, items) => {
+    const result = await validateCoupon(code, items);
+    if (result.success) {
+      setAppliedCoupon(result.coupon);
+    }
+    return result;
+  };
+
+  const removeCoupon = () => {
+    setAppliedCoupon(null);
   };
 
   const clearCart = () => {
@@ -202,6 +622,7 @@ export const CartProvider = ({ children }) => {
       setError(null);
       setCart({});
       saveCart({});
+      setAppliedCoupon(null);
       return true;
     } catch (error) {
       console.error("Error clearing cart:", error);
@@ -210,28 +631,68 @@ export const CartProvider = ({ children }) => {
     }
   };
   // Function to merge anonymous cart with user cart on login
-  const mergeAnonymousCart = () => {
+  const mergeAnonymousCart = (userCart) => {
     const anonymousKey = getStorageKey();
     const anonymousCart = loadCartFromStorage();
 
-    if (Object.keys(anonymousCart).length > 0) {
-      // Merge items from anonymous cart into user's cart
-      Object.entries(anonymousCart).forEach(([productId, items]) => {
-        items.forEach((item) => {
-          addToCart(productId, item.size, item.color, item.product);
-        });
-      });
+    if (Object.keys(anonymousCart).length === 0) return;
+
+    const { merged, report } = mergeCarts(userCart, anonymousCart);
+    try {
+      setCart(merged);
+      saveCart(merged);
+    } catch (error) {
+      console.error("Error merging cart:", error);
+      return;
+    }
+
+    // Clear anonymous cart
+    localStorage.removeItem(anonymousKey);
+    setCarts((prev) => {
+      const next = { ...prev };
+      delete next[anonymousKey];
+      return next;
+    });
 
-      // Clear anonymous cart
-      localStorage.removeItem(anonymousKey);
+    const mergedCount = report.added + report.combined;
+    if (mergedCount > 0) {
+      toast.info(
+        `${mergedCount} item${mergedCount > 1 ? "s" : ""} from your guest cart ${
+          mergedCount > 1 ? "were" : "was"
+        } added to your cart.`
+      );
+    }
+    if (report.capped > 0 || report.skipped > 0) {
+      toast.warn("Some quantities were reduced to match available stock.");
     }
   };
 
-  // Handle cart merging when user logs in
+  // Sync with the server cart and merge the anonymous cart when user logs in
   useEffect(() => {
-    if (user?._id) {
-      mergeAnonymousCart();
-    }
+    if (!user?._id) return;
+
+    loadServerCart(user._id).then((userCart) => {
+      mergeAnonymousCart(userCart);
+    });
+  }, [user?._id]);
+
+  // Retry pending pushes once the browser is back online
+  useEffect(() => {
+    if (!user?._id) return;
+
+    const handleOnline = () => {
+      const meta = loadSyncMeta(user._id);
+      if (meta.pending) {
+        pushCartToServer(
+          user._id,
+          loadCartFromStorage(user._id),
+          meta.updatedAt
+        );
+      }
+    };
+
+    window.addEventListener("online", handleOnline);
+    return () => window.removeEventListener("online", handleOnline);
   }, [user?._id]);
 
   const value = {
@@ -240,10 +701,22 @@ export const CartProvider = ({ children }) => {
     updateQuantity,
     navigate,
     getCartAmount,
+    getCartPricing,
     removeCartItem,
     cart,
-    extraCharge:300,
+    extraCharge: PRICING_DEFAULTS.extraCharge,
     clearCart,
+    isSyncing,
+    cartIssues,
+    isRevalidating,
+    revalidateCart,
+    resolveCartIssue,
+    appliedCoupon,
+    applyCoupon,
+    removeCoupon,
+    addOrderItemsToCart,
+    isCartReady,
+    getCartSummary,
   };
   return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
 };
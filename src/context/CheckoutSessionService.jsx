@@ -0,0 +1,115 @@
+// services/checkoutSessionService.js
+
+// Prices and stock in a session are a snapshot, so it doesn't live long
+export const CHECKOUT_SESSION_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Why a checkout couldn't be resumed, shown on the cart page
+ */
+export const CHECKOUT_SESSION_ERRORS = {
+  EXPIRED:
+    "Your checkout session expired. Please review your cart and check out again.",
+  EMPTY: "There's nothing to check out yet. Add some items to your cart first.",
+};
+
+const getCheckoutSessionKey = (userId) =>
+  `checkoutSession_${userId || "anonymous"}`;
+
+/**
+ * @param {string} userId - Logged-in user id
+ * @returns {Object} - { session, expiredSession }: the saved session if it
+ *   is still valid, otherwise the one that was thrown away, if any
+ */
+export const loadCheckoutSession = (userId) => {
+  try {
+    const saved = localStorage.getItem(getCheckoutSessionKey(userId));
+    if (!saved) return { session: null, expiredSession: null };
+
+    const session = JSON.parse(saved);
+    if (Date.now() - session.createdAt > CHECKOUT_SESSION_TTL_MS) {
+      localStorage.removeItem(getCheckoutSessionKey(userId));
+      return { session: null, expiredSession: session };
+    }
+    return { session, expiredSession: null };
+  } catch (error) {
+    console.error("Error loading checkout session:", error);
+    return { session: null, expiredSession: null };
+  }
+};
+
+const isSameSummary = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * @param {string} userId - Logged-in user id
+ * @param {Object} session - { cartSummary, isBuyNow, formData,
+ *   selectedAddressId, paymentMethod, prepaidGatewayId, paymentCurrency,
+ *   createdAt }
+ */
+export const saveCheckoutSession = (userId, session) => {
+  try {
+    localStorage.setItem(
+      getCheckoutSessionKey(userId),
+      JSON.stringify({ ...session, updatedAt: Date.now() })
+    );
+  } catch (error) {
+    console.error("Error saving checkout session:", error);
+  }
+};
+
+export const clearCheckoutSession = (userId) => {
+  localStorage.removeItem(getCheckoutSessionKey(userId));
+};
+
+/**
+ * Works out what is being checked out when /place-order opens, in order:
+ * the summary handed over by the cart or Buy Now, the saved session, then
+ * the current cart. Checkout clears the handed-over summary once it has
+ * been taken in; until then a summary the saved session started from
+ * resumes that session. An expired Buy Now session can't be rebuilt from
+ * the cart.
+ * @param {Object} params
+ * @param {string} params.userId - Logged-in user id
+ * @param {Object} params.navigationState - location.state of /place-order
+ * @param {Object} params.cartSummary - Summary of the current cart
+ * @returns {Object} - { session, error }; `error` is one of
+ *   CHECKOUT_SESSION_ERRORS when there is nothing to check out
+ */
+export const resolveCheckoutSession = ({
+  userId,
+  navigationState,
+  cartSummary,
+}) => {
+  const { session: savedSession, expiredSession } = loadCheckoutSession(userId);
+  const handedOver = navigationState?.cartSummary;
+
+  if (
+    handedOver &&
+    !isSameSummary(handedOver, savedSession?.cartSummary) &&
+    !isSameSummary(handedOver, expiredSession?.cartSummary)
+  ) {
+    const session = {
+      cartSummary: handedOver,
+      isBuyNow: Boolean(navigationState.isBuyNow),
+      createdAt: Date.now(),
+    };
+    saveCheckoutSession(userId, session);
+    return { session, error: null };
+  }
+
+  if (savedSession) {
+    return { session: savedSession, error: null };
+  }
+
+  if (cartSummary?.items.length > 0 && !expiredSession?.isBuyNow) {
+    const session = { cartSummary, isBuyNow: false, createdAt: Date.now() };
+    saveCheckoutSession(userId, session);
+    return { session, error: null };
+  }
+
+  return {
+    session: null,
+    error: expiredSession
+      ? CHECKOUT_SESSION_ERRORS.EXPIRED
+      : CHECKOUT_SESSION_ERRORS.EMPTY,
+  };
+};
@@ -0,0 +1,365 @@
+// services/collectionFilterService.js
+import { PRICING_DEFAULTS } from "./PricingService";
+
+// Sizes in the order shoppers expect them, not alphabetical
+const SIZE_ORDER = [
+  "XS",
+  "S",
+  "M",
+  "L",
+  "XL",
+  "XXL",
+  "2XL",
+  "3XL",
+  "4XL",
+  "5XL",
+];
+
+export const PRICE_RANGES = [
+  { value: "0-499", label: "Under ₹500", min: 0, max: 499 },
+  { value: "500-799", label: "₹500 – ₹799", min: 500, max: 799 },
+  { value: "800-1199", label: "₹800 – ₹1,199", min: 800, max: 1199 },
+  { value: "1200-", label: "₹1,200 and above", min: 1200, max: Infinity },
+];
+
+export const RATING_OPTIONS = [4, 3, 2];
+
+export const DISCOUNT_OPTIONS = [10, 20, 30, 40];
+
+export const DEFAULT_COLLECTION_FILTERS = {
+  sizes: [],
+  colors: [],
+  prices: [],
+  minRating: 0,
+  inStockOnly: false,
+  minDiscount: 0,
+};
+
+/**
+ * @param {Object} product
+ * @returns {number} - Average review rating, 0 when there are no reviews
+ */
+export const getProductRating = (product) => {
+  const reviews = product.reviews || [];
+  if (reviews.length === 0) return 0;
+  return (
+    reviews.reduce((total, review) => total + Number(review.rating || 0), 0) /
+    reviews.length
+  );
+};
+
+/**
+ * Discount off the MRP shown on product cards, in percent
+ * @param {Object} product
+ * @param {number} extraCharge - MRP markup from the cart context
+ * @returns {number}
+ */
+export const getProductDiscount = (
+  product,
+  extraCharge = PRICING_DEFAULTS.extraCharge
+) => {
+  const mrp = Number(product.price) + extraCharge;
+  return mrp > 0 ? Math.round((extraCharge / mrp) * 100) : 0;
+};
+
+const isInStock = (product) =>
+  product.stock === undefined || Number(product.stock) > 0;
+
+const inPriceRanges = (price, rangeValues) =>
+  PRICE_RANGES.filter((range) => rangeValues.includes(range.value)).some(
+    (range) => price >= range.min && price <= range.max
+  );
+
+// One test per facet; each returns true when the facet is unset
+const FACET_TESTS = {
+  sizes: (product, filters) =>
+    !filters.sizes.length ||
+    (product.size || []).some((size) => filters.sizes.includes(size)),
+  colors: (product, filters) =>
+    !filters.colors.length ||
+    (product.color || []).some((color) => filters.colors.includes(color)),
+  prices: (product, filters) =>
+    !filters.prices.length ||
+    inPriceRanges(Number(product.price), filters.prices),
+  minRating: (product, filters) =>
+    !filters.minRating || getProductRating(product) >= filters.minRating,
+  inStockOnly: (product, filters) => !filters.inStockOnly || isInStock(product),
+  minDiscount: (product, filters, extraCharge) =>
+    !filters.minDiscount ||
+    getProductDiscount(product, extraCharge) >= filters.minDiscount,
+};
+
+const matchesFacets = (product, filters, extraCharge, skipFacet) =>
+  Object.entries(FACET_TESTS).every(
+    ([facet, test]) =>
+      facet === skipFacet || test(product, filters, extraCharge)
+  );
+
+/**
+ * @param {Object[]} products - Products on the collection page
+ * @param {Object} filters - See DEFAULT_COLLECTION_FILTERS
+ * @param {number} extraCharge - MRP markup from the cart context
+ * @returns {Object[]} - Products matching every facet
+ */
+export const filterProducts = (products, filters, extraCharge) =>
+  products.filter((product) => matchesFacets(product, filters, extraCharge));
+
+/**
+ * Options and counts for every facet. Each facet is counted with all the
+ * other facets applied but not itself, so picking a size shows how many
+ * products each other size would add.
+ * @param {Object[]} products - Products on the collection page
+ * @param {Object} filters - See DEFAULT_COLLECTION_FILTERS
+ * @param {number} extraCharge - MRP markup from the cart context
+ * @returns {Object} - { sizes, colors, prices, ratings, discounts }: lists
+ *   of { value, count }, plus inStock: count
+ */
+export const getFacetCounts = (products, filters, extraCharge) => {
+  const without = (facet) =>
+    products.filter((product) =>
+      matchesFacets(product, filters, extraCharge, facet)
+    );
+
+  const countValues = (facetProducts, getValues) => {
+    const counts = {};
+    facetProducts.forEach((product) => {
+      new Set(getValues(product)).forEach((value) => {
+        counts[value] = (counts[value] || 0) + 1;
+      });
+    });
+    return counts;
+  };
+
+  // Every value any product has, so options don't vanish as counts hit 0
+  const allSizes = [...new Set(products.flatMap((p) => p.size || []))];
+  const allColors = [...new Set(products.flatMap((p) => p.color || []))];
+  const sizeRank = (size) =>
+    SIZE_ORDER.includes(size) ? SIZE_ORDER.indexOf(size) : SIZE_ORDER.length;
+
+  const sizeCounts = countValues(without("sizes"), (p) => p.size || []);
+  const colorCounts = countValues(without("colors"), (p) => p.color || []);
+  const priceProducts = without("prices");
+  const ratingProducts = without("minRating");
+  const discountProducts = without("minDiscount");
+
+  return {
+    sizes: allSizes
+      .sort((a, b) => sizeRank(a) - sizeRank(b) || a.localeCompare(b))
+      .map((value) => ({ value, count: sizeCounts[value] || 0 })),
+    colors: allColors.map((value) => ({
+      value,
+      count: colorCounts[value] || 0,
+    })),
+    prices: PRICE_RANGES.map((range) => ({
+      value: range.value,
+      count: priceProducts.filter((p) =>
+        inPriceRanges(Number(p.price), [range.value])
+      ).length,
+    })),
+    ratings: RATING_OPTIONS.map((value) => ({
+      value,
+      count: ratingProducts.filter((p) => getProductRating(p) >= value).length,
+    })),
+    discounts: DISCOUNT_OPTIONS.map((value) => ({
+      value,
+      count: discountProducts.filter(
+        (p) => getProductDiscount(p, extraCharge) >= value
+      ).length,
+    })),
+    inStock: without("inStockOnly").filter(isInStock).length,
+  };
+};
+
+/**
+ * One removable chip per chosen facet value
+ * @param {Object} filters - See DEFAULT_COLLECTION_FILTERS
+ * @param {Object} colorNames - Color code to display name
+ * @returns {Object[]} - [{ key, label, changes }]; applying `changes` to the
+ *   filters removes the chip
+ */
+export const getActiveFilterChips = (filters, colorNames = {}) => [
+  ...filters.sizes.map((size) => ({
+    key: `size-${size}`,
+    label: `Size: ${size}`,
+    changes: { sizes: filters.sizes.filter((value) => value !== size) },
+  })),
+  ...filters.colors.map((color) => ({
+    key: `color-${color}`,
+    label: colorNames[color] || color,
+    color,
+    changes: { colors: filters.colors.filter((value) => value !== color) },
+  })),
+  ...filters.prices.map((price) => ({
+    key: `price-${price}`,
+    label: PRICE_RANGES.find((range) => range.value === price)?.label || price,
+    changes: { prices: filters.prices.filter((value) => value !== price) },
+  })),
+  ...(filters.minRating
+    ? [
+        {
+          key: "rating",
+          label: `${filters.minRating}★ & up`,
+          changes: { minRating: 0 },
+        },
+      ]
+    : []),
+  ...(filters.inStockOnly
+    ? [{ key: "stock", label: "In stock", changes: { inStockOnly: false } }]
+    : []),
+  ...(filters.minDiscount
+    ? [
+        {
+          key: "discount",
+          label: `${filters.minDiscount}% off or more`,
+          changes: { minDiscount: 0 },
+        },
+      ]
+    : []),
+];
+
+export const COLLECTION_PAGE_SIZE = 20;
+
+const readList = (searchParams, key) =>
+  (searchParams.get(key) || "").split(",").filter(Boolean);
+
+const readOption = (searchParams, key, options) => {
+  const value = Number(searchParams.get(key));
+  return options.includes(value) ? value : 0;
+};
+
+/**
+ * Reads the collection page state from its query string. `categories` and
+ * `subCategories` are null when the URL doesn't set them, meaning the
+ * category in the route is the selection.
+ * @param {URLSearchParams} searchParams
+ * @returns {Object} - { query, categories, subCategories, filters, sort,
+ *   page }; categories are slugs, subcategories "category/subcategory" slugs
+ */
+export const parseCollectionParams = (searchParams) => ({
+  query: searchParams.get("q") || "",
+  categories: searchParams.has("cat") ? readList(searchParams, "cat") : null,
+  subCategories: searchParams.has("sub") ? readList(searchParams, "sub") : null,
+  filters: {
+    sizes: readList(searchParams, "size"),
+    colors: readList(searchParams, "color"),
+    prices: readList(searchParams, "price").filter((value) =>
+      PRICE_RANGES.some((range) => range.value === value)
+    ),
+    minRating: readOption(searchParams, "rating", RATING_OPTIONS),
+    inStockOnly: searchParams.get("stock") === "1",
+    minDiscount: readOption(searchParams, "discount", DISCOUNT_OPTIONS),
+  },
+  sort: PRODUCT_SORT_OPTIONS.some(
+    (option) => option.value === searchParams.get("sort")
+  )
+    ? searchParams.get("sort")
+    : "",
+  page: Math.max(1, parseInt(searchParams.get("page"), 10) || 1),
+});
+
+/**
+ * Writes the collection page state back to a query string, leaving out
+ * everything that is at its default so shared links stay short
+ * @param {Object} state - Same shape parseCollectionParams returns
+ * @returns {URLSearchParams}
+ */
+export const buildCollectionParams = (state) => {
+  const params = new URLSearchParams();
+  const setList = (key, values) => {
+    if (values.length) params.set(key, values.join(","));
+  };
+
+  if (state.query.trim()) params.set("q", state.query);
+  if (state.categories) params.set("cat", state.categories.join(","));
+  if (state.subCategories) params.set("sub", state.subCategories.join(","));
+  setList("size", state.filters.sizes);
+  setList("color", state.filters.colors);
+  setList("price", state.filters.prices);
+  if (state.filters.minRating) params.set("rating", state.filters.minRating);
+  if (state.filters.inStockOnly) params.set("stock", "1");
+  if (state.filters.minDiscount) {
+    params.set("discount", state.filters.minDiscount);
+  }
+  if (state.sort) params.set("sort", state.sort);
+  if (state.page > 1) params.set("page", state.page);
+  return params;
+};
+
+const getCreatedTime = (product) =>
+  new Date(product.createdAt || product.date || 0).getTime();
+
+// Units sold when the API reports them, else the bestseller flag
+const getSalesRank = (product) =>
+  Number(product.soldCount ?? product.sold ?? (product.bestseller ? 1 : 0));
+
+/**
+ * Sort orders for product listings. `server` is the value of the `sort`
+ * parameter of /api/v1/products/:category/:subCategory; `compare` orders
+ * lists that are already loaded.
+ */
+export const PRODUCT_SORT_OPTIONS = [
+  { value: "", label: "Recommended", server: null, compare: null },
+  {
+    value: "price_asc",
+    label: "Price: Low to High",
+    server: "price",
+    compare: (a, b) => Number(a.price) - Number(b.price),
+  },
+  {
+    value: "price_desc",
+    label: "Price: High to Low",
+    server: "-price",
+    compare: (a, b) => Number(b.price) - Number(a.price),
+  },
+  {
+    value: "newest",
+    label: "Newest",
+    server: "-createdAt",
+    compare: (a, b) => getCreatedTime(b) - getCreatedTime(a),
+  },
+  {
+    value: "best_selling",
+    label: "Best selling",
+    server: "-soldCount",
+    compare: (a, b) => getSalesRank(b) - getSalesRank(a),
+  },
+  {
+    value: "top_rated",
+    label: "Top rated",
+    server: "-rating",
+    compare: (a, b) =>
+      getProductRating(b) - getProductRating(a) ||
+      (b.reviews?.length || 0) - (a.reviews?.length || 0),
+  },
+  {
+    value: "discount_desc",
+    label: "Biggest discount",
+    server: "-discount",
+    compare: (a, b, extraCharge) =>
+      getProductDiscount(b, extraCharge) - getProductDiscount(a, extraCharge),
+  },
+];
+
+const findSortOption = (sort) =>
+  PRODUCT_SORT_OPTIONS.find((option) => option.value === sort) ||
+  PRODUCT_SORT_OPTIONS[0];
+
+/**
+ * @param {string} sort - One of PRODUCT_SORT_OPTIONS' values
+ * @returns {string|null} - `sort` parameter for the products API, or null
+ *   for the server's own order
+ */
+export const getServerSortParam = (sort) => findSortOption(sort).server;
+
+/**
+ * Sorts a loaded list without changing it. Ties keep their original order.
+ * @param {Object[]} products
+ * @param {string} sort - One of PRODUCT_SORT_OPTIONS' values
+ * @param {number} extraCharge - MRP markup from the cart context
+ * @returns {Object[]}
+ */
+export const sortProducts = (products, sort, extraCharge) => {
+  const { compare } = findSortOption(sort);
+  if (!compare) return products;
+  return [...products].sort((a, b) => compare(a, b, extraCharge));
+};
@@ -1,6 +1,21 @@
 // CollectionsContext.js
-import React, { createContext, useState, useContext, useCallback } from "react";
+import React, {
+  createContext,
+  useState,
+  useContext,
+  useCallback,
+  useRef,
+} from "react";
 import { BASE_URL } from "../server/server";
+import {
+  SEARCH_INDEX_REFRESH_MS,
+  buildSearchIndex,
+  isSearchIndexStale,
+  loadPersistedSearchIndex,
+  persistSearchIndex,
+  searchProductIndex,
+  updateSearchIndex,
+} from "./SearchIndexService";
 
 const CollectionsContext = createContext({
   CollectionsData: {},
@@ -16,6 +31,13 @@ const CollectionsContext = createContext({
   fetchProducts: () => {},
   fetchSpecificProduct: () => {},
   calculateReview: () => {},
+  search: "",
+  setSearch: () => {},
+  showSearch: false,
+  setShowSearch: () => {},
+  isSearchIndexReady: false,
+  loadSearchIndex: async () => {},
+  searchProducts: () => [],
 });
 
 export const useCollections = () => {
@@ -62,13 +84,51 @@ export const colorMap = {
   Fl: "bg-[#ec4899]",
 };
 
+// Names shoppers search colors by
+export const colorNames = {
+  Yl: "Yellow",
+  Wh: "White",
+  BB: "Baby Blue",
+  SG: "Sport Grey",
+  Sb: "Sky Blue",
+  Rb: "Royal Blue",
+  Rd: "Red",
+  Pu: "Purple",
+  pb: "Petrol Blue",
+  Ph: "Peach",
+  or: "Orange",
+  OG: "Olive Green",
+  NYI: "Neon Yellow",
+  Nb: "Navy Blue",
+  MYI: "Mustard Yellow",
+  Mh: "Melange Heather",
+  Mnt: "Mint",
+  Mn: "Maroon",
+  LBp: "Light Baby Pink",
+  Lv: "Lavender",
+  Jd: "Jade",
+  Gm: "Grey Melange",
+  GYI: "Golden Yellow",
+  Fgn: "Flag Green",
+  Cor: "Coral",
+  Cop: "Copper",
+  bn: "Brown",
+  Cm: "Charcoal Melange",
+  BRd: "Brick Red",
+  Gn: "Bottle Green",
+  Bk: "Black",
+  Be: "Beige",
+  Fl: "Flamingo",
+};
+
 export const CollectionsProvider = ({ children }) => {
   const [CollectionsData, setCollectionsData] = useState({});
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  // const [search, setSearch] = useState("");
-  // const [showSearch, setShowSearch] = useState(false);
+  // Navbar search, shared so any page can open it
+  const [search, setSearch] = useState("");
+  const [showSearch, setShowSearch] = useState(false);
 
   const fetchCollections = useCallback(async () => {
     // console.log("Fetching collections started...");
@@ -112,10 +172,12 @@ export const CollectionsProvider = ({ children }) => {
     }
   }, []);
 
-  const fetchProducts = useCallback(async (category, subCategory) => {
+  // `sort` is the API's sort parameter, e.g. from getServerSortParam
+  const fetchProducts = useCallback(async (category, subCategory, sort) => {
     try {
+      const query = sort ? `?sort=${encodeURIComponent(sort)}` : "";
       const response = await fetch(
-        `${BASE_URL}/api/v1/products/${category}/${subCategory}`
+        `${BASE_URL}/api/v1/products/${category}/${subCategory}${query}`
       );
       const data = await response.json();
       return data.products;
@@ -206,6 +268,55 @@ export const CollectionsProvider = ({ children }) => {
     }
   };
 
+  // Local search index: loaded from IndexedDB, then kept in step with the
+  // catalog
+  const [searchIndex, setSearchIndex] = useState(null);
+  const searchIndexRef = useRef(null);
+  const searchIndexLoadRef = useRef(null);
+
+  const refreshSearchIndex = async (index) => {
+    const isStale = isSearchIndexStale(index);
+    if (!isStale && Date.now() - index.syncedAt < SEARCH_INDEX_REFRESH_MS) {
+      return index;
+    }
+
+    const products = await fetchAllProducts();
+    if (!products) return index;
+    return isStale
+      ? buildSearchIndex(products, colorNames)
+      : updateSearchIndex(index, products, colorNames);
+  };
+
+  // Safe to call often: loads once, and afterwards only refreshes when due
+  const loadSearchIndex = useCallback(() => {
+    if (!searchIndexLoadRef.current) {
+      searchIndexLoadRef.current = (async () => {
+        let current = searchIndexRef.current;
+        if (!current) {
+          current = await loadPersistedSearchIndex();
+          // An old index is still better than none while it is refreshed
+          if (current) setSearchIndex(current);
+        }
+
+        const refreshed = await refreshSearchIndex(current);
+        searchIndexRef.current = refreshed;
+        if (refreshed && refreshed !== current) {
+          setSearchIndex(refreshed);
+          persistSearchIndex(refreshed);
+        }
+        return refreshed;
+      })().finally(() => {
+        searchIndexLoadRef.current = null;
+      });
+    }
+    return searchIndexLoadRef.current;
+  }, []);
+
+  const searchProducts = useCallback(
+    (query, limit) => searchProductIndex(searchIndex, query, limit),
+    [searchIndex]
+  );
+
   // Helper function to get available colors for a product
   const getProductAvailableColors = (product) => {
     if (product.colorImages && Array.isArray(product.colorImages)) {
@@ -267,8 +378,16 @@ export const CollectionsProvider = ({ children }) => {
     getColorImageCount,
     getProductColorMappings,
     calculateReview,
-    
+    search,
+    setSearch,
+    showSearch,
+    setShowSearch,
+    isSearchIndexReady: Boolean(searchIndex),
+    loadSearchIndex,
+    searchProducts,
+
     colorMap,
+    colorNames,
   };
 
   return (
@@ -0,0 +1,160 @@
+// services/couponService.js
+import { BASE_URL } from "../server/server";
+
+/**
+ * Supported coupon rule types
+ * - percentage: `value`% off the subtotal, optionally capped at `maxDiscount`
+ * - flat: `value` off the subtotal
+ * - free_shipping: waives the shipping fee
+ * - buy_x_get_y: for every `buyQuantity` units bought, `getQuantity` of the
+ *   cheapest units are free
+ */
+export const COUPON_TYPES = {
+  PERCENTAGE: "percentage",
+  FLAT: "flat",
+  FREE_SHIPPING: "free_shipping",
+  BUY_X_GET_Y: "buy_x_get_y",
+};
+
+/**
+ * Normalizes a user-entered promo code
+ * @param {string} code - The raw code typed by the user
+ * @returns {string} - Trimmed, upper-cased code
+ */
+export const normalizeCouponCode = (code) => {
+  return (code || "").trim().toUpperCase();
+};
+
+/**
+ * Validates a promo code against the coupon endpoint
+ * @param {string} code - The promo code to validate
+ * @param {Object[]} items - Cart lines as { id, price, quantity }
+ * @returns {Promise<Object>} - Promise that resolves to the coupon or an error
+ */
+export const validateCoupon = async (code, items) => {
+  const couponCode = normalizeCouponCode(code);
+  if (!couponCode) {
+    return { success: false, error: "Please enter a promo code", coupon: null };
+  }
+
+  try {
+    const response = await fetch(`${BASE_URL}/api/v1/coupons/validate`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        code: couponCode,
+        items: items.map((item) => ({
+          productId: item.id,
+          price: item.price,
+          quantity: item.quantity,
+        })),
+      }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success || !data.coupon) {
+      return {
+        success: false,
+        error: data.message || "Invalid or expired promo code",
+        coupon: null,
+      };
+    }
+
+    return {
+      success: true,
+      coupon: { ...data.coupon, code: couponCode },
+      message: `Promo code ${couponCode} applied`,
+    };
+  } catch (error) {
+    console.error("Error validating coupon:", error);
+    return {
+      success: false,
+      error: "Unable to validate promo code. Please try again.",
+      coupon: null,
+      originalError: error.message,
+    };
+  }
+};
+
+/**
+ * Calculates what a coupon is worth for the given cart
+ * @param {Object} coupon - Coupon returned by validateCoupon
+ * @param {Object[]} items - Cart lines as { price, quantity }
+ * @param {number} shippingFee - Shipping fee before the coupon
+ * @returns {Object} - { eligible, discount, freeShipping, message }
+ */
+export const calculateCouponDiscount = (coupon, items, shippingFee = 0) => {
+  const none = { eligible: false, discount: 0, freeShipping: false };
+  if (!coupon) return { ...none, message: "" };
+
+  const subtotal = items.reduce(
+    (total, item) => total + item.price * item.quantity,
+    0
+  );
+
+  if (coupon.minCartValue && subtotal < coupon.minCartValue) {
+    return {
+      ...none,
+      message: `Add ₹${coupon.minCartValue - subtotal} more to use ${coupon.code}`,
+    };
+  }
+
+  let discount = 0;
+  let freeShipping = false;
+
+  switch (coupon.type) {
+    case COUPON_TYPES.PERCENTAGE:
+      discount = (subtotal * coupon.value) / 100;
+      if (coupon.maxDiscount) {
+        discount = Math.min(discount, coupon.maxDiscount);
+      }
+      break;
+
+    case COUPON_TYPES.FLAT:
+      discount = coupon.value;
+      break;
+
+    case COUPON_TYPES.FREE_SHIPPING:
+      freeShipping = true;
+      discount = shippingFee;
+      break;
+
+    case COUPON_TYPES.BUY_X_GET_Y: {
+      // Expand lines into unit prices and give away the cheapest ones
+      const unitPrices = items
+        .flatMap((item) => Array(item.quantity).fill(item.price))
+        .sort((a, b) => a - b);
+      const groupSize = coupon.buyQuantity + coupon.getQuantity;
+      const freeUnits =
+        Math.floor(unitPrices.length / groupSize) * coupon.getQuantity;
+
+      if (freeUnits === 0) {
+        return {
+          ...none,
+          message: `Add ${groupSize - unitPrices.length} more item(s) to use ${coupon.code}`,
+        };
+      }
+      discount = unitPrices
+        .slice(0, freeUnits)
+        .reduce((total, price) => total + price, 0);
+      break;
+    }
+
+    default:
+      return { ...none, message: "This promo code is not supported" };
+  }
+
+  return {
+    eligible: true,
+    // Never discount more than what the coupon applies to
+    discount: Math.round(
+      Math.min(discount, freeShipping ? shippingFee : subtotal)
+    ),
+    freeShipping,
+    message: `${coupon.code} applied`,
+  };
+};
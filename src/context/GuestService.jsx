@@ -0,0 +1,156 @@
+// services/guestService.js
+import { BASE_URL } from "../server/server";
+
+const GUEST_SESSION_KEY = "guestSession";
+
+export const OTP_LENGTH = 6;
+export const OTP_RESEND_SECONDS = 30;
+
+/**
+ * @returns {Object|null} - { guestId, token, email, phone, expiresAt } of the
+ *   verified guest, or null if there is none or it has expired
+ */
+export const loadGuestSession = () => {
+  try {
+    const saved = localStorage.getItem(GUEST_SESSION_KEY);
+    if (!saved) return null;
+
+    const session = JSON.parse(saved);
+    if (new Date(session.expiresAt).getTime() <= Date.now()) {
+      localStorage.removeItem(GUEST_SESSION_KEY);
+      return null;
+    }
+    return session;
+  } catch (error) {
+    console.error("Error loading guest session:", error);
+    return null;
+  }
+};
+
+export const clearGuestSession = () => {
+  localStorage.removeItem(GUEST_SESSION_KEY);
+};
+
+/**
+ * Token for checkout calls: the logged-in user's, else the verified guest's
+ * @returns {string|null}
+ */
+export const getCheckoutToken = () => {
+  return localStorage.getItem("accessToken") || loadGuestSession()?.token;
+};
+
+/**
+ * Sends one-time codes to the guest's email and phone
+ * @param {Object} contact - { email, phone }
+ * @returns {Promise<Object>} - { success, data, error }
+ */
+export const requestGuestOtp = async ({ email, phone }) => {
+  try {
+    const response = await fetch(`${BASE_URL}/api/v1/guest/send-otp`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email, phone }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      return {
+        success: false,
+        error: data.message || "Unable to send the verification code",
+        data: null,
+      };
+    }
+
+    return { success: true, data, error: null };
+  } catch (error) {
+    console.error("Error requesting guest OTP:", error);
+    return {
+      success: false,
+      error: "Unable to send the verification code. Please try again.",
+      data: null,
+    };
+  }
+};
+
+/**
+ * Checks the codes and starts a guest session that orders are placed under
+ * @param {Object} params - { email, phone, emailOtp, phoneOtp }
+ * @returns {Promise<Object>} - { success, data: guest session, error }
+ */
+export const verifyGuestOtp = async ({ email, phone, emailOtp, phoneOtp }) => {
+  try {
+    const response = await fetch(`${BASE_URL}/api/v1/guest/verify-otp`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email, phone, emailOtp, phoneOtp }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      return {
+        success: false,
+        error: data.message || "The code is incorrect or has expired",
+        data: null,
+      };
+    }
+
+    const session = {
+      guestId: data.guest._id,
+      token: data.guestToken,
+      email,
+      phone,
+      expiresAt: data.expiresAt,
+    };
+    localStorage.setItem(GUEST_SESSION_KEY, JSON.stringify(session));
+    return { success: true, data: session, error: null };
+  } catch (error) {
+    console.error("Error verifying guest OTP:", error);
+    return {
+      success: false,
+      error: "Unable to verify the code. Please try again.",
+      data: null,
+    };
+  }
+};
+
+/**
+ * Finds an order without logging in
+ * @param {string} orderId - Order ID from the confirmation
+ * @param {string} email - Email the order was placed with
+ * @returns {Promise<Object>} - { success, data: order, error }
+ */
+export const lookupOrder = async (orderId, email) => {
+  try {
+    const response = await fetch(`${BASE_URL}/api/v1/orders/lookup`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        orderId: orderId.trim(),
+        email: email.trim().toLowerCase(),
+      }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      return {
+        success: false,
+        error:
+          data.message ||
+          "We couldn't find an order with that ID and email address",
+        data: null,
+      };
+    }
+
+    return { success: true, data: data.order, error: null };
+  } catch (error) {
+    console.error("Error looking up order:", error);
+    return {
+      success: false,
+      error: "Unable to look up the order. Please try again.",
+      data: null,
+    };
+  }
+};
@@ -0,0 +1,255 @@
+// services/invoiceService.js
+import { jsPDF } from "jspdf";
+import { getGoodsDiscount, priceOrder } from "./PricingService";
+import {
+  SELLER,
+  calculateGstBreakdown,
+  resolveDeliveryState,
+} from "./TaxService";
+
+// The built-in PDF fonts have no rupee glyph
+const formatAmount = (amount) => `Rs. ${Number(amount).toFixed(2)}`;
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString("en-IN", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+};
+
+/**
+ * Builds the GST invoice for an order
+ * @param {Object} order - Order returned by /api/v1/orders/:userId
+ * @returns {Promise<jsPDF>} - Promise that resolves to the invoice document
+ */
+export const buildInvoice = async (order) => {
+  const address = order.deliveryAddress || {};
+  const deliveryState = await resolveDeliveryState(address);
+  const pricing = priceOrder(order);
+  const goodsDiscount = getGoodsDiscount(pricing);
+  const gst = calculateGstBreakdown(
+    order.items.map((item) => ({
+      name: item.productName,
+      category: item.category?.name || item.category,
+      price: item.price,
+      quantity: item.quantity,
+    })),
+    deliveryState,
+    goodsDiscount
+  );
+
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const margin = 14;
+  let y = 18;
+
+  // Moves to a new page when the next `height` mm won't fit on this one
+  const ensureSpace = (height) => {
+    if (y + height <= pageHeight - margin) return false;
+    doc.addPage();
+    y = 18;
+    return true;
+  };
+
+  // Header
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(16);
+  doc.text("TAX INVOICE", pageWidth / 2, y, { align: "center" });
+  y += 10;
+
+  doc.setFontSize(11);
+  doc.text(SELLER.name, margin, y);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  if (SELLER.address) doc.text(SELLER.address, margin, y + 5);
+  doc.text(`State: ${SELLER.state}`, margin, y + 10);
+  if (SELLER.gstin) doc.text(`GSTIN: ${SELLER.gstin}`, margin, y + 15);
+
+  doc.text(`Invoice No: INV-${order.orderId}`, pageWidth - margin, y, {
+    align: "right",
+  });
+  doc.text(
+    `Order ID: ${order.qikinkOrderId || order.orderId}`,
+    pageWidth - margin,
+    y + 5,
+    { align: "right" }
+  );
+  doc.text(
+    `Date: ${formatDate(order.createdAt)}`,
+    pageWidth - margin,
+    y + 10,
+    { align: "right" }
+  );
+  doc.text(
+    `Payment: ${order.paymentMethod === "COD" ? "Cash on Delivery" : "Online"}`,
+    pageWidth - margin,
+    y + 15,
+    { align: "right" }
+  );
+  y += 25;
+
+  // Billing / shipping address
+  doc.setFont("helvetica", "bold");
+  doc.text("Bill / Ship To", margin, y);
+  doc.setFont("helvetica", "normal");
+  const addressLines = [
+    address.fullName,
+    [address.doorNo, address.street].filter(Boolean).join(", "),
+    [address.city, deliveryState, address.pincode].filter(Boolean).join(", "),
+    address.phone && `Phone: ${address.phone}`,
+    address.email && `Email: ${address.email}`,
+  ].filter(Boolean);
+  addressLines.forEach((line, index) => {
+    doc.text(line, margin, y + 5 + index * 5);
+  });
+  doc.text(
+    `Place of Supply: ${deliveryState || "-"}`,
+    pageWidth - margin,
+    y,
+    { align: "right" }
+  );
+  y += 10 + addressLines.length * 5;
+
+  // Line items
+  const columns = gst.isInterState
+    ? [
+        { title: "Item", x: margin },
+        { title: "HSN", x: 82 },
+        { title: "Qty", x: 98 },
+        { title: "Taxable", x: 110 },
+        { title: "IGST", x: 140 },
+        { title: "Total", x: pageWidth - margin, align: "right" },
+      ]
+    : [
+        { title: "Item", x: margin },
+        { title: "HSN", x: 72 },
+        { title: "Qty", x: 88 },
+        { title: "Taxable", x: 98 },
+        { title: "CGST", x: 124 },
+        { title: "SGST", x: 150 },
+        { title: "Total", x: pageWidth - margin, align: "right" },
+      ];
+
+  // Repeated at the top of every page the items run onto
+  const drawItemHeader = () => {
+    doc.setFont("helvetica", "bold");
+    columns.forEach((column) => {
+      doc.text(column.title, column.x, y, { align: column.align || "left" });
+    });
+    doc.line(margin, y + 2, pageWidth - margin, y + 2);
+    y += 7;
+    doc.setFont("helvetica", "normal");
+  };
+  drawItemHeader();
+
+  gst.lines.forEach((line) => {
+    const name = doc.splitTextToSize(
+      line.name || "-",
+      columns[1].x - margin - 2
+    );
+    const values = gst.isInterState
+      ? [
+          name,
+          line.hsn,
+          String(line.quantity),
+          formatAmount(line.taxableValue),
+          `${formatAmount(line.igst)} (${line.rate}%)`,
+          formatAmount(line.total),
+        ]
+      : [
+          name,
+          line.hsn,
+          String(line.quantity),
+          formatAmount(line.taxableValue),
+          `${formatAmount(line.cgst)} (${line.rate / 2}%)`,
+          `${formatAmount(line.sgst)} (${line.rate / 2}%)`,
+          formatAmount(line.total),
+        ];
+    const rowHeight = Math.max(name.length, 1) * 5 + 1;
+    if (ensureSpace(rowHeight)) drawItemHeader();
+    values.forEach((value, index) => {
+      doc.text(value, columns[index].x, y, {
+        align: columns[index].align || "left",
+      });
+    });
+    y += rowHeight;
+  });
+  doc.line(margin, y - 3, pageWidth - margin, y - 3);
+  y += 3;
+
+  // Totals
+  const totals = [
+    ["Taxable Value", gst.totals.taxableValue],
+    ...(gst.isInterState
+      ? [["IGST", gst.totals.igst]]
+      : [
+          ["CGST", gst.totals.cgst],
+          ["SGST", gst.totals.sgst],
+        ]),
+    ["Shipping", pricing.shipping],
+    ...(pricing.couponFreeShipping && pricing.couponDiscount > 0
+      ? [["Shipping Discount", -pricing.couponDiscount]]
+      : []),
+    ...(pricing.codFee > 0 ? [["COD Fee", pricing.codFee]] : []),
+  ];
+  // Totals and the footer note stay together
+  ensureSpace(totals.length * 5 + 16);
+  totals.forEach(([label, amount]) => {
+    doc.text(label, 140, y);
+    doc.text(formatAmount(amount), pageWidth - margin, y, { align: "right" });
+    y += 5;
+  });
+  doc.setFont("helvetica", "bold");
+  doc.text("Grand Total", 140, y + 2);
+  doc.text(formatAmount(pricing.total), pageWidth - margin, y + 2, {
+    align: "right",
+  });
+  y += 14;
+
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(8);
+  doc.text(
+    "Prices are inclusive of GST. This is a computer generated invoice and does not require a signature.",
+    margin,
+    y
+  );
+
+  return doc;
+};
+
+/**
+ * Generates the invoice and saves it as a PDF
+ * @param {Object} order - Order returned by /api/v1/orders/:userId
+ * @returns {Promise<void>}
+ */
+export const downloadInvoice = async (order) => {
+  const doc = await buildInvoice(order);
+  doc.save(`invoice-${order.orderId}.pdf`);
+};
+
+/**
+ * Generates the invoice and opens the browser print dialog for it. Call it
+ * straight from the click handler: the window is opened before anything is
+ * awaited, so popup blockers let it through.
+ * @param {Object} order - Order returned by /api/v1/orders/:userId
+ * @returns {Promise<void>}
+ */
+export const printInvoice = async (order) => {
+  const printWindow = window.open("", "_blank");
+
+  try {
+    const doc = await buildInvoice(order);
+    doc.autoPrint();
+    const url = doc.output("bloburl");
+    if (printWindow) {
+      printWindow.location.href = url;
+    } else {
+      window.open(url, "_blank");
+    }
+  } catch (error) {
+    printWindow?.close();
+    throw error;
+  }
+};
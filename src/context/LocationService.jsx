@@ -1,4 +1,5 @@
 // services/locationService.js
+import { pincodePrefixes } from "../assets/pincodeData";
 
 /**
  * Validates Indian PIN code format
@@ -10,22 +11,104 @@ export const validatePincode = (pincode) => {
   return pincodeRegex.test(pincode);
 };
 
+const PINCODE_API_URL = "https://api.postalpincode.in/pincode";
+const PINCODE_API_TIMEOUT_MS = 5000;
+const PINCODE_CACHE_DB = "pincodeCache";
+const PINCODE_CACHE_STORE = "postOffices";
+const PINCODE_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Post office lists already resolved in this session
+const memoryCache = new Map();
+
+const openCacheDb = () => {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const request = indexedDB.open(PINCODE_CACHE_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(PINCODE_CACHE_STORE, {
+        keyPath: "pincode",
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const readCachedPostOffices = async (pincode) => {
+  if (memoryCache.has(pincode)) {
+    return memoryCache.get(pincode);
+  }
+
+  try {
+    const db = await openCacheDb();
+    const entry = await new Promise((resolve, reject) => {
+      const request = db
+        .transaction(PINCODE_CACHE_STORE, "readonly")
+        .objectStore(PINCODE_CACHE_STORE)
+        .get(pincode);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    db.close();
+
+    if (entry && Date.now() - entry.cachedAt < PINCODE_CACHE_TTL_MS) {
+      memoryCache.set(pincode, entry.postOffices);
+      return entry.postOffices;
+    }
+  } catch (error) {
+    console.error("Error reading PIN code cache:", error);
+  }
+  return null;
+};
+
+const cachePostOffices = async (pincode, postOffices) => {
+  memoryCache.set(pincode, postOffices);
+
+  try {
+    const db = await openCacheDb();
+    db.transaction(PINCODE_CACHE_STORE, "readwrite")
+      .objectStore(PINCODE_CACHE_STORE)
+      .put({ pincode, postOffices, cachedAt: Date.now() });
+    db.close();
+  } catch (error) {
+    console.error("Error writing PIN code cache:", error);
+  }
+};
+
 /**
- * Fetches city and state information based on Indian PIN code
- * @param {string} pincode - The PIN code to fetch location for
- * @returns {Promise<Object>} - Promise that resolves to location data or error
+ * Looks a PIN code up in the bundled directory
+ * @param {string} pincode - The PIN code to look up
+ * @returns {Object|null} - { state } for the longest matching prefix, or
+ *   null if none matches
  */
-export const fetchLocationByPincode = async (pincode) => {
-  // Validate PIN code format first
-  if (!validatePincode(pincode)) {
-    throw new Error("Invalid PIN code format");
+export const lookupBundledPincode = (pincode) => {
+  for (let length = 3; length >= 2; length--) {
+    const entry = pincodePrefixes[pincode.slice(0, length)];
+    if (entry) return entry;
   }
+  return null;
+};
+
+/**
+ * Fetches the post offices for a PIN code from India Post, caching the answer
+ * @param {string} pincode - The PIN code to fetch
+ * @returns {Promise<Object[]|null>} - Post offices, or null if the PIN code
+ *   doesn't exist. Throws if the API can't be reached.
+ */
+const fetchRemotePostOffices = async (pincode) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(
+    () => controller.abort(),
+    PINCODE_API_TIMEOUT_MS
+  );
 
   try {
-    // Using the official India Post API
-    const response = await fetch(
-      `https://api.postalpincode.in/pincode/${pincode}`
-    );
+    const response = await fetch(`${PINCODE_API_URL}/${pincode}`, {
+      signal: controller.signal,
+    });
 
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
@@ -33,21 +116,67 @@ export const fetchLocationByPincode = async (pincode) => {
 
     const data = await response.json();
 
-    // Check if the API returned valid data
     if (data && data[0] && data[0].Status === "Success" && data[0].PostOffice) {
-      const postOffice = data[0].PostOffice[0];
+      cachePostOffices(pincode, data[0].PostOffice);
+      return data[0].PostOffice;
+    }
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+const toLocation = (postOffice) => ({
+  city: postOffice.District,
+  state: postOffice.State,
+  area: postOffice.Name,
+  division: postOffice.Division,
+  region: postOffice.Region,
+  circle: postOffice.Circle,
+});
+
+// A prefix only tells the state; the city is left for the user to fill in
+const toBundledLocation = (entry) => ({
+  city: "",
+  state: entry.state,
+  area: "",
+  division: "",
+  region: "",
+  circle: "",
+});
+
+/**
+ * Fetches city and state information based on Indian PIN code. Resolves from
+ * the local cache, then the India Post API, and falls back to the state from
+ * the bundled directory only when the API is unreachable.
+ * @param {string} pincode - The PIN code to fetch location for
+ * @returns {Promise<Object>} - Promise that resolves to location data or error
+ */
+export const fetchLocationByPincode = async (pincode) => {
+  // Validate PIN code format first
+  if (!validatePincode(pincode)) {
+    throw new Error("Invalid PIN code format");
+  }
+
+  const cached = await readCachedPostOffices(pincode);
+  if (cached) {
+    const location = toLocation(cached[0]);
+    return {
+      success: true,
+      data: { ...location, source: "cache" },
+      message: `Location detected: ${location.city}, ${location.state}`,
+    };
+  }
+
+  try {
+    const postOffices = await fetchRemotePostOffices(pincode);
 
+    if (postOffices) {
+      const location = toLocation(postOffices[0]);
       return {
         success: true,
-        data: {
-          city: postOffice.District,
-          state: postOffice.State,
-          area: postOffice.Name,
-          division: postOffice.Division,
-          region: postOffice.Region,
-          circle: postOffice.Circle,
-        },
-        message: `Location detected: ${postOffice.District}, ${postOffice.State}`,
+        data: { ...location, source: "remote" },
+        message: `Location detected: ${location.city}, ${location.state}`,
       };
     } else {
       // If PIN code is not found
@@ -60,6 +189,15 @@ export const fetchLocationByPincode = async (pincode) => {
   } catch (error) {
     console.error("Error fetching location:", error);
 
+    const bundled = lookupBundledPincode(pincode);
+    if (bundled) {
+      return {
+        success: true,
+        data: { ...toBundledLocation(bundled), source: "bundled" },
+        message: `State detected: ${bundled.state}. Please enter your city.`,
+      };
+    }
+
     // Return structured error response
     return {
       success: false,
@@ -116,7 +254,8 @@ export const fetchMultipleLocations = async (pincodes) => {
 };
 
 /**
- * Get all post offices for a PIN code (if multiple exist)
+ * Get all post offices for a PIN code (if multiple exist), so users can pick
+ * their locality. Served from the local cache when possible.
  * @param {string} pincode - The PIN code to fetch all post offices for
  * @returns {Promise<Object>} - Promise that resolves to all post office data
  */
@@ -126,28 +265,22 @@ export const fetchAllPostOfficesByPincode = async (pincode) => {
   }
 
   try {
-    const response = await fetch(
-      `https://api.postalpincode.in/pincode/${pincode}`
-    );
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
+    const postOffices =
+      (await readCachedPostOffices(pincode)) ||
+      (await fetchRemotePostOffices(pincode));
 
-    if (data && data[0] && data[0].Status === "Success" && data[0].PostOffice) {
+    if (postOffices) {
       return {
         success: true,
         data: {
-          postOffices: data[0].PostOffice,
-          count: data[0].PostOffice.length,
+          postOffices,
+          count: postOffices.length,
           primaryLocation: {
-            city: data[0].PostOffice[0].District,
-            state: data[0].PostOffice[0].State,
+            city: postOffices[0].District,
+            state: postOffices[0].State,
           },
         },
-        message: `Found ${data[0].PostOffice.length} post office(s) for PIN ${pincode}`,
+        message: `Found ${postOffices.length} post office(s) for PIN ${pincode}`,
       };
     } else {
       return {
@@ -7,12 +7,14 @@ import React, {
 } from "react";
 import { BASE_URL } from "../server/server";
 import { useGoogleLogin } from "@react-oauth/google";
+import { clearGuestSession, loadGuestSession } from "./GuestService";
 
 const NewAuthContext = createContext({
   user: null,
   login: async () => {},
   googleLogin: () => {},
   signup: async () => {},
+  convertGuestAccount: async () => {},
   logout: () => {},
   isLoading: false,
   fetchUser: async () => {},
@@ -238,6 +240,40 @@ export function NewAuthProvider({ children }) {
     }
   };
 
+  // Turns the verified guest into a full account; the backend moves the
+  // guest's orders over to it
+  const convertGuestAccount = async (firstName, lastName, password) => {
+    const guestSession = loadGuestSession();
+    if (!guestSession) {
+      throw new Error("Your guest session has expired. Please sign up instead.");
+    }
+    if (!firstName?.trim() || !lastName?.trim() || !password?.trim()) {
+      throw new Error("All fields are required");
+    }
+
+    try {
+      const data = await apiCall("/api/v1/guest/convert", {
+        method: "POST",
+        headers: { Authorization: `Bearer ${guestSession.token}` },
+        body: JSON.stringify({ firstName, lastName, password }),
+      });
+
+      setAccessToken(data.accessToken);
+      setRefreshToken(data.refreshToken);
+      setUser(data.user);
+
+      SecureStorage.setItem("accessToken", data.accessToken);
+      SecureStorage.setItem("refreshToken", data.refreshToken);
+      SecureStorage.setItem("user", data.user);
+      clearGuestSession();
+
+      return data.user;
+    } catch (error) {
+      console.error("Guest conversion error:", error);
+      throw error;
+    }
+  };
+
   const logout = useCallback(() => {
     setUser(null);
     setAccessToken(null);
@@ -304,6 +340,7 @@ export function NewAuthProvider({ children }) {
     login,
     googleLogin,
     signup,
+    convertGuestAccount,
     logout,
     isLoading,
     fetchUser,
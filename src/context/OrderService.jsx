@@ -0,0 +1,292 @@
+// services/orderService.js
+
+/**
+ * Courier tracking page, `{awb}` is replaced with the order's AWB number
+ */
+export const TRACKING_URL_TEMPLATE =
+  import.meta.env.VITE_TRACKING_URL_TEMPLATE ||
+  "https://shiprocket.co/tracking/{awb}";
+
+/**
+ * Shipment milestones shown on the order timeline, in order. `statuses` are
+ * the order statuses that mean the milestone has been reached.
+ */
+export const ORDER_TIMELINE_STEPS = [
+  {
+    key: "placed",
+    label: "Order Placed",
+    statuses: ["created", "payment_pending", "confirmed"],
+  },
+  { key: "printed", label: "Printed", statuses: ["processing", "printed"] },
+  { key: "shipped", label: "Shipped", statuses: ["shipped", "in_transit"] },
+  {
+    key: "out_for_delivery",
+    label: "Out for Delivery",
+    statuses: ["out_for_delivery"],
+  },
+  { key: "delivered", label: "Delivered", statuses: ["delivered"] },
+];
+
+// Statuses that end the order before it reaches the customer
+const TERMINAL_STATUSES = ["payment_failed", "cancelled", "refunded"];
+
+/**
+ * @param {string} status - Order status
+ * @returns {string} - Tailwind classes for the status badge
+ */
+export const getStatusColor = (status) => {
+  const colors = {
+    created: "bg-gray-100 text-gray-800",
+    payment_pending: "bg-yellow-100 text-yellow-800",
+    payment_failed: "bg-red-100 text-red-800",
+    confirmed: "bg-blue-100 text-blue-800",
+    processing: "bg-blue-200 text-blue-900",
+    printed: "bg-sky-100 text-sky-800",
+    shipped: "bg-indigo-100 text-indigo-800",
+    in_transit: "bg-indigo-100 text-indigo-800",
+    out_for_delivery: "bg-indigo-200 text-indigo-900",
+    delivered: "bg-green-100 text-green-800",
+    cancelled: "bg-red-200 text-red-900",
+    disputed: "bg-orange-100 text-orange-800",
+    refunded: "bg-purple-100 text-purple-800",
+  };
+  return colors[(status || "").toLowerCase()] || "bg-gray-100 text-gray-800";
+};
+
+/**
+ * @param {string} status - Order status, e.g. "out_for_delivery"
+ * @returns {string} - Display label, e.g. "Out for delivery"
+ */
+export const formatOrderStatus = (status) => {
+  const label = (status || "").replace(/_/g, " ");
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+/**
+ * Order items reference their product by id, or by the product itself when
+ * the API populates it
+ * @param {Object} item - Order item
+ * @returns {string|undefined} - Product id
+ */
+export const getOrderItemProductId = (item) => {
+  return typeof item.productId === "object"
+    ? item.productId?._id
+    : item.productId;
+};
+
+/**
+ * @param {Object} item - Order item
+ * @returns {string|undefined} - Product image URL, if known
+ */
+export const getOrderItemImage = (item) => {
+  return (
+    item.image ||
+    (typeof item.productId === "object" ? item.productId?.image : undefined)
+  );
+};
+
+/**
+ * Builds the courier tracking link for an order
+ * @param {Object} order - Order with `trackingUrl` and/or `awbNo`
+ * @returns {string|null} - Tracking URL, or null before the order ships
+ */
+export const getTrackingUrl = (order) => {
+  if (order?.trackingUrl) return order.trackingUrl;
+  if (!order?.awbNo) return null;
+  return TRACKING_URL_TEMPLATE.replace(
+    "{awb}",
+    encodeURIComponent(order.awbNo)
+  );
+};
+
+/**
+ * Works out the shipment timeline for an order
+ * @param {Object} order - Order with `status`, `createdAt` and optionally
+ *   `statusHistory` as [{ status, date }]
+ * @returns {Object} - { steps: [{ key, label, completed, current, date }],
+ *   haltedStatus } where haltedStatus is set for failed/cancelled orders
+ */
+export const getOrderTimeline = (order) => {
+  const status = (order?.status || "").toLowerCase();
+  const history = order?.statusHistory || [];
+  const currentIndex = ORDER_TIMELINE_STEPS.findIndex((step) =>
+    step.statuses.includes(status)
+  );
+
+  // Last step the order is known to have reached. Cancelled orders keep the
+  // progress recorded in their history.
+  const reachedIndex =
+    currentIndex >= 0
+      ? currentIndex
+      : history.reduce((reached, entry) => {
+          const index = ORDER_TIMELINE_STEPS.findIndex((step) =>
+            step.statuses.includes((entry.status || "").toLowerCase())
+          );
+          return Math.max(reached, index);
+        }, 0);
+
+  const steps = ORDER_TIMELINE_STEPS.map((step, index) => {
+    const entry = history.find((item) =>
+      step.statuses.includes((item.status || "").toLowerCase())
+    );
+    return {
+      key: step.key,
+      label: step.label,
+      completed: index <= reachedIndex,
+      current: index === reachedIndex,
+      date: entry?.date || (index === 0 ? order?.createdAt : null),
+    };
+  });
+
+  return {
+    steps,
+    haltedStatus: TERMINAL_STATUSES.includes(status) ? status : null,
+  };
+};
+
+// Orders that never reached the customer aren't offered for buying again
+const NOT_PURCHASED_STATUSES = ["payment_failed", "cancelled"];
+
+/**
+ * Collects distinct items from past orders, most recent first
+ * @param {Object[]} orders - Orders returned by /api/v1/orders/:userId
+ * @param {number} limit - Maximum number of items (default: 8)
+ * @returns {Object[]} - Order items, one per product + size + color
+ */
+export const getBuyAgainItems = (orders, limit = 8) => {
+  const seen = new Set();
+
+  return [...orders]
+    .filter(
+      (order) =>
+        !NOT_PURCHASED_STATUSES.includes((order.status || "").toLowerCase())
+    )
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .flatMap((order) => order.items)
+    .filter((item) => {
+      const key = `${getOrderItemProductId(item)}:${item.size}:${item.color}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+};
+
+export const ORDERS_PAGE_SIZE = 10;
+
+/**
+ * Status filter groups for the order history
+ */
+export const ORDER_STATUS_FILTERS = [
+  { value: "all", label: "All orders", statuses: [] },
+  {
+    value: "in_progress",
+    label: "In progress",
+    statuses: [
+      "created",
+      "payment_pending",
+      "confirmed",
+      "processing",
+      "printed",
+    ],
+  },
+  {
+    value: "shipped",
+    label: "Shipped",
+    statuses: ["shipped", "in_transit", "out_for_delivery"],
+  },
+  { value: "delivered", label: "Delivered", statuses: ["delivered"] },
+  {
+    value: "cancelled",
+    label: "Cancelled / Failed",
+    statuses: ["cancelled", "payment_failed", "refunded"],
+  },
+  { value: "disputed", label: "Disputed", statuses: ["disputed"] },
+];
+
+export const ORDER_SORT_OPTIONS = [
+  { value: "date_desc", label: "Newest first" },
+  { value: "date_asc", label: "Oldest first" },
+  { value: "amount_desc", label: "Amount: High to Low" },
+  { value: "amount_asc", label: "Amount: Low to High" },
+];
+
+export const DEFAULT_ORDER_FILTERS = {
+  status: "all",
+  from: "",
+  to: "",
+  query: "",
+  sort: "date_desc",
+};
+
+/**
+ * Builds the query string for a page of the order history
+ * @param {Object} filters - { status, from, to, query, sort }
+ * @param {number} page - 1-based page number
+ * @returns {string} - Query string without the leading "?"
+ */
+export const buildOrderQuery = (filters, page) => {
+  const params = new URLSearchParams({
+    page: String(page),
+    limit: String(ORDERS_PAGE_SIZE),
+    sort: filters.sort,
+  });
+  const statusFilter = ORDER_STATUS_FILTERS.find(
+    (option) => option.value === filters.status
+  );
+  if (statusFilter?.statuses.length) {
+    params.set("status", statusFilter.statuses.join(","));
+  }
+  if (filters.from) params.set("from", filters.from);
+  if (filters.to) params.set("to", filters.to);
+  if (filters.query.trim()) params.set("q", filters.query.trim());
+  return params.toString();
+};
+
+/**
+ * Applies the order history filters and sort locally, for API responses
+ * that return every order at once
+ * @param {Object[]} orders - Orders returned by /api/v1/orders/:userId
+ * @param {Object} filters - { status, from, to, query, sort }
+ * @returns {Object[]} - Matching orders in the requested order
+ */
+export const filterOrders = (orders, filters) => {
+  const statuses =
+    ORDER_STATUS_FILTERS.find((option) => option.value === filters.status)
+      ?.statuses || [];
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`) : null;
+  const to = filters.to ? new Date(`${filters.to}T23:59:59.999`) : null;
+  const query = filters.query.trim().toLowerCase();
+
+  const matches = orders.filter((order) => {
+    const createdAt = new Date(order.createdAt);
+    if (
+      statuses.length &&
+      !statuses.includes((order.status || "").toLowerCase())
+    ) {
+      return false;
+    }
+    if (from && createdAt < from) return false;
+    if (to && createdAt > to) return false;
+    if (
+      query &&
+      ![order.orderId, order.qikinkOrderId]
+        .filter(Boolean)
+        .some((id) => String(id).toLowerCase().includes(query)) &&
+      !order.items.some((item) =>
+        (item.productName || "").toLowerCase().includes(query)
+      )
+    ) {
+      return false;
+    }
+    return true;
+  });
+
+  const [field, direction] = filters.sort.split("_");
+  const sign = direction === "asc" ? 1 : -1;
+  return matches.sort((a, b) =>
+    field === "amount"
+      ? sign * (Number(a.totalAmount) - Number(b.totalAmount))
+      : sign * (new Date(a.createdAt) - new Date(b.createdAt))
+  );
+};
@@ -0,0 +1,712 @@
+// services/paymentService.js
+import { BASE_URL } from "../server/server";
+import { getCheckoutToken } from "./GuestService";
+
+/**
+ * Payment settings from the environment
+ * - prepaidGateway: gateway used for online payments, "razorpay" or "mock"
+ * - razorpayKeyId: public Razorpay key, e.g. rzp_live_xxx
+ * - stripePublishableKey: public Stripe key, e.g. pk_live_xxx. Card
+ *   payments through Stripe are offered only when it is set.
+ * - mockOutcome: how the mock gateway ends a payment, "success", "failed"
+ *   or "dismissed"
+ */
+export const PAYMENT_CONFIG = {
+  prepaidGateway: import.meta.env.VITE_PAYMENT_GATEWAY || "razorpay",
+  razorpayKeyId: import.meta.env.VITE_RAZORPAY_KEY_ID || "",
+  stripePublishableKey: import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY || "",
+  mockOutcome: import.meta.env.VITE_MOCK_PAYMENT_OUTCOME || "success",
+};
+
+const RAZORPAY_CHECKOUT_URL = "https://checkout.razorpay.com/v1/checkout.js";
+const STRIPE_JS_URL = "https://js.stripe.com/v3/";
+const MOCK_PAYMENT_DELAY_MS = 800;
+
+/**
+ * States of a checkout payment
+ * - success: the gateway accepted the payment, it still has to be verified
+ * - pending: the payment window is open
+ * - failed: the bank/gateway declined the payment
+ * - dismissed: the customer closed the payment window
+ * - unverified: money was taken but the order couldn't be confirmed; this
+ *   must go to support, never be retried
+ */
+export const PAYMENT_STATUS = {
+  SUCCESS: "success",
+  PENDING: "pending",
+  FAILED: "failed",
+  DISMISSED: "dismissed",
+  UNVERIFIED: "unverified",
+};
+
+/**
+ * Currencies international customers can pay in through Stripe. Order
+ * totals stay in INR; Stripe charges the converted amount.
+ */
+export const PAYMENT_CURRENCIES = [
+  { code: "INR", label: "Indian Rupee (₹)" },
+  { code: "USD", label: "US Dollar ($)" },
+  { code: "EUR", label: "Euro (€)" },
+  { code: "GBP", label: "British Pound (£)" },
+  { code: "AED", label: "UAE Dirham (AED)" },
+  { code: "SGD", label: "Singapore Dollar (S$)" },
+  { code: "AUD", label: "Australian Dollar (A$)" },
+  { code: "CAD", label: "Canadian Dollar (C$)" },
+];
+
+const PENDING_PAYMENT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const getPendingPaymentKey = (userId) => `pendingPayment_${userId}`;
+
+// Guests pay with the token from their verified guest session
+const getAuthHeaders = () => ({
+  Authorization: `Bearer ${getCheckoutToken()}`,
+  "Content-Type": "application/json",
+});
+
+/**
+ * Loads a third-party script once
+ * @param {string} src - Script URL
+ * @returns {Promise<boolean>} - True once the script is available
+ */
+const loadScript = (src) => {
+  return new Promise((resolve) => {
+    const existing = document.querySelector(`script[src="${src}"]`);
+    if (existing?.dataset.loaded === "true") {
+      resolve(true);
+      return;
+    }
+
+    const script = existing || document.createElement("script");
+    script.src = src;
+    script.addEventListener("load", () => {
+      script.dataset.loaded = "true";
+      resolve(true);
+    });
+    script.addEventListener("error", () => {
+      script.remove();
+      resolve(false);
+    });
+    if (!existing) {
+      document.body.appendChild(script);
+    }
+  });
+};
+
+/**
+ * @returns {string} - New idempotency key for a checkout attempt
+ */
+export const createIdempotencyKey = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+/**
+ * Sends an order to the backend, which places it with Qikink. The payload's
+ * idempotency key lets the backend spot a resubmitted attempt; it answers
+ * 409 with the order already placed for that key.
+ * @param {string} path - Endpoint that places the order
+ * @param {Object} body - Order payload, plus payment details if prepaid
+ * @returns {Promise<Object>} - { success, data: placed order, error,
+ *   duplicate }
+ */
+const placeOrder = async (path, body) => {
+  try {
+    const response = await fetch(`${BASE_URL}${path}`, {
+      method: "POST",
+      headers: {
+        ...getAuthHeaders(),
+        "Idempotency-Key": body.idempotencyKey,
+      },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+
+    if (response.status === 409 && data.order) {
+      return { success: true, data: data.order, error: null, duplicate: true };
+    }
+
+    if (!response.ok) {
+      return {
+        success: false,
+        error: data.message || "Failed to create order",
+        data: null,
+      };
+    }
+
+    return { success: true, data, error: null, duplicate: false };
+  } catch (error) {
+    console.error("Error placing order:", error);
+    return {
+      success: false,
+      error: "Unable to reach the server. Please try again.",
+      data: null,
+    };
+  }
+};
+
+/**
+ * Records a failed or abandoned payment so it shows up for support. Best
+ * effort: a failure here must not block the customer.
+ * @param {string} gatewayId - Gateway the payment went through
+ * @param {Object} details - { gatewayOrderId, status, reason, code,
+ *   paymentId, amount }
+ */
+const reportPaymentFailure = async (gatewayId, details) => {
+  try {
+    await fetch(`${BASE_URL}/api/v1/${gatewayId}/payment-failed`, {
+      method: "POST",
+      headers: getAuthHeaders(),
+      body: JSON.stringify(details),
+    });
+  } catch (error) {
+    console.error("Error reporting payment failure:", error);
+  }
+};
+
+/**
+ * @param {string} gatewayId - Gateway the order was paid through
+ * @param {Object} order - Cancelled or refunded order
+ * @returns {Promise<Object>} - { success, data: { status, amount } or null,
+ *   error }
+ */
+const fetchRefundStatus = async (gatewayId, order) => {
+  if (!order?.paymentId) {
+    return { success: true, data: null, error: null };
+  }
+
+  try {
+    const response = await fetch(
+      `${BASE_URL}/api/v1/${gatewayId}/refund-status/${encodeURIComponent(
+        order.paymentId
+      )}`,
+      { headers: getAuthHeaders() }
+    );
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      return {
+        success: false,
+        error: data.message || "Unable to load refund status",
+        data: null,
+      };
+    }
+
+    return {
+      success: true,
+      data: data.refund
+        ? { status: data.refund.status, amount: data.refund.amount }
+        : null,
+      error: null,
+    };
+  } catch (error) {
+    console.error("Error fetching refund status:", error);
+    return {
+      success: false,
+      error: "Unable to load refund status",
+      data: null,
+    };
+  }
+};
+
+/*
+ * Payment gateways. Every gateway has the same shape so checkout doesn't
+ * need to know which one it is talking to:
+ * - id, label, prepaid: whether money is taken before the order is placed
+ * - initiate(orderPayload, { currency }): { success, data: session, error },
+ *   where the session holds at least the gateway's `gatewayOrderId`
+ * - open(session, { orderPayload, prefill, notes, openCardDialog }):
+ *   resolves with { status: "success", response, paymentId } or
+ *   { status: "failed", error } or { status: "dismissed" }. Gateways without
+ *   a window of their own show theirs through `openCardDialog`.
+ * - verify(orderPayload, session, response): { success, data: placed order,
+ *   error, duplicate }
+ * - getRefundStatus(order): { success, data: { status, amount } or null,
+ *   error }
+ */
+
+const razorpayGateway = {
+  id: "razorpay",
+  label: "Razorpay",
+  prepaid: true,
+
+  initiate: async (orderPayload) => {
+    if (!PAYMENT_CONFIG.razorpayKeyId) {
+      console.error("VITE_RAZORPAY_KEY_ID is not set");
+      return {
+        success: false,
+        error: "Online payments are unavailable right now",
+        data: null,
+      };
+    }
+
+    try {
+      const response = await fetch(
+        `${BASE_URL}/api/v1/razorpay/initiate-payment`,
+        {
+          method: "POST",
+          headers: getAuthHeaders(),
+          body: JSON.stringify({ amount: orderPayload.totalAmount }),
+        }
+      );
+
+      const data = await response.json();
+
+      if (!response.ok || !data.razorpayOrderId) {
+        return {
+          success: false,
+          error: data.message || "Unable to start the payment",
+          data: null,
+        };
+      }
+
+      return {
+        success: true,
+        data: { gatewayOrderId: data.razorpayOrderId },
+        error: null,
+      };
+    } catch (error) {
+      console.error("Error initiating payment:", error);
+      return {
+        success: false,
+        error: "Unable to reach the payment server. Please try again.",
+        data: null,
+      };
+    }
+  },
+
+  // Razorpay lets the customer retry inside the window after a failure, so
+  // a failure only ends the flow once the window is closed
+  open: async (session, { orderPayload, prefill, notes }) => {
+    const scriptLoaded = await loadScript(RAZORPAY_CHECKOUT_URL);
+    if (!scriptLoaded) {
+      return {
+        status: PAYMENT_STATUS.FAILED,
+        error: {
+          description:
+            "Couldn't load the payment window. Check your connection",
+        },
+      };
+    }
+
+    const report = (details) =>
+      reportPaymentFailure(razorpayGateway.id, {
+        ...details,
+        gatewayOrderId: session.gatewayOrderId,
+        amount: orderPayload.totalAmount,
+      });
+
+    return new Promise((resolve) => {
+      let lastError = null;
+
+      const razorpayInstance = new window.Razorpay({
+        key: PAYMENT_CONFIG.razorpayKeyId,
+        amount: Math.round(orderPayload.totalAmount * 100).toString(),
+        currency: "INR",
+        name: "Moons Flare",
+        description: "Order Payment",
+        image:
+          "https://res.cloudinary.com/dra8tbz4z/image/upload/v1749202863/MF/L_pqzxzz.png",
+        order_id: session.gatewayOrderId,
+        handler: (response) =>
+          resolve({
+            status: PAYMENT_STATUS.SUCCESS,
+            response,
+            paymentId: response.razorpay_payment_id,
+          }),
+        prefill,
+        notes,
+        theme: {
+          color: "#FDBA74",
+        },
+        modal: {
+          ondismiss: () => {
+            if (lastError) {
+              resolve({ status: PAYMENT_STATUS.FAILED, error: lastError });
+              return;
+            }
+            report({ status: PAYMENT_STATUS.DISMISSED });
+            resolve({ status: PAYMENT_STATUS.DISMISSED });
+          },
+        },
+      });
+
+      razorpayInstance.on("payment.failed", (response) => {
+        lastError = {
+          code: response.error?.code,
+          description: response.error?.description,
+          reason: response.error?.reason,
+          paymentId: response.error?.metadata?.payment_id,
+        };
+        report({ ...lastError, status: PAYMENT_STATUS.FAILED });
+      });
+
+      razorpayInstance.open();
+    });
+  },
+
+  verify: (orderPayload, session, response) =>
+    placeOrder("/api/v1/razorpay/process-order", {
+      ...orderPayload,
+      paymentId: response.razorpay_payment_id,
+      razorpayOrderId: session.gatewayOrderId,
+      razorpaySignature: response.razorpay_signature,
+    }),
+
+  getRefundStatus: (order) => fetchRefundStatus(razorpayGateway.id, order),
+};
+
+// Card payments in the customer's currency, for international customers
+const stripeGateway = {
+  id: "stripe",
+  label: "Stripe",
+  prepaid: true,
+
+  initiate: async (orderPayload, { currency = "INR" } = {}) => {
+    if (!PAYMENT_CONFIG.stripePublishableKey) {
+      console.error("VITE_STRIPE_PUBLISHABLE_KEY is not set");
+      return {
+        success: false,
+        error: "Card payments are unavailable right now",
+        data: null,
+      };
+    }
+
+    try {
+      // The backend converts the INR total into the chosen currency
+      const response = await fetch(
+        `${BASE_URL}/api/v1/stripe/create-payment-intent`,
+        {
+          method: "POST",
+          headers: getAuthHeaders(),
+          // Cards only: redirect-based methods would send the customer away
+          // from checkout before the order is placed
+          body: JSON.stringify({
+            amount: orderPayload.totalAmount,
+            currency,
+            paymentMethodTypes: ["card"],
+          }),
+        }
+      );
+
+      const data = await response.json();
+
+      if (!response.ok || !data.clientSecret) {
+        return {
+          success: false,
+          error: data.message || "Unable to start the payment",
+          data: null,
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          gatewayOrderId: data.paymentIntentId,
+          clientSecret: data.clientSecret,
+          amount: data.amount,
+          currency: data.currency || currency,
+        },
+        error: null,
+      };
+    } catch (error) {
+      console.error("Error initiating payment:", error);
+      return {
+        success: false,
+        error: "Unable to reach the payment server. Please try again.",
+        data: null,
+      };
+    }
+  },
+
+  // Stripe doesn't bring its own window, so the Payment Element is shown in
+  // the checkout's card dialog. Like Razorpay, a declined card can be retried
+  // there, so a failure only ends the flow once the dialog is closed.
+  open: async (session, { orderPayload, prefill, openCardDialog }) => {
+    const scriptLoaded = await loadScript(STRIPE_JS_URL);
+    if (!scriptLoaded) {
+      return {
+        status: PAYMENT_STATUS.FAILED,
+        error: {
+          description:
+            "Couldn't load the payment window. Check your connection",
+        },
+      };
+    }
+
+    const report = (details) =>
+      reportPaymentFailure(stripeGateway.id, {
+        ...details,
+        gatewayOrderId: session.gatewayOrderId,
+        amount: orderPayload.totalAmount,
+        currency: session.currency,
+      });
+
+    const stripe = window.Stripe(PAYMENT_CONFIG.stripePublishableKey);
+    const elements = stripe.elements({
+      clientSecret: session.clientSecret,
+      appearance: { theme: "stripe", variables: { colorPrimary: "#FDBA74" } },
+    });
+
+    return openCardDialog({
+      elements,
+      // `amount` is in the currency's smallest unit
+      amountLabel: new Intl.NumberFormat("en-IN", {
+        style: "currency",
+        currency: session.currency,
+      }).format(session.amount / 100),
+      billingDetails: {
+        name: prefill.name,
+        email: prefill.email,
+        phone: prefill.contact,
+      },
+
+      // Resolves with the outcome, or null when the card details are
+      // incomplete and nothing was attempted
+      confirm: async () => {
+        // The intent is card-only, so 3-D Secure runs in Stripe's own popup
+        // and the customer never leaves the page
+        const { error, paymentIntent } = await stripe.confirmPayment({
+          elements,
+          redirect: "if_required",
+        });
+
+        if (error) {
+          if (error.type === "validation_error") return null;
+
+          const failure = {
+            code: error.decline_code || error.code,
+            description: error.message,
+            paymentId: error.payment_intent?.id,
+          };
+          report({ ...failure, status: PAYMENT_STATUS.FAILED });
+          return { status: PAYMENT_STATUS.FAILED, error: failure };
+        }
+
+        return {
+          status: PAYMENT_STATUS.SUCCESS,
+          response: paymentIntent,
+          paymentId: paymentIntent.id,
+        };
+      },
+
+      // Closing after a decline ends the flow as that failure
+      dismiss: (lastFailure) => {
+        if (lastFailure) return lastFailure;
+        report({ status: PAYMENT_STATUS.DISMISSED });
+        return { status: PAYMENT_STATUS.DISMISSED };
+      },
+    });
+  },
+
+  // Same handoff as Razorpay: the backend checks the payment with Stripe and
+  // then places the order with Qikink
+  verify: (orderPayload, session, response) =>
+    placeOrder("/api/v1/stripe/process-order", {
+      ...orderPayload,
+      paymentId: response.id,
+      stripePaymentIntentId: session.gatewayOrderId,
+      paymentCurrency: session.currency,
+    }),
+
+  getRefundStatus: (order) => fetchRefundStatus(stripeGateway.id, order),
+};
+
+// Nothing is collected up front, the order is placed straight away
+const codGateway = {
+  id: "cod",
+  label: "Cash on Delivery",
+  prepaid: false,
+
+  initiate: async () => ({
+    success: true,
+    data: { gatewayOrderId: null },
+    error: null,
+  }),
+
+  open: async () => ({
+    status: PAYMENT_STATUS.SUCCESS,
+    response: null,
+    paymentId: null,
+  }),
+
+  verify: (orderPayload) => placeOrder("/api/v1/qikink/order", orderPayload),
+
+  // Nothing was paid online; COD returns are refunded by bank transfer
+  getRefundStatus: async () => ({ success: true, data: null, error: null }),
+};
+
+/**
+ * Stand-in for a real prepaid gateway in development and tests. Never
+ * touches the network: payments end as PAYMENT_CONFIG.mockOutcome and
+ * orders are made up locally.
+ */
+const mockOrders = new Map();
+
+const mockGateway = {
+  id: "mock",
+  label: "Test payment",
+  prepaid: true,
+
+  initiate: async () => ({
+    success: true,
+    data: { gatewayOrderId: `mock_order_${Date.now()}` },
+    error: null,
+  }),
+
+  open: () =>
+    new Promise((resolve) => {
+      setTimeout(() => {
+        switch (PAYMENT_CONFIG.mockOutcome) {
+          case PAYMENT_STATUS.FAILED:
+            resolve({
+              status: PAYMENT_STATUS.FAILED,
+              error: {
+                code: "MOCK_DECLINED",
+                description: "Declined by the test gateway",
+              },
+            });
+            break;
+          case PAYMENT_STATUS.DISMISSED:
+            resolve({ status: PAYMENT_STATUS.DISMISSED });
+            break;
+          default: {
+            const paymentId = `mock_pay_${Date.now()}`;
+            resolve({
+              status: PAYMENT_STATUS.SUCCESS,
+              response: { paymentId },
+              paymentId,
+            });
+          }
+        }
+      }, MOCK_PAYMENT_DELAY_MS);
+    }),
+
+  // Remembers orders by idempotency key, like the backend does
+  verify: async (orderPayload, session, response) => {
+    const existing = mockOrders.get(orderPayload.idempotencyKey);
+    if (existing) {
+      return { success: true, data: existing, error: null, duplicate: true };
+    }
+
+    const orderId = `MOCK-${Date.now()}`;
+    const order = {
+      ...orderPayload,
+      orderId,
+      qikinkOrderId: orderId,
+      paymentId: response.paymentId,
+      paymentMethod: "Prepaid",
+      status: "confirmed",
+      createdAt: new Date().toISOString(),
+    };
+    mockOrders.set(orderPayload.idempotencyKey, order);
+    return { success: true, data: order, error: null, duplicate: false };
+  },
+
+  getRefundStatus: async (order) => ({
+    success: true,
+    data: order?.paymentId
+      ? { status: "processed", amount: order.totalAmount }
+      : null,
+    error: null,
+  }),
+};
+
+const PAYMENT_GATEWAYS = {
+  [razorpayGateway.id]: razorpayGateway,
+  [stripeGateway.id]: stripeGateway,
+  [codGateway.id]: codGateway,
+  [mockGateway.id]: mockGateway,
+};
+
+/**
+ * @returns {Object[]} - Gateways the customer can pay online through, the
+ *   default one first
+ */
+export const getPrepaidGateways = () => {
+  const defaultGateway =
+    PAYMENT_GATEWAYS[PAYMENT_CONFIG.prepaidGateway] || razorpayGateway;
+  return PAYMENT_CONFIG.stripePublishableKey && defaultGateway !== stripeGateway
+    ? [defaultGateway, stripeGateway]
+    : [defaultGateway];
+};
+
+/**
+ * @param {string} paymentMethod - "COD" or "Prepaid"
+ * @param {string} [prepaidGatewayId] - Online gateway picked at checkout
+ * @returns {Object} - Gateway that handles the payment method
+ */
+export const getPaymentGateway = (paymentMethod, prepaidGatewayId) => {
+  if (paymentMethod === "COD") return codGateway;
+  const prepaidGateways = getPrepaidGateways();
+  return (
+    prepaidGateways.find((gateway) => gateway.id === prepaidGatewayId) ||
+    prepaidGateways[0]
+  );
+};
+
+/**
+ * @param {string} gatewayId - Gateway id saved with a payment or an order
+ * @returns {Object|null} - The gateway, or null if it isn't known
+ */
+export const getPaymentGatewayById = (gatewayId) => {
+  return PAYMENT_GATEWAYS[gatewayId] || null;
+};
+
+/**
+ * @param {Object} order - Placed order
+ * @returns {Object} - Gateway the order was paid through. Orders placed
+ *   before `paymentProvider` was recorded were paid through Razorpay.
+ */
+export const getOrderPaymentGateway = (order) => {
+  return (
+    getPaymentGatewayById(order?.paymentProvider) ||
+    (order?.paymentMethod === "COD" ? codGateway : razorpayGateway)
+  );
+};
+
+/**
+ * @param {string} userId - Logged-in user or guest id
+ * @returns {Object|null} - The unfinished checkout payment, if any
+ */
+export const loadPendingPayment = (userId) => {
+  if (!userId) return null;
+  try {
+    const saved = localStorage.getItem(getPendingPaymentKey(userId));
+    if (!saved) return null;
+
+    const pending = JSON.parse(saved);
+    if (
+      Date.now() - pending.updatedAt > PENDING_PAYMENT_TTL_MS ||
+      !getPaymentGatewayById(pending.gateway)
+    ) {
+      localStorage.removeItem(getPendingPaymentKey(userId));
+      return null;
+    }
+    return pending;
+  } catch (error) {
+    console.error("Error loading pending payment:", error);
+    return null;
+  }
+};
+
+/**
+ * Remembers an unfinished checkout payment so it can be retried
+ * @param {string} userId - Logged-in user or guest id
+ * @param {Object} pending - { status, gateway, session, orderPayload,
+ *   cartSummary, isBuyNow, deliveryZone, error }
+ * @returns {Object} - The saved record
+ */
+export const savePendingPayment = (userId, pending) => {
+  const record = { ...pending, updatedAt: Date.now() };
+  localStorage.setItem(getPendingPaymentKey(userId), JSON.stringify(record));
+  return record;
+};
+
+export const clearPendingPayment = (userId) => {
+  localStorage.removeItem(getPendingPaymentKey(userId));
+};
@@ -0,0 +1,204 @@
+// services/pricingService.js
+import { calculateCouponDiscount, COUPON_TYPES } from "./CouponService";
+import { calculateGstBreakdown } from "./TaxService";
+
+/**
+ * Store-wide pricing defaults
+ * - extraCharge: per-unit markup shown as the MRP "discount"
+ * - codShippingFee / prepaidShippingFee: shipping by payment method
+ * - codFee: handling fee added to cash on delivery orders
+ * - taxRate: tax added on top of the discounted subtotal, in percent
+ */
+export const PRICING_DEFAULTS = {
+  extraCharge: 300,
+  codShippingFee: 50,
+  prepaidShippingFee: 0,
+  codFee: 0,
+  taxRate: 0,
+};
+
+/**
+ * Sums item prices and derives the MRP and its discount
+ * @param {Object} breakdown - The breakdown built so far
+ * @param {Object} context - Pricing input merged with PRICING_DEFAULTS
+ * @returns {Object} - The updated breakdown
+ */
+export const itemsRule = (breakdown, context) => {
+  const itemCount = context.items.reduce(
+    (count, item) => count + Number(item.quantity),
+    0
+  );
+  const subtotal = context.items.reduce(
+    (total, item) => total + item.price * Number(item.quantity),
+    0
+  );
+  const discount = context.extraCharge * itemCount;
+  const mrp = subtotal + discount;
+
+  return {
+    ...breakdown,
+    itemCount,
+    mrp,
+    discount,
+    discountPercentage: mrp > 0 ? Math.round((discount / mrp) * 100) : 0,
+    subtotal,
+  };
+};
+
+/**
+ * Picks the shipping fee: an explicit `shippingFee` wins, otherwise it
+ * depends on the payment method
+ */
+export const shippingRule = (breakdown, context) => {
+  const shipping =
+    typeof context.shippingFee === "number"
+      ? context.shippingFee
+      : context.paymentMethod === "COD"
+      ? context.codShippingFee
+      : context.prepaidShippingFee;
+
+  return { ...breakdown, shipping };
+};
+
+/**
+ * Applies the coupon. Orders already placed pass the stored
+ * `couponDiscount` instead of re-running the coupon rules.
+ */
+export const couponRule = (breakdown, context) => {
+  if (typeof context.couponDiscount === "number") {
+    return {
+      ...breakdown,
+      couponCode: context.coupon?.code || "",
+      couponDiscount: context.couponDiscount,
+      couponFreeShipping:
+        context.coupon?.type === COUPON_TYPES.FREE_SHIPPING,
+      couponMessage: "",
+    };
+  }
+
+  const couponInfo = calculateCouponDiscount(
+    context.coupon,
+    context.items,
+    breakdown.shipping
+  );
+
+  return {
+    ...breakdown,
+    couponCode: couponInfo.eligible ? context.coupon.code : "",
+    couponDiscount: couponInfo.discount,
+    couponFreeShipping: couponInfo.freeShipping,
+    couponMessage: couponInfo.message,
+    couponEligible: couponInfo.eligible,
+  };
+};
+
+/**
+ * @param {Object} breakdown - Breakdown with the coupon applied
+ * @returns {number} - Coupon discount taken off the goods; a free shipping
+ *   coupon discounts shipping, not the goods
+ */
+export const getGoodsDiscount = (breakdown) =>
+  breakdown.couponFreeShipping ? 0 : breakdown.couponDiscount;
+
+/**
+ * Adds tax on the subtotal after the coupon
+ */
+export const taxRule = (breakdown, context) => {
+  const taxable = Math.max(breakdown.subtotal - getGoodsDiscount(breakdown), 0);
+  const tax = Math.round((taxable * context.taxRate) / 100);
+
+  return { ...breakdown, tax };
+};
+
+/**
+ * Works out the GST already included in the item prices, split into
+ * CGST/SGST or IGST by `deliveryState`. Doesn't change the total.
+ */
+export const gstRule = (breakdown, context) => {
+  return {
+    ...breakdown,
+    gst: calculateGstBreakdown(
+      context.items,
+      context.deliveryState,
+      getGoodsDiscount(breakdown)
+    ),
+  };
+};
+
+/**
+ * Adds the cash on delivery handling fee
+ */
+export const codFeeRule = (breakdown, context) => {
+  return {
+    ...breakdown,
+    codFee: context.paymentMethod === "COD" ? context.codFee : 0,
+  };
+};
+
+/**
+ * Adds everything up
+ */
+export const totalRule = (breakdown) => {
+  const total =
+    breakdown.subtotal -
+    breakdown.couponDiscount +
+    breakdown.shipping +
+    breakdown.tax +
+    breakdown.codFee;
+
+  return { ...breakdown, total: Math.max(total, 0) };
+};
+
+export const defaultPricingRules = [
+  itemsRule,
+  shippingRule,
+  couponRule,
+  taxRule,
+  gstRule,
+  codFeeRule,
+  totalRule,
+];
+
+/**
+ * Builds a pricing calculator from an ordered list of rules. Each rule
+ * receives the breakdown so far and the pricing context and returns the
+ * next breakdown.
+ * @param {Function[]} rules - Rules to run, in order
+ * @returns {Function} - (input) => breakdown
+ */
+export const createPricingCalculator = (rules = defaultPricingRules) => {
+  return (input) => {
+    const context = { ...PRICING_DEFAULTS, items: [], ...input };
+    return rules.reduce((breakdown, rule) => rule(breakdown, context), {});
+  };
+};
+
+/**
+ * Prices a list of lines ({ price, quantity, name?, category? }) with the
+ * default rules. Returns { itemCount, mrp, discount, discountPercentage,
+ * subtotal, shipping, couponCode, couponDiscount, tax, gst, codFee, total }.
+ */
+export const calculatePricing = createPricingCalculator();
+
+/**
+ * Prices a placed order. Orders that stored their breakdown at checkout use
+ * it as-is; older orders are recomputed from their items.
+ * @param {Object} order - Order returned by /api/v1/orders/:userId
+ * @returns {Object} - Pricing breakdown
+ */
+export const priceOrder = (order) => {
+  if (order.pricing) return order.pricing;
+
+  return calculatePricing({
+    items: order.items.map((item) => ({
+      name: item.productName,
+      category: item.category?.name || item.category,
+      price: item.price,
+      quantity: item.quantity,
+    })),
+    paymentMethod: order.paymentMethod,
+    deliveryState: order.deliveryAddress?.state,
+    coupon: order.coupon,
+    couponDiscount: order.coupon?.discount || 0,
+  });
+};
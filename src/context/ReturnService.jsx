@@ -0,0 +1,274 @@
+// services/returnService.js
+import { BASE_URL } from "../server/server";
+
+// Orders can be cancelled until they leave the warehouse
+export const CANCELLABLE_STATUSES = [
+  "created",
+  "payment_pending",
+  "confirmed",
+  "processing",
+];
+
+export const CANCEL_REASONS = [
+  "Ordered by mistake",
+  "Found a better price elsewhere",
+  "Delivery is taking too long",
+  "Want to change size or colour",
+  "Other",
+];
+
+export const RETURN_WINDOW_DAYS = 7;
+export const MAX_RETURN_PHOTOS = 5;
+export const MAX_RETURN_PHOTO_SIZE = 5 * 1024 * 1024; // 5 MB
+
+export const REQUEST_TYPES = {
+  RETURN: "return",
+  EXCHANGE: "exchange",
+};
+
+/**
+ * Return reasons. Per the return policy only manufacturing defects qualify,
+ * size and fit issues don't.
+ */
+export const RETURN_REASONS = [
+  { value: "defective", label: "Defective product (holes, tears)" },
+  { value: "damaged", label: "Damaged in transit" },
+  { value: "print_issue", label: "Print faded or misaligned" },
+  { value: "wrong_item", label: "Received the wrong item" },
+];
+
+/**
+ * Refund modes. Prepaid orders are refunded to the original payment method,
+ * COD orders to a bank account.
+ */
+export const REFUND_MODES = {
+  ORIGINAL: "original",
+  BANK_TRANSFER: "bank_transfer",
+  STORE_CREDIT: "store_credit",
+};
+
+export const REFUND_MODE_LABELS = {
+  [REFUND_MODES.ORIGINAL]: "Original payment method",
+  [REFUND_MODES.BANK_TRANSFER]: "Bank transfer",
+  [REFUND_MODES.STORE_CREDIT]: "Store credit",
+};
+
+export const REQUEST_STATUS_COLORS = {
+  requested: "bg-yellow-100 text-yellow-800",
+  approved: "bg-blue-100 text-blue-800",
+  pickup_scheduled: "bg-indigo-100 text-indigo-800",
+  picked_up: "bg-indigo-200 text-indigo-900",
+  quality_check: "bg-blue-200 text-blue-900",
+  refunded: "bg-purple-100 text-purple-800",
+  exchanged: "bg-green-100 text-green-800",
+  rejected: "bg-red-100 text-red-800",
+};
+
+/**
+ * @param {string} paymentMethod - "COD" or "Prepaid"
+ * @returns {string[]} - Refund modes offered for the order
+ */
+export const getRefundModes = (paymentMethod) => {
+  return paymentMethod === "COD"
+    ? [REFUND_MODES.BANK_TRANSFER, REFUND_MODES.STORE_CREDIT]
+    : [REFUND_MODES.ORIGINAL, REFUND_MODES.STORE_CREDIT];
+};
+
+/**
+ * @param {Object} order - Order with `status`
+ * @returns {boolean} - True if the order hasn't been dispatched yet
+ */
+export const canCancelOrder = (order) => {
+  return CANCELLABLE_STATUSES.includes((order?.status || "").toLowerCase());
+};
+
+/**
+ * @param {Object} order - Delivered order
+ * @returns {Date|null} - Last day a return can be requested, or null if the
+ *   delivery date isn't known
+ */
+export const getReturnDeadline = (order) => {
+  const deliveredAt =
+    order?.deliveredAt ||
+    order?.statusHistory?.find(
+      (entry) => (entry.status || "").toLowerCase() === "delivered"
+    )?.date;
+  if (!deliveredAt) return null;
+
+  const deadline = new Date(deliveredAt);
+  deadline.setDate(deadline.getDate() + RETURN_WINDOW_DAYS);
+  return deadline;
+};
+
+/**
+ * @param {Object} order - Order with `status`
+ * @returns {boolean} - True if a return or exchange can still be requested
+ */
+export const canRequestReturn = (order) => {
+  if ((order?.status || "").toLowerCase() !== "delivered") return false;
+  const deadline = getReturnDeadline(order);
+  return !deadline || deadline >= new Date();
+};
+
+/**
+ * Checks the photos attached to a return request
+ * @param {File[]} photos - Selected image files
+ * @returns {string} - Error message, or "" if valid
+ */
+export const validateReturnPhotos = (photos) => {
+  if (photos.length === 0) {
+    return "Please add at least one photo of the issue";
+  }
+  if (photos.length > MAX_RETURN_PHOTOS) {
+    return `You can upload up to ${MAX_RETURN_PHOTOS} photos`;
+  }
+  if (photos.some((photo) => !photo.type.startsWith("image/"))) {
+    return "Only image files can be uploaded";
+  }
+  if (photos.some((photo) => photo.size > MAX_RETURN_PHOTO_SIZE)) {
+    return "Each photo must be smaller than 5 MB";
+  }
+  return "";
+};
+
+/**
+ * Cancels an order that hasn't been dispatched
+ * @param {string} userId - Order owner
+ * @param {string} orderId - Order to cancel
+ * @param {string} reason - Cancellation reason
+ * @returns {Promise<Object>} - { success, data: updated order, error }
+ */
+export const cancelOrder = async (userId, orderId, reason) => {
+  try {
+    const response = await fetch(
+      `${BASE_URL}/api/v1/orders/${userId}/${encodeURIComponent(
+        orderId
+      )}/cancel`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ reason }),
+      }
+    );
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      return {
+        success: false,
+        error: data.message || "Unable to cancel this order",
+        data: null,
+      };
+    }
+
+    return { success: true, data: data.order, error: null };
+  } catch (error) {
+    console.error("Error cancelling order:", error);
+    return {
+      success: false,
+      error: "Unable to cancel the order. Please try again.",
+      data: null,
+    };
+  }
+};
+
+/**
+ * Submits a return or exchange request with photos of the issue
+ * @param {string} userId - Order owner
+ * @param {string} orderId - Order the items belong to
+ * @param {Object} request - { type, items: [{ itemId, quantity,
+ *   exchangeSize }], reason, comments, refundMode, bankDetails, photos }
+ * @returns {Promise<Object>} - { success, data: created request, error }
+ */
+export const createReturnRequest = async (userId, orderId, request) => {
+  const body = new FormData();
+  body.append("type", request.type);
+  body.append("items", JSON.stringify(request.items));
+  body.append("reason", request.reason);
+  body.append("comments", request.comments || "");
+  if (request.type === REQUEST_TYPES.RETURN) {
+    body.append("refundMode", request.refundMode);
+    if (request.refundMode === REFUND_MODES.BANK_TRANSFER) {
+      body.append("bankDetails", JSON.stringify(request.bankDetails));
+    }
+  }
+  request.photos.forEach((photo) => body.append("photos", photo));
+
+  try {
+    // No Content-Type header, the browser sets the multipart boundary
+    const response = await fetch(
+      `${BASE_URL}/api/v1/orders/${userId}/${encodeURIComponent(
+        orderId
+      )}/returns`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
+        },
+        body,
+      }
+    );
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      return {
+        success: false,
+        error: data.message || "Unable to submit your request",
+        data: null,
+      };
+    }
+
+    return { success: true, data: data.request, error: null };
+  } catch (error) {
+    console.error("Error creating return request:", error);
+    return {
+      success: false,
+      error: "Unable to submit your request. Please try again.",
+      data: null,
+    };
+  }
+};
+
+/**
+ * Fetches the return and exchange requests raised for an order
+ * @param {string} userId - Order owner
+ * @param {string} orderId - Order to look up
+ * @returns {Promise<Object>} - { success, data: requests, error }
+ */
+export const fetchReturnRequests = async (userId, orderId) => {
+  try {
+    const response = await fetch(
+      `${BASE_URL}/api/v1/orders/${userId}/${encodeURIComponent(
+        orderId
+      )}/returns`,
+      {
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
+        },
+      }
+    );
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      return {
+        success: false,
+        error: data.message || "Unable to load requests",
+        data: [],
+      };
+    }
+
+    return { success: true, data: data.requests || [], error: null };
+  } catch (error) {
+    console.error("Error fetching return requests:", error);
+    return {
+      success: false,
+      error: "Unable to load requests. Please try again.",
+      data: [],
+    };
+  }
+};
@@ -0,0 +1,405 @@
+// services/searchIndexService.js
+
+// Bump when the document or token format changes so old indexes are rebuilt
+const SEARCH_INDEX_VERSION = 2;
+const SEARCH_INDEX_DB = "catalogSearch";
+const SEARCH_INDEX_STORE = "indexes";
+const SEARCH_INDEX_KEY = "products";
+
+// Compare the index with the catalog this often
+export const SEARCH_INDEX_REFRESH_MS = 10 * 60 * 1000; // 10 minutes
+// Past this age the index is rebuilt from scratch instead
+const SEARCH_INDEX_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// How much a match in each field counts towards the score
+const FIELD_WEIGHTS = {
+  name: 3,
+  subCategory: 2,
+  category: 1.5,
+  color: 1,
+  tag: 1,
+};
+
+// How good each kind of match is
+const MATCH_QUALITY = {
+  exact: 1,
+  synonym: 0.9,
+  prefix: 0.7,
+  fuzzy: 0.5,
+};
+
+/**
+ * What shoppers type, mapped to the word the catalog uses
+ */
+export const SEARCH_SYNONYMS = {
+  tee: ["tshirt"],
+  tshirt: ["tee"],
+  hoodie: ["sweatshirt"],
+  hoody: ["sweatshirt"],
+  jumper: ["sweatshirt"],
+  pullover: ["sweatshirt"],
+  sweater: ["sweatshirt"],
+  trouser: ["pant"],
+  jogger: ["pant"],
+  top: ["tshirt", "shirt"],
+  grey: ["gray"],
+  gray: ["grey"],
+};
+
+// ---------- Tokenizing ----------
+
+const stem = (word) =>
+  word.length > 3 && word.endsWith("s") && !word.endsWith("ss")
+    ? word.slice(0, -1)
+    : word;
+
+/**
+ * Splits text into lowercase, singular words. "T-Shirt", "t shirt" and
+ * "tshirts" all become "tshirt".
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/\bt[\s-]?shirt/g, "tshirt")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(stem);
+
+// Typos allowed for a word of this length
+const allowedEdits = (length) => (length >= 7 ? 2 : length >= 4 ? 1 : 0);
+
+/**
+ * Edit distance counting swapped neighbours ("tshrit") as one edit, giving
+ * up once it exceeds `max`
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (
+        beforePrevious &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// ---------- Building ----------
+
+const createEmptyIndex = () => ({
+  version: SEARCH_INDEX_VERSION,
+  builtAt: Date.now(),
+  syncedAt: Date.now(),
+  documents: {},
+  postings: {},
+});
+
+/**
+ * What the index keeps of a product, before tokenizing
+ * @param {Object} product - Product from /api/v1/products
+ * @param {Object} colorNames - Color code to display name
+ * @returns {Object} - { fields: searchable text by field, document }
+ */
+const describeProduct = (product, colorNames) => {
+  const colors = (product.color || []).map((code) => colorNames[code] || code);
+  const fields = {
+    name: product.name,
+    subCategory: product.category?.name,
+    category: product.category?.parentCategory,
+    color: colors.join(" "),
+    tag: (product.tags || []).join(" "),
+  };
+
+  const document = {
+    id: product._id,
+    name: product.name,
+    image: Array.isArray(product.image) ? product.image[0] : product.image,
+    price: product.price,
+    color: product.color || [],
+    subCategory: fields.subCategory,
+    category: fields.category,
+    colors,
+  };
+  // Everything the document is made of, to spot products that changed
+  document.signature = JSON.stringify([fields, document]);
+
+  return { fields, document };
+};
+
+/**
+ * @param {Object} description - From describeProduct
+ * @returns {Object} - The document with the weight of each of its terms
+ */
+const toDocument = ({ fields, document }) => {
+  const terms = {};
+  Object.entries(fields).forEach(([field, text]) => {
+    tokenize(text).forEach((token) => {
+      terms[token] = Math.max(terms[token] || 0, FIELD_WEIGHTS[field]);
+    });
+  });
+
+  return { ...document, terms };
+};
+
+const removeDocument = (index, id) => {
+  const document = index.documents[id];
+  if (!document) return;
+
+  Object.keys(document.terms).forEach((token) => {
+    delete index.postings[token]?.[id];
+    if (index.postings[token] && !Object.keys(index.postings[token]).length) {
+      delete index.postings[token];
+    }
+  });
+  delete index.documents[id];
+};
+
+const addDocument = (index, document) => {
+  index.documents[document.id] = document;
+  Object.entries(document.terms).forEach(([token, weight]) => {
+    index.postings[token] = index.postings[token] || {};
+    index.postings[token][document.id] = weight;
+  });
+};
+
+/**
+ * Builds an inverted index over the whole catalog
+ * @param {Object[]} products - All products
+ * @param {Object} colorNames - Color code to display name
+ * @returns {Object} - Index for searchProductIndex
+ */
+export const buildSearchIndex = (products, colorNames) => {
+  const index = createEmptyIndex();
+  (products || []).forEach((product) =>
+    addDocument(index, toDocument(describeProduct(product, colorNames)))
+  );
+  return index;
+};
+
+/**
+ * Brings the index in line with the current catalog, re-tokenizing only the
+ * products that were added or changed and dropping the ones that are gone
+ * @param {Object} index - Current index
+ * @param {Object[]} products - All products
+ * @param {Object} colorNames - Color code to display name
+ * @returns {Object} - Updated copy of the index, or the same index with a
+ *   new `syncedAt` when nothing changed
+ */
+export const updateSearchIndex = (index, products, colorNames) => {
+  const descriptions = (products || []).map((product) =>
+    describeProduct(product, colorNames)
+  );
+  const currentIds = new Set(descriptions.map(({ document }) => document.id));
+  const changed = descriptions.filter(
+    ({ document }) =>
+      index.documents[document.id]?.signature !== document.signature
+  );
+  const removedIds = Object.keys(index.documents).filter(
+    (id) => !currentIds.has(id)
+  );
+
+  if (changed.length === 0 && removedIds.length === 0) {
+    return { ...index, syncedAt: Date.now() };
+  }
+
+  const updated = {
+    ...index,
+    syncedAt: Date.now(),
+    documents: { ...index.documents },
+    postings: Object.fromEntries(
+      Object.entries(index.postings).map(([token, ids]) => [token, { ...ids }])
+    ),
+  };
+  removedIds.forEach((id) => removeDocument(updated, id));
+  changed.forEach((description) => {
+    removeDocument(updated, description.document.id);
+    addDocument(updated, toDocument(description));
+  });
+  return updated;
+};
+
+/**
+ * @param {Object|null} index
+ * @returns {boolean} - True if the index has to be rebuilt from scratch
+ */
+export const isSearchIndexStale = (index) =>
+  !index ||
+  index.version !== SEARCH_INDEX_VERSION ||
+  Date.now() - index.builtAt > SEARCH_INDEX_MAX_AGE_MS;
+
+// ---------- Searching ----------
+
+/**
+ * Index terms a query word can match, best match first for each term
+ * @param {Object} index
+ * @param {string} word - Tokenized query word
+ * @param {boolean} isLastWord - The word still being typed, so prefixes count
+ * @returns {Map<string, number>} - Index term to match quality
+ */
+const expandWord = (index, word, isLastWord) => {
+  const matches = new Map();
+  const consider = (term, quality) => {
+    if (index.postings[term] && quality > (matches.get(term) || 0)) {
+      matches.set(term, quality);
+    }
+  };
+
+  consider(word, MATCH_QUALITY.exact);
+  (SEARCH_SYNONYMS[word] || []).forEach((synonym) =>
+    consider(synonym, MATCH_QUALITY.synonym)
+  );
+
+  const maxEdits = allowedEdits(word.length);
+  Object.keys(index.postings).forEach((term) => {
+    if (term === word) return;
+    if (isLastWord && word.length >= 2 && term.startsWith(word)) {
+      consider(term, MATCH_QUALITY.prefix);
+    } else if (maxEdits > 0) {
+      const distance = editDistance(word, term, maxEdits);
+      if (distance <= maxEdits) {
+        consider(term, MATCH_QUALITY.fuzzy / distance);
+      }
+    }
+  });
+
+  return matches;
+};
+
+/**
+ * Ranks products in the index against a query. Every word of the query has
+ * to match a product, exactly, through a synonym, as a prefix (last word
+ * only) or with a typo or two.
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} query - What the user typed
+ * @param {number} limit - Maximum results
+ * @returns {Object[]} - [{ product, score, matchedTerms }], best first;
+ *   `product` is the indexed document ({ id, name, image, price, ... })
+ */
+export const searchProductIndex = (index, query, limit = 20) => {
+  const words = tokenize(query);
+  if (!index || words.length === 0) return [];
+
+  let scores = null;
+  const matchedTerms = {};
+
+  words.forEach((word, position) => {
+    const wordScores = {};
+    expandWord(index, word, position === words.length - 1).forEach(
+      (quality, term) => {
+        Object.entries(index.postings[term]).forEach(([id, weight]) => {
+          const score = weight * quality;
+          if (score > (wordScores[id] || 0)) wordScores[id] = score;
+          matchedTerms[id] = matchedTerms[id] || new Set();
+          matchedTerms[id].add(term);
+        });
+      }
+    );
+
+    // Keep only products that matched every word so far
+    scores = scores
+      ? Object.fromEntries(
+          Object.entries(scores)
+            .filter(([id]) => wordScores[id])
+            .map(([id, score]) => [id, score + wordScores[id]])
+        )
+      : wordScores;
+  });
+
+  return Object.entries(scores)
+    .sort(([, a], [, b]) => b - a)
+    .slice(0, limit)
+    .map(([id, score]) => ({
+      product: index.documents[id],
+      score,
+      matchedTerms: [...matchedTerms[id]],
+    }));
+};
+
+const WORD_OR_GAP = /\bt[\s-]?shirts?\b|[a-z0-9]+|[^a-z0-9]+/gi;
+
+/**
+ * Splits text into parts for highlighting the words a search matched
+ * @param {string} text - Text to display, e.g. a product name
+ * @param {string[]} matchedTerms - From searchProductIndex
+ * @returns {Object[]} - [{ text, isMatch }]
+ */
+export const highlightMatches = (text, matchedTerms) => {
+  const terms = new Set(matchedTerms);
+  // "T-Shirt" is one word to the index, so it is one part here too
+  return (String(text || "").match(WORD_OR_GAP) || []).map((part) => ({
+    text: part,
+    isMatch: tokenize(part).some((token) => terms.has(token)),
+  }));
+};
+
+// ---------- Persistence ----------
+
+const openIndexDb = () => {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const request = indexedDB.open(SEARCH_INDEX_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SEARCH_INDEX_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * @returns {Promise<Object|null>} - The index saved by a previous visit
+ */
+export const loadPersistedSearchIndex = async () => {
+  try {
+    const db = await openIndexDb();
+    const index = await new Promise((resolve, reject) => {
+      const request = db
+        .transaction(SEARCH_INDEX_STORE, "readonly")
+        .objectStore(SEARCH_INDEX_STORE)
+        .get(SEARCH_INDEX_KEY);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    db.close();
+    return index || null;
+  } catch (error) {
+    console.error("Error reading search index:", error);
+    return null;
+  }
+};
+
+export const persistSearchIndex = async (index) => {
+  try {
+    const db = await openIndexDb();
+    db.transaction(SEARCH_INDEX_STORE, "readwrite")
+      .objectStore(SEARCH_INDEX_STORE)
+      .put(index, SEARCH_INDEX_KEY);
+    db.close();
+  } catch (error) {
+    console.error("Error writing search index:", error);
+  }
+};
@@ -0,0 +1,144 @@
+// services/searchService.js
+import { BASE_URL } from "../server/server";
+
+export const SEARCH_MIN_QUERY_LENGTH = 2;
+export const SEARCH_DEBOUNCE_MS = 250;
+export const SEARCH_PAGE_SIZE = 24;
+export const SUGGESTION_LIMIT = 6;
+
+/**
+ * Trims and collapses whitespace so "  blue   tee " and "blue tee" are the
+ * same search
+ * @param {string} query
+ * @returns {string}
+ */
+export const normalizeQuery = (query) =>
+  (query || "").trim().replace(/\s+/g, " ");
+
+const toSlug = (value) => value.toLowerCase().replace(/\s+/g, "-");
+
+/**
+ * @param {Object} subCategory - { name, parentCategory } from /subcategories
+ * @returns {string} - Collection page of the subcategory
+ */
+export const getSubCategoryPath = (subCategory) =>
+  `/collection/${toSlug(subCategory.parentCategory)}/${toSlug(
+    subCategory.name
+  )}`;
+
+/**
+ * @param {string} query
+ * @returns {string} - Search results page for the query
+ */
+export const getSearchPath = (query) =>
+  `/search?q=${encodeURIComponent(normalizeQuery(query))}`;
+
+/**
+ * Searches the whole catalog. Matching is typo tolerant and ranked on the
+ * server; `correctedQuery` is set when results are for a corrected spelling.
+ * @param {string} query - What the user typed
+ * @param {number} page - 1-based page number
+ * @returns {Promise<Object>} - { success, data: { products, total, hasMore,
+ *   correctedQuery }, error }
+ */
+export const searchCatalog = async (query, page = 1) => {
+  const q = normalizeQuery(query);
+  if (q.length < SEARCH_MIN_QUERY_LENGTH) {
+    return {
+      success: true,
+      data: { products: [], total: 0, hasMore: false, correctedQuery: null },
+      error: null,
+    };
+  }
+
+  try {
+    const params = new URLSearchParams({
+      q,
+      page: String(page),
+      limit: String(SEARCH_PAGE_SIZE),
+    });
+    const response = await fetch(`${BASE_URL}/api/v1/search?${params}`);
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      return {
+        success: false,
+        error: data.message || "Search is unavailable right now",
+        data: null,
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        products: data.products || [],
+        total: data.total || 0,
+        hasMore: page * SEARCH_PAGE_SIZE < (data.total || 0),
+        correctedQuery: data.correctedQuery || null,
+      },
+      error: null,
+    };
+  } catch (error) {
+    console.error("Error searching catalog:", error);
+    return {
+      success: false,
+      error: "Search is unavailable right now. Please try again.",
+      data: null,
+    };
+  }
+};
+
+/**
+ * Autocomplete for the navbar search. Pass an AbortSignal so a slower
+ * response for an older query can't overwrite a newer one.
+ * @param {string} query - What the user has typed so far
+ * @param {AbortSignal} signal
+ * @returns {Promise<Object>} - { success, data: { products, subCategories },
+ *   error }
+ */
+export const fetchSearchSuggestions = async (query, signal) => {
+  const q = normalizeQuery(query);
+  if (q.length < SEARCH_MIN_QUERY_LENGTH) {
+    return {
+      success: true,
+      data: { products: [], subCategories: [] },
+      error: null,
+    };
+  }
+
+  try {
+    const params = new URLSearchParams({ q, limit: String(SUGGESTION_LIMIT) });
+    const response = await fetch(
+      `${BASE_URL}/api/v1/search/suggestions?${params}`,
+      { signal }
+    );
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      return {
+        success: false,
+        error: data.message || "Unable to load suggestions",
+        data: null,
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        products: data.products || [],
+        subCategories: data.subCategories || [],
+      },
+      error: null,
+    };
+  } catch (error) {
+    if (error.name === "AbortError") {
+      return { success: false, error: null, data: null, aborted: true };
+    }
+    console.error("Error fetching search suggestions:", error);
+    return {
+      success: false,
+      error: "Unable to load suggestions",
+      data: null,
+    };
+  }
+};
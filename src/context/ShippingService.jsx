@@ -0,0 +1,320 @@
+// services/shippingService.js
+import { fetchLocationByPincode, validatePincode } from "./LocationService";
+
+export const SHIPPING_ZONES = {
+  METRO: "metro",
+  REST_OF_INDIA: "rest_of_india",
+  SPECIAL: "special", // North-East, J&K, Ladakh and islands
+};
+
+export const ZONE_LABELS = {
+  [SHIPPING_ZONES.METRO]: "Metro",
+  [SHIPPING_ZONES.REST_OF_INDIA]: "Rest of India",
+  [SHIPPING_ZONES.SPECIAL]: "North-East / J&K",
+};
+
+/**
+ * Rate card
+ * - rates: base fee for the first slab and fee per extra slab, by zone
+ * - slabKg: weight slab size
+ * - codSurcharge: added to COD shipments
+ * - freeShippingThreshold: subtotal at which shipping is free, by payment
+ *   method (null = never free)
+ */
+export const SHIPPING_CONFIG = {
+  rates: {
+    [SHIPPING_ZONES.METRO]: { base: 40, perSlab: 20 },
+    [SHIPPING_ZONES.REST_OF_INDIA]: { base: 50, perSlab: 25 },
+    [SHIPPING_ZONES.SPECIAL]: { base: 80, perSlab: 40 },
+  },
+  slabKg: 0.5,
+  codSurcharge: 0,
+  freeShippingThreshold: {
+    Prepaid: 0,
+    COD: 1499,
+  },
+};
+
+/**
+ * Delivery promise in business days (Sundays excluded) from dispatch, by
+ * zone, and the zones couriers won't collect cash in
+ */
+export const DELIVERY_CONFIG = {
+  days: {
+    [SHIPPING_ZONES.METRO]: { min: 3, max: 5 },
+    [SHIPPING_ZONES.REST_OF_INDIA]: { min: 4, max: 7 },
+    [SHIPPING_ZONES.SPECIAL]: { min: 7, max: 12 },
+  },
+  codUnavailableZones: [SHIPPING_ZONES.SPECIAL],
+};
+
+const METRO_CITIES = [
+  "mumbai",
+  "mumbai suburban",
+  "thane",
+  "delhi",
+  "new delhi",
+  "central delhi",
+  "south delhi",
+  "north delhi",
+  "east delhi",
+  "west delhi",
+  "gurgaon",
+  "gurugram",
+  "gautam buddha nagar",
+  "kolkata",
+  "chennai",
+  "bangalore",
+  "bengaluru",
+  "bengaluru urban",
+  "hyderabad",
+  "pune",
+  "ahmedabad",
+];
+
+const SPECIAL_STATES = [
+  "arunachal pradesh",
+  "assam",
+  "manipur",
+  "meghalaya",
+  "mizoram",
+  "nagaland",
+  "sikkim",
+  "tripura",
+  "jammu and kashmir",
+  "jammu & kashmir",
+  "ladakh",
+  "andaman and nicobar islands",
+  "andaman & nicobar islands",
+  "lakshadweep",
+];
+
+// Approximate packed weights by category name
+const WEIGHT_RULES = [
+  { pattern: /hoodie|sweatshirt|jacket/i, kg: 0.5 },
+  { pattern: /oversized/i, kg: 0.3 },
+  { pattern: /t-?shirt|tee|top|vest|polo/i, kg: 0.2 },
+];
+const DEFAULT_ITEM_WEIGHT_KG = 0.25;
+
+/**
+ * Works out the zone from a PIN code when the location lookup is
+ * unavailable: 78/79 is the North-East, 18/19 is J&K and Ladakh, 744 is
+ * Andaman & Nicobar, 68255x is Lakshadweep.
+ * @param {string} pincode - 6-digit PIN code
+ * @returns {string} - Shipping zone
+ */
+export const getZoneFromPincodePrefix = (pincode) => {
+  if (/^(78|79|18|19|744|68255)/.test(pincode)) {
+    return SHIPPING_ZONES.SPECIAL;
+  }
+  return SHIPPING_ZONES.REST_OF_INDIA;
+};
+
+/**
+ * Classifies a location into a shipping zone
+ * @param {Object} location - { city, state } from LocationService
+ * @returns {string} - Shipping zone
+ */
+export const getZoneFromLocation = ({ city, state }) => {
+  if (SPECIAL_STATES.includes((state || "").toLowerCase())) {
+    return SHIPPING_ZONES.SPECIAL;
+  }
+  if (METRO_CITIES.includes((city || "").toLowerCase())) {
+    return SHIPPING_ZONES.METRO;
+  }
+  return SHIPPING_ZONES.REST_OF_INDIA;
+};
+
+/**
+ * Looks up the shipping zone for a PIN code
+ * @param {string} pincode - 6-digit PIN code
+ * @returns {Promise<Object>} - { zone, city, state }
+ */
+export const getShippingZone = async (pincode) => {
+  if (!validatePincode(pincode)) {
+    throw new Error("Invalid PIN code format");
+  }
+
+  const result = await fetchLocationByPincode(pincode);
+  if (result.success) {
+    return {
+      zone: getZoneFromLocation(result.data),
+      city: result.data.city,
+      state: result.data.state,
+    };
+  }
+  return { zone: getZoneFromPincodePrefix(pincode), city: "", state: "" };
+};
+
+/**
+ * @param {string} categoryName - Product category name
+ * @returns {number} - Packed weight of one unit in kg
+ */
+export const getItemWeight = (categoryName) => {
+  const rule = WEIGHT_RULES.find(({ pattern }) =>
+    pattern.test(categoryName || "")
+  );
+  return rule ? rule.kg : DEFAULT_ITEM_WEIGHT_KG;
+};
+
+/**
+ * Quotes shipping for a set of lines
+ * @param {Object} params
+ * @param {string} params.zone - Shipping zone
+ * @param {Object[]} params.items - Lines as { category, price, quantity }
+ * @param {string} params.paymentMethod - "COD" or "Prepaid"
+ * @returns {Object} - { fee, zone, weight, isFree, amountToFreeShipping }
+ */
+export const calculateShippingRate = ({
+  zone = SHIPPING_ZONES.REST_OF_INDIA,
+  items,
+  paymentMethod,
+}) => {
+  const subtotal = items.reduce(
+    (total, item) => total + item.price * Number(item.quantity),
+    0
+  );
+  const weight =
+    Math.round(
+      items.reduce(
+        (total, item) =>
+          total + getItemWeight(item.category) * Number(item.quantity),
+        0
+      ) * 100
+    ) / 100;
+
+  const threshold = SHIPPING_CONFIG.freeShippingThreshold[paymentMethod];
+  const hasThreshold = threshold !== null && threshold !== undefined;
+  if (items.length === 0 || (hasThreshold && subtotal >= threshold)) {
+    return { fee: 0, zone, weight, isFree: true, amountToFreeShipping: 0 };
+  }
+
+  const rate = SHIPPING_CONFIG.rates[zone];
+  const slabs = Math.max(Math.ceil(weight / SHIPPING_CONFIG.slabKg), 1);
+  const fee =
+    rate.base +
+    (slabs - 1) * rate.perSlab +
+    (paymentMethod === "COD" ? SHIPPING_CONFIG.codSurcharge : 0);
+
+  return {
+    fee,
+    zone,
+    weight,
+    isFree: false,
+    amountToFreeShipping: hasThreshold ? threshold - subtotal : null,
+  };
+};
+
+/**
+ * @param {string} zone - Shipping zone
+ * @returns {boolean} - True if Cash on Delivery can be offered
+ */
+export const isCodAvailable = (zone) => {
+  return !DELIVERY_CONFIG.codUnavailableZones.includes(zone);
+};
+
+const addBusinessDays = (date, days) => {
+  const result = new Date(date);
+  let added = 0;
+  while (added < days) {
+    result.setDate(result.getDate() + 1);
+    if (result.getDay() !== 0) added += 1;
+  }
+  return result;
+};
+
+/**
+ * Estimates the delivery date range for a zone
+ * @param {string} zone - Shipping zone
+ * @param {Date} fromDate - Order date (default: now)
+ * @returns {Object} - { from, to } as Date objects
+ */
+export const estimateDeliveryWindow = (
+  zone = SHIPPING_ZONES.REST_OF_INDIA,
+  fromDate = new Date()
+) => {
+  const { min, max } = DELIVERY_CONFIG.days[zone];
+  return {
+    from: addBusinessDays(fromDate, min),
+    to: addBusinessDays(fromDate, max),
+  };
+};
+
+/**
+ * @param {Object} window - { from, to } from estimateDeliveryWindow
+ * @returns {string} - e.g. "Tue, 21 Oct - Fri, 24 Oct"
+ */
+export const formatDeliveryWindow = ({ from, to }) => {
+  const format = (date) =>
+    date.toLocaleDateString("en-IN", {
+      weekday: "short",
+      day: "numeric",
+      month: "short",
+    });
+  return `${format(from)} - ${format(to)}`;
+};
+
+/**
+ * Checks whether a PIN code is serviceable and what delivery looks like there
+ * @param {string} pincode - 6-digit PIN code
+ * @returns {Promise<Object>} - { success, data: { pincode, zone, city, state,
+ *   codAvailable, window }, error }
+ */
+export const checkDeliveryAvailability = async (pincode) => {
+  if (!validatePincode(pincode)) {
+    return {
+      success: false,
+      error: "Please enter a valid 6-digit PIN code",
+      data: null,
+    };
+  }
+
+  const result = await fetchLocationByPincode(pincode);
+
+  // The lookup answered but doesn't know the PIN code
+  if (!result.success && !result.originalError) {
+    return {
+      success: false,
+      error: "Sorry, we don't deliver to this PIN code yet",
+      data: null,
+    };
+  }
+
+  const zone = result.success
+    ? getZoneFromLocation(result.data)
+    : getZoneFromPincodePrefix(pincode);
+
+  return {
+    success: true,
+    data: {
+      pincode,
+      zone,
+      city: result.data?.city || "",
+      state: result.data?.state || "",
+      codAvailable: isCodAvailable(zone),
+      window: estimateDeliveryWindow(zone),
+    },
+    error: null,
+  };
+};
+
+const getDeliveryPincodeKey = (userId) =>
+  `deliveryPincode_${userId || "anonymous"}`;
+
+/**
+ * @param {string} userId - Logged-in user id, or undefined for guests
+ * @returns {string} - Last PIN code the user checked delivery for, or ""
+ */
+export const getLastDeliveryPincode = (userId) => {
+  return localStorage.getItem(getDeliveryPincodeKey(userId)) || "";
+};
+
+/**
+ * Remembers the PIN code the user checked delivery for
+ * @param {string} userId - Logged-in user id, or undefined for guests
+ * @param {string} pincode - 6-digit PIN code
+ */
+export const saveLastDeliveryPincode = (userId, pincode) => {
+  localStorage.setItem(getDeliveryPincodeKey(userId), pincode);
+};
@@ -0,0 +1,136 @@
+// services/taxService.js
+import { fetchLocationByPincode } from "./LocationService";
+
+/**
+ * Registered seller details printed on invoices. The seller state decides
+ * whether a delivery is intra-state (CGST + SGST) or inter-state (IGST).
+ */
+export const SELLER = {
+  name: "Moons Flare",
+  gstin: import.meta.env.VITE_SELLER_GSTIN || "",
+  address: import.meta.env.VITE_SELLER_ADDRESS || "",
+  state: import.meta.env.VITE_SELLER_STATE || "Tamil Nadu",
+};
+
+/**
+ * HSN codes by product category, matched against the category name
+ * - 6110: jerseys, pullovers, sweatshirts, hoodies (knitted)
+ * - 6109: t-shirts, tank tops and other vests (knitted)
+ */
+const HSN_RULES = [
+  { pattern: /hoodie|sweatshirt|pullover|jacket/i, hsn: "6110" },
+  { pattern: /t-?shirt|tee|top|vest|polo/i, hsn: "6109" },
+];
+const DEFAULT_HSN = "6109";
+
+/**
+ * Apparel GST slabs by unit selling price (inclusive of tax)
+ */
+export const GST_SLABS = [
+  { upTo: 2500, rate: 5 },
+  { upTo: Infinity, rate: 18 },
+];
+
+/**
+ * Looks up the HSN code for a category
+ * @param {string} categoryName - Product category or subcategory name
+ * @returns {string} - HSN code
+ */
+export const getHsnCode = (categoryName) => {
+  const rule = HSN_RULES.find(({ pattern }) => pattern.test(categoryName || ""));
+  return rule ? rule.hsn : DEFAULT_HSN;
+};
+
+/**
+ * Looks up the GST rate for a unit price
+ * @param {number} unitPrice - Selling price of one unit, tax inclusive
+ * @returns {number} - GST rate in percent
+ */
+export const getGstRate = (unitPrice) => {
+  return GST_SLABS.find((slab) => unitPrice <= slab.upTo).rate;
+};
+
+/**
+ * Checks whether a delivery crosses state lines
+ * @param {string} deliveryState - State the order is delivered to
+ * @returns {boolean} - True if IGST applies
+ */
+export const isInterStateSupply = (deliveryState) => {
+  if (!deliveryState) return false;
+  return (
+    deliveryState.trim().toLowerCase() !== SELLER.state.trim().toLowerCase()
+  );
+};
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Splits tax-inclusive line prices into taxable value and GST components
+ * @param {Object[]} items - Lines as { name, category, price, quantity }
+ * @param {string} deliveryState - State the order is delivered to
+ * @param {number} goodsDiscount - Coupon discount on the goods, spread over
+ *   the lines in proportion to their value
+ * @returns {Object} - { isInterState, lines, totals }
+ */
+export const calculateGstBreakdown = (items, deliveryState, goodsDiscount = 0) => {
+  const isInterState = isInterStateSupply(deliveryState);
+  const itemsTotal = items.reduce(
+    (sum, item) => sum + item.price * Number(item.quantity),
+    0
+  );
+  const discountFactor =
+    itemsTotal > 0 ? Math.max(itemsTotal - goodsDiscount, 0) / itemsTotal : 1;
+
+  const lines = items.map((item) => {
+    const quantity = Number(item.quantity);
+    const rate = getGstRate(item.price);
+    const gross = round2(item.price * quantity * discountFactor);
+    const taxableValue = round2(gross / (1 + rate / 100));
+    const gst = round2(gross - taxableValue);
+
+    return {
+      name: item.name,
+      hsn: getHsnCode(item.category),
+      quantity,
+      unitPrice: item.price,
+      rate,
+      taxableValue,
+      cgst: isInterState ? 0 : round2(gst / 2),
+      sgst: isInterState ? 0 : round2(gst - round2(gst / 2)),
+      igst: isInterState ? gst : 0,
+      total: gross,
+    };
+  });
+
+  const totals = lines.reduce(
+    (sum, line) => ({
+      taxableValue: round2(sum.taxableValue + line.taxableValue),
+      cgst: round2(sum.cgst + line.cgst),
+      sgst: round2(sum.sgst + line.sgst),
+      igst: round2(sum.igst + line.igst),
+      total: round2(sum.total + line.total),
+    }),
+    { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, total: 0 }
+  );
+
+  return { isInterState, lines, totals };
+};
+
+/**
+ * Resolves the delivery state for an address, falling back to a PIN code
+ * lookup when the state wasn't stored
+ * @param {Object} address - Delivery address with state and/or pincode
+ * @returns {Promise<string>} - State name, or "" if unknown
+ */
+export const resolveDeliveryState = async (address) => {
+  if (address?.state) return address.state;
+  if (!address?.pincode) return "";
+
+  try {
+    const result = await fetchLocationByPincode(address.pincode);
+    return result.success ? result.data.state : "";
+  } catch (error) {
+    console.error("Error resolving delivery state:", error);
+    return "";
+  }
+};
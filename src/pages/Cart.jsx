@@ -1,85 +1,56 @@
-import React, { useEffect, useState } from "react";
+import React from "react";
+import { useLocation } from "react-router-dom";
 import { useCartContext } from "../context/CartContext";
 import { Title } from "../components/Title";
-import { useCollections } from "../context/CollectionsContext";
 import { assets } from "../assets/assets";
 import CartTotal from "../components/CartTotal";
+import CartIssues from "../components/CartIssues";
 
 function Cart() {
   const {
-    cartItems,
+    cart,
     updateQuantity,
+    removeCartItem,
     navigate,
-    cartItemsData,
-    setCartItemsData,
+    getCartSummary,
+    getCartPricing,
+    cartIssues,
+    isRevalidating,
+    revalidateCart,
+    resolveCartIssue,
   } = useCartContext();
-  const { fetchSpecificProduct } = useCollections();
-  // const [cartData, setCartData] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const location = useLocation();
+  // Set when checkout couldn't be resumed and sent the user back here
+  const checkoutNotice = location.state?.checkoutNotice;
+  const cartItemsData = Object.values(cart).flat();
 
-  useEffect(() => {
-    const loadCartData = async () => {
-      setLoading(true);
-      setError(null);
-      const tempData = [];
+  const handleCheckout = async () => {
+    if (isRevalidating) return;
 
-      try {
-        // Process items sequentially to maintain order
-        for (const items in cartItems) {
-          for (const item in cartItems[items]) {
-            if (cartItems[items][item] > 0) {
-              try {
-                const productData = await fetchSpecificProduct(items);
-                if (productData) {
-                  tempData.push({
-                    itemId: items,
-                    size: item,
-                    quantity: cartItems[items][item],
-                    product: productData,
-                  });
-                }
-              } catch (productError) {
-                console.error(`Error fetching product ${items}:`, productError);
-                // Continue with other products even if one fails
-              }
-            }
-          }
-        }
-        setCartItemsData(tempData);
-      } catch (error) {
-        console.error("Error loading cart data:", error);
-        setError("Failed to load cart items. Please try again later.");
-      } finally {
-        setLoading(false);
-      }
-    };
+    // Stop here until the user accepts or removes stale items
+    const issues = await revalidateCart();
+    if (issues.length > 0) return;
 
-    loadCartData();
-    console.log(cartItems);
-  }, [cartItems]);
+    navigate("/place-order", {
+      state: { cartSummary: getCartSummary() },
+    });
+  };
 
-  if (error) {
-    return <div className="text-center py-8 text-red-600">{error}</div>;
-  }
-
-  if (loading) {
-    return (
-      <div className="flex justify-center items-center h-screen">
-        <div className="animate-spin rounded-full h-32 w-32 border-t-2 border-b-2 border-gray-900"></div>
-      </div>
-    );
-  }
   return (
-    <div className="border-t pt-14 px-10 sm:hidden">
+    <div className="border-t pt-14 px-10">
       <div>
         <Title text1={"YOUR"} text2={"CART"} />
       </div>
+      {checkoutNotice && (
+        <div className="mt-5 p-4 bg-orange-50 border border-orange-300 text-orange-900 text-sm rounded">
+          {checkoutNotice}
+        </div>
+      )}
       <div className="px-2 mt-5">
         {cartItemsData.length > 0 ? (
-          cartItemsData.map((item, index) => (
+          cartItemsData.map((item) => (
             <div
-              key={index}
+              key={`${item.product._id}-${item.size}-${item.color}`}
               className="py-4 border-t border-b text-gray-700 grid grid-cols-[4fr_0.5fr_0.5] sm:grid-cols-[4fr_2fr_0.5fr] items-center gap-4"
             >
               <div className="flex items-start gap-6">
@@ -101,8 +72,9 @@ function Cart() {
                   e.target.value === "" || e.target.value === "0"
                     ? null
                     : updateQuantity(
-                        item.itemId,
+                        item.product._id,
                         item.size,
+                        item.color,
                         Number(e.target.value)
                       )
                 }
@@ -112,7 +84,9 @@ function Cart() {
                 className="border max-w-10 sm:max-w-20 px-1 sm:px-2 py-1"
               />
               <img
-                onClick={() => updateQuantity(item.itemId, item.size, 0)}
+                onClick={() =>
+                  removeCartItem(item.product._id, item.size, item.color)
+                }
                 className="w-4 mr-4 sm:w-5 cursor-pointer"
                 src={assets.bin_icon}
                 alt=""
@@ -128,14 +102,20 @@ function Cart() {
 
       <div className="flex justify-end my-20">
         <div className="w-full sm:w-[450px]">
-          <CartTotal />
+          <CartIssues issues={cartIssues} onResolve={resolveCartIssue} />
+          <CartTotal pricing={getCartPricing()} />
 
           <div className="w-full text-end mt-5">
             <button
-              onClick={() => navigate("/place-order")}
-              className="bg-black text-white px-10 py-3 text-sm"
+              onClick={handleCheckout}
+              disabled={
+                cartItemsData.length === 0 ||
+                isRevalidating ||
+                cartIssues.length > 0
+              }
+              className="bg-black text-white px-10 py-3 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              Checkout
+              {isRevalidating ? "Checking cart..." : "Checkout"}
             </button>
           </div>
         </div>
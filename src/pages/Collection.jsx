@@ -485,14 +485,35 @@
 
 // export default Collection;
 
-import React, { useCallback, useEffect, useState } from "react";
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 import { assets } from "../assets/assets";
-import { useNavigate, useParams, useLocation } from "react-router-dom";
+import { useNavigate, useParams, useSearchParams } from "react-router-dom";
 import { ProductItem } from "../components/ProductItem";
 import { useCollections } from "../context/CollectionsContext";
 import { Searchbar } from "../components/Searchbar";
 import { useWishlist } from "../context/WhislistContext";
 import { ToastContainer, toast } from "react-toastify";
+import { useCartContext } from "../context/CartContext";
+import CollectionFilters, {
+  ActiveFilterChips,
+} from "../components/CollectionFilters";
+import {
+  COLLECTION_PAGE_SIZE,
+  DEFAULT_COLLECTION_FILTERS,
+  PRODUCT_SORT_OPTIONS,
+  buildCollectionParams,
+  filterProducts,
+  getFacetCounts,
+  getServerSortParam,
+  parseCollectionParams,
+  sortProducts,
+} from "../context/CollectionFilterService";
 
 // Skeleton Components
 const CategorySkeleton = () => (
@@ -523,26 +544,36 @@ const ProductItemSkeleton = () => (
   </div>
 );
 
+const toSlug = (value) => value.toLowerCase().replace(/\s+/g, "-");
+
+// How a subcategory appears in the URL: "men/round-neck-t-shirt"
+const getSubCategoryKey = (subCategory) =>
+  `${toSlug(subCategory.parentCategory)}/${toSlug(subCategory.name)}`;
+
+// localStorage key for a subcategory's products in one server sort order
+const getCacheKey = (categorySlug, subCategorySlug, sortParam) =>
+  `products_${categorySlug}_${subCategorySlug}${
+    sortParam ? `_${sortParam}` : ""
+  }`;
+
 function Collection() {
   const [showFilter, setShowFilter] = useState(false);
   const navigate = useNavigate();
-  const location = useLocation();
+  // Everything the shopper picks lives in the query string, so links can be
+  // shared and back/forward restore the page
+  const [searchParams, setSearchParams] = useSearchParams();
 
-  const { CollectionsData, fetchProducts } = useCollections();
+  const {
+    CollectionsData,
+    fetchProducts,
+    error: collectionsError,
+  } = useCollections();
   const { categoryName, subCategoryName } = useParams();
+  const { extraCharge } = useCartContext();
 
-  const [availablesCategory, setAvailablesCategory] = useState([]);
-  const [availablesSubCategory, setAvailablesSubCategory] = useState([]);
-
-  const [products, setProducts] = useState([]);
-  const [selectedCategory, setSelectedCategory] = useState([]);
-  const [selectedSubCategory, setSelectedSubCategory] = useState([]);
-  const [isCategoriesLoading, setIsCategoriesLoading] = useState(true);
-  const [isProductsLoading, setIsProductsLoading] = useState(true);
-
-  const [searchQuery, setSearchQuery] = useState("");
-  const [filteredProducts, setFilteredProducts] = useState([]);
-  const [comeBackFromProductPage, setComeBackFromProductPage] = useState(false);
+  // Products per subcategory key, fetched as subcategories get selected
+  const [productsBySubCategory, setProductsBySubCategory] = useState({});
+  const requestedSubCategories = useRef(new Set());
 
   const {
     wishlistItems = [],
@@ -550,64 +581,85 @@ function Collection() {
     removeFromWishlist,
   } = useWishlist() || {};
 
-  // Get session storage key for this collection page
-  const getCollectionStateKey = useCallback(() => {
-    return "collectionPageState";
-  }, []);
-
-  // Function to detect if we're coming back from product page
-  const detectBackFromProductPage = useCallback(() => {
-    const previousPath = sessionStorage.getItem("previousPath");
-    const currentPath = location.pathname;
-
-    if (
-      previousPath &&
-      previousPath.includes("/product/") &&
-      currentPath.includes("/collection")
-    ) {
-      return true;
-    }
+  const urlState = useMemo(
+    () => parseCollectionParams(searchParams),
+    [searchParams]
+  );
+  const { query: searchQuery, filters: facetFilters, sort, page } = urlState;
+
+  // Without cat/sub in the URL the selection is the route's subcategory
+  const selectedCategorySlugs =
+    urlState.categories ?? (categoryName ? [categoryName.toLowerCase()] : []);
+  const selectedSubCategoryKeys =
+    urlState.subCategories ??
+    (categoryName && subCategoryName
+      ? [`${categoryName.toLowerCase()}/${subCategoryName.toLowerCase()}`]
+      : []);
+
+  const availablesCategory = Object.keys(CollectionsData || {});
+  const selectedCategory = availablesCategory.filter((category) =>
+    selectedCategorySlugs.includes(toSlug(category))
+  );
+  const availablesSubCategory = selectedCategory.flatMap(
+    (category) => CollectionsData[category]
+  );
+  const selectedSubCategory = availablesSubCategory.filter((subCategory) =>
+    selectedSubCategoryKeys.includes(getSubCategoryKey(subCategory))
+  );
+  // Stable between renders as long as the selection is the same
+  const selectedKeysId = selectedSubCategory.map(getSubCategoryKey).join(",");
+  const selectedKeys = useMemo(
+    () => (selectedKeysId ? selectedKeysId.split(",") : []),
+    [selectedKeysId]
+  );
+  // The server returns each list in the chosen sort's order, so lists are
+  // kept per sort as well as per subcategory
+  const serverSort = getServerSortParam(sort);
+  const getListKey = useCallback(
+    (key) => (serverSort ? `${key}?sort=${serverSort}` : key),
+    [serverSort]
+  );
 
-    // Update previous path for next navigation
-    sessionStorage.setItem("previousPath", currentPath);
-    return false;
-  }, [location.pathname]);
+  const isCategoriesLoading =
+    availablesCategory.length === 0 && !collectionsError;
+  const isProductsLoading = selectedKeys.some(
+    (key) => !productsBySubCategory[getListKey(key)]
+  );
 
-  // Save state to session storage
-  const persistState = useCallback(
-    (state) => {
-      sessionStorage.setItem(getCollectionStateKey(), JSON.stringify(state));
+  const updateUrlState = useCallback(
+    (changes, { replace = false } = {}) => {
+      setSearchParams(
+        buildCollectionParams({ ...urlState, page: 1, ...changes }),
+        { replace }
+      );
     },
-    [getCollectionStateKey]
+    [urlState, setSearchParams]
   );
 
-  // Load state from session storage
-  const loadPersistedState = useCallback(() => {
-    const savedState = sessionStorage.getItem(getCollectionStateKey());
-    return savedState ? JSON.parse(savedState) : null;
-  }, [getCollectionStateKey]);
-
   // Caching mechanism for products
-  const getCachedProducts = useCallback((categorySlug, subCategorySlug) => {
-    const cacheKey = `products_${categorySlug}_${subCategorySlug}`;
-    const cachedData = localStorage.getItem(cacheKey);
-
-    if (cachedData) {
-      const { products: cachedProducts, timestamp } = JSON.parse(cachedData);
-      // Optional: Add cache expiration (e.g., 10 min)
-      const isExpired = Date.now() - timestamp > 600000;
-
-      if (!isExpired) {
-        return cachedProducts;
+  const getCachedProducts = useCallback(
+    (categorySlug, subCategorySlug, sortParam) => {
+      const cacheKey = getCacheKey(categorySlug, subCategorySlug, sortParam);
+      const cachedData = localStorage.getItem(cacheKey);
+
+      if (cachedData) {
+        const { products: cachedProducts, timestamp } = JSON.parse(cachedData);
+        // Optional: Add cache expiration (e.g., 10 min)
+        const isExpired = Date.now() - timestamp > 600000;
+
+        if (!isExpired) {
+          return cachedProducts;
+        }
       }
-    }
 
-    return null;
-  }, []);
+      return null;
+    },
+    []
+  );
 
   const cacheProducts = useCallback(
-    (categorySlug, subCategorySlug, productsToCache) => {
-      const cacheKey = `products_${categorySlug}_${subCategorySlug}`;
+    (categorySlug, subCategorySlug, sortParam, productsToCache) => {
+      const cacheKey = getCacheKey(categorySlug, subCategorySlug, sortParam);
       const cacheData = {
         products: productsToCache,
         timestamp: Date.now(),
@@ -618,259 +670,136 @@ function Collection() {
     []
   );
 
-  // Check if we're coming back from a product page
-  useEffect(() => {
-    const isBackFromProduct = detectBackFromProductPage();
-    setComeBackFromProductPage(isBackFromProduct);
-  }, [detectBackFromProductPage]);
-
-  useEffect(() => {
-    const searchResults = products.filter((product) =>
-      product.name.toLowerCase().includes(searchQuery.toLowerCase())
-    );
-    setFilteredProducts(searchResults);
-  }, [searchQuery, products]);
-
+  // Load products for newly selected subcategories, from cache when we can
   useEffect(() => {
-    if (!CollectionsData) {
-      setIsCategoriesLoading(false);
-      return;
-    }
-
-    // First check if we're coming back from a product page
-    const persistedState = loadPersistedState();
-    const shouldUsePersistedState = comeBackFromProductPage && persistedState;
-
-    if (shouldUsePersistedState) {
-      // console.log("Restoring from persisted state after product page visit");
-      setAvailablesCategory(persistedState.availablesCategory || []);
-      setAvailablesSubCategory(persistedState.availablesSubCategory || []);
-      setSelectedCategory(persistedState.selectedCategory || []);
-      setSelectedSubCategory(persistedState.selectedSubCategory || []);
-      setProducts(persistedState.products || []);
-      setIsCategoriesLoading(false);
-      setIsProductsLoading(false);
-      return;
-    }
-
-    if (!categoryName) {
-      // No specific category selected and no persisted state to use
-      setAvailablesCategory(Object.keys(CollectionsData));
-      setIsCategoriesLoading(false);
-      setIsProductsLoading(false);
-      return;
-    }
-
-    // We have URL parameters, set up state based on them
-    let [SelectedCategoryName, SelectedSubCategoryName] =
-      reverseSlugToOriginal();
-
-    if (!CollectionsData[SelectedCategoryName]) {
-      setIsCategoriesLoading(false);
-      return;
-    }
-
-    setAvailablesCategory(Object.keys(CollectionsData));
-
-    var availableSubCategory = CollectionsData[SelectedCategoryName].map(
-      (item) => item
-    );
-
-    setAvailablesSubCategory([...availableSubCategory]);
-    setSelectedCategory([SelectedCategoryName]);
-
-    const matchingSubCategory = availableSubCategory.find(
-      (item) => item.name === SelectedSubCategoryName
-    );
-
-    if (matchingSubCategory) {
-      setSelectedSubCategory([matchingSubCategory]);
-    }
-
-    setIsCategoriesLoading(false);
-    setIsProductsLoading(true);
+    selectedKeys.forEach((key) => {
+      const listKey = getListKey(key);
+      if (
+        productsBySubCategory[listKey] ||
+        requestedSubCategories.current.has(listKey)
+      )
+        return;
 
-    // Check cache first
-    const cachedProducts = getCachedProducts(categoryName, subCategoryName);
+      const [catSlug, subCatSlug] = key.split("/");
+      const cachedProducts = getCachedProducts(catSlug, subCatSlug, serverSort);
+      if (cachedProducts) {
+        setProductsBySubCategory((prev) => ({
+          ...prev,
+          [listKey]: cachedProducts,
+        }));
+        return;
+      }
 
-    if (cachedProducts) {
-      setProducts(cachedProducts);
-      setIsProductsLoading(false);
-    } else {
-      // Fetch and cache products if not in cache
-      fetchProducts(categoryName, subCategoryName)
+      requestedSubCategories.current.add(listKey);
+      fetchProducts(catSlug, subCatSlug, serverSort)
         .then((fetchedProducts) => {
-          setProducts(fetchedProducts);
-          cacheProducts(categoryName, subCategoryName, fetchedProducts);
-          setIsProductsLoading(false);
+          if (fetchedProducts) {
+            cacheProducts(catSlug, subCatSlug, serverSort, fetchedProducts);
+          }
+          setProductsBySubCategory((prev) => ({
+            ...prev,
+            [listKey]: fetchedProducts || [],
+          }));
         })
         .catch((error) => {
           console.error("Error fetching products:", error);
-          setIsProductsLoading(false);
-        });
-    }
+          setProductsBySubCategory((prev) => ({ ...prev, [listKey]: [] }));
+        })
+        .finally(() => requestedSubCategories.current.delete(listKey));
+    });
   }, [
-    CollectionsData,
-    categoryName,
-    subCategoryName,
+    selectedKeys,
+    productsBySubCategory,
     getCachedProducts,
     cacheProducts,
-    loadPersistedState,
-    comeBackFromProductPage,
     fetchProducts,
+    serverSort,
+    getListKey,
   ]);
 
-  // Save state when it changes
-  useEffect(() => {
-    // Only save when the initial loading is done
-    if (!isCategoriesLoading && !isProductsLoading) {
-      persistState({
-        availablesCategory,
-        availablesSubCategory,
-        selectedCategory,
-        selectedSubCategory,
-        products,
-      });
-    }
-  }, [
-    availablesCategory,
-    availablesSubCategory,
-    selectedCategory,
-    selectedSubCategory,
-    products,
-    isCategoriesLoading,
-    isProductsLoading,
-    persistState,
-  ]);
-
-  const onCategoryToggle = (e) => {
-    // we need to remove all subcategory if category is unselected
-    if (selectedCategory.includes(e.target.value)) {
-      // unchecking category
-      setSelectedCategory((prev) =>
-        prev.filter((item) => item !== e.target.value)
-      );
-      // remove all subcategory
-      setAvailablesSubCategory((prev) =>
-        prev.filter(
-          (item) =>
-            !CollectionsData[e.target.value].some(
-              (subCat) => subCat.name === item.name
-            )
-        )
-      );
+  const products = useMemo(
+    () =>
+      selectedKeys.flatMap(
+        (key) => productsBySubCategory[getListKey(key)] || []
+      ),
+    [selectedKeys, productsBySubCategory, getListKey]
+  );
 
-      // removing products when subcategory is already has in selected state
-      CollectionsData[e.target.value].forEach((sc) => {
-        setProducts((prev) =>
-          prev.filter((product) => product.category.name !== sc.name)
-        );
-        setSelectedSubCategory((prev) =>
-          prev.filter((subCategory) => subCategory.name !== sc.name)
-        );
-      });
-    }
-    // we need to add subcategory if category is selected
-    else {
-      // checking category
-      setSelectedCategory((prev) => [...prev, e.target.value]);
-      // add all subcategory which are belong to this category
-      setAvailablesSubCategory((prev) => [
-        ...prev,
-        ...CollectionsData[e.target.value].map((item) => item),
-      ]);
-    }
-  };
+  const filteredProducts = useMemo(
+    () =>
+      products.filter((product) =>
+        product.name.toLowerCase().includes(searchQuery.toLowerCase())
+      ),
+    [searchQuery, products]
+  );
 
-  const onSubCategoryToggle = (subCat) => {
-    // if subcategory is already selected then remove it
-    if (
-      selectedSubCategory.some(
-        (subCategory) => subCategory.name === subCat.name
-      )
-    ) {
-      // remove it from selected subcategory list
-      setSelectedSubCategory((prev) =>
-        prev.filter((item) => item.name !== subCat.name)
-      );
+  // Facets narrow down the search results; counts follow the other facets
+  const facets = useMemo(
+    () => getFacetCounts(filteredProducts, facetFilters, extraCharge),
+    [filteredProducts, facetFilters, extraCharge]
+  );
+  // Sorted here too, since several subcategories are merged into one list
+  const visibleProducts = useMemo(
+    () =>
+      sortProducts(
+        filterProducts(filteredProducts, facetFilters, extraCharge),
+        sort,
+        extraCharge
+      ),
+    [filteredProducts, facetFilters, sort, extraCharge]
+  );
 
-      // remove products for this subcategory
-      setProducts((prev) =>
-        prev.filter((product) => product.category.name !== subCat.name)
-      );
-    }
-    // else add it subcategory
-    else {
-      // add it to selected subcategory list
-      setSelectedSubCategory((prev) => [...prev, subCat]);
-      let [catSlug, subCatSlug] = OriginalToSlug(
-        subCat.parentCategory,
-        subCat.name
-      );
+  const pageCount = Math.max(
+    1,
+    Math.ceil(visibleProducts.length / COLLECTION_PAGE_SIZE)
+  );
+  const currentPage = Math.min(page, pageCount);
+  const pageProducts = visibleProducts.slice(
+    (currentPage - 1) * COLLECTION_PAGE_SIZE,
+    currentPage * COLLECTION_PAGE_SIZE
+  );
 
-      // Check cache first
-      const cachedProducts = getCachedProducts(catSlug, subCatSlug);
-      // If cached products are found, add them to the products state
-      if (cachedProducts) {
-        setProducts((prev) => [...prev, ...cachedProducts]);
-      } else {
-        fetchProducts(catSlug, subCatSlug).then((productData) => {
-          cacheProducts(catSlug, subCatSlug, productData);
-          setProducts((prev) => [...prev, ...productData]);
-        });
-      }
-    }
+  const goToPage = (nextPage) => {
+    updateUrlState({ page: nextPage });
+    window.scrollTo({ top: 0, behavior: "smooth" });
   };
 
-  const reverseSlugToOriginal = () => {
-    if (categoryName && subCategoryName) {
-      // Find the exact matching category from CollectionsData
-      const matchingCategory = Object.keys(CollectionsData).find(
-        (category) =>
-          category.toLowerCase().replace(/\s/g, "-") ===
-          categoryName.toLowerCase()
-      );
-
-      let subcategoryNameNormalized = subCategoryName
-        .replace(/-/g, " ")
-        .split(" ")
-        .map((word, index, array) => {
-          // Convert word to lowercase for comparison
-          const lowerWord = word.toLowerCase();
-
-          // Special case for T-Shirt
-          if (
-            lowerWord === "t" &&
-            index < array.length - 1 &&
-            array[index + 1].toLowerCase() === "shirt"
-          ) {
-            return "T";
-          }
-          if (
-            lowerWord === "shirt" &&
-            index > 0 &&
-            array[index - 1].toLowerCase() === "t"
-          ) {
-            return "Shirt";
-          }
-
-          // Capitalize first letter for all other words
-          return word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
-        })
-        .join(" ")
-        .replace(/T Shirt/i, "T-Shirt");
-
-      return [matchingCategory, subcategoryNameNormalized];
+  const onCategoryToggle = (e) => {
+    const categorySlug = toSlug(e.target.value);
+    if (selectedCategorySlugs.includes(categorySlug)) {
+      // Unchecking a category drops its subcategories too
+      updateUrlState({
+        categories: selectedCategorySlugs.filter(
+          (slug) => slug !== categorySlug
+        ),
+        subCategories: selectedSubCategoryKeys.filter(
+          (key) => !key.startsWith(`${categorySlug}/`)
+        ),
+      });
+    } else {
+      updateUrlState({
+        categories: [...selectedCategorySlugs, categorySlug],
+        subCategories: selectedSubCategoryKeys,
+      });
     }
-    return []; // Return empty array if categoryName or subCategoryName is missing
   };
 
-  const OriginalToSlug = (category, subcategory) => {
-    const categorySlug = category.toLowerCase().replace(/\s+/g, "-");
-    const subcategorySlug = subcategory.toLowerCase().replace(/\s+/g, "-");
-    return [categorySlug, subcategorySlug];
+  const onSubCategoryToggle = (subCat) => {
+    const key = getSubCategoryKey(subCat);
+    updateUrlState({
+      categories: selectedCategorySlugs,
+      subCategories: selectedSubCategoryKeys.includes(key)
+        ? selectedSubCategoryKeys.filter((item) => item !== key)
+        : [...selectedSubCategoryKeys, key],
+    });
   };
 
+  // Typing replaces the history entry instead of adding one per keystroke
+  const setSearchQuery = (query) =>
+    updateUrlState({ query }, { replace: true });
+
+  const setFacetFilters = (filters) => updateUrlState({ filters });
+
   const handleLikeClick = async (e, itemId) => {
     e.preventDefault();
     if (!wishlistItems) {
@@ -905,11 +834,7 @@ function Collection() {
   };
 
   const handleProductClick = (productId) => {
-    // Save current path before navigation
-    // console.log("Current path:", location.pathname);
-    sessionStorage.setItem("previousPath", "/product/");
     navigate(`/product/${productId}`);
-    // Our current state is already saved in sessionStorage, so we can safely navigate
   };
 
   if (isCategoriesLoading) {
@@ -999,6 +924,13 @@ function Collection() {
             })}
           </div>
         </div>
+
+        <CollectionFilters
+          facets={facets}
+          filters={facetFilters}
+          onChange={setFacetFilters}
+          showFilter={showFilter}
+        />
       </div>
 
       {/* Right side */}
@@ -1027,36 +959,60 @@ function Collection() {
           />
         </div>
 
+        <div className="flex justify-end mb-4">
+          <select
+            value={sort}
+            onChange={(e) => updateUrlState({ sort: e.target.value })}
+            className="border border-gray-300 text-sm px-2 py-2 rounded-md"
+            aria-label="Sort products"
+          >
+            {PRODUCT_SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                Sort by: {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <ActiveFilterChips
+          filters={facetFilters}
+          onChange={setFacetFilters}
+          onClearAll={() =>
+            updateUrlState({ filters: DEFAULT_COLLECTION_FILTERS, query: "" })
+          }
+        />
+
         {/* Map Products */}
         <div>
           {isProductsLoading ? (
             <ProductItemSkeleton />
           ) : (
             <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5   gap-4 gap-y-6 place-items-start">
-              {filteredProducts.length === 0 ? (
-                products.length === 0 ? (
-                  <div className="flex items-center justify-center h-64 w-full col-span-full">
-                    <p className="text-gray-500 text-lg">
-                      No products for selected category. Please select a
-                      category.
-                    </p>
-                  </div>
-                ) : (
-                  products.map((item) => (
-                    <ProductItem
-                      key={item._id}
-                      id={item._id}
-                      name={item.name}
-                      image={item.image}
-                      price={item.price}
-                      like={isItemInWishlist(item._id)}
-                      onLikeClick={(e) => handleLikeClick(e, item._id)}
-                      onClick={() => handleProductClick(item._id)}
-                    />
-                  ))
-                )
+              {products.length === 0 ? (
+                <div className="flex items-center justify-center h-64 w-full col-span-full">
+                  <p className="text-gray-500 text-lg">
+                    No products for selected category. Please select a category.
+                  </p>
+                </div>
+              ) : visibleProducts.length === 0 ? (
+                <div className="flex flex-col items-center justify-center gap-3 h-64 w-full col-span-full">
+                  <p className="text-gray-500 text-lg">
+                    No products match these filters.
+                  </p>
+                  <button
+                    onClick={() =>
+                      updateUrlState({
+                        filters: DEFAULT_COLLECTION_FILTERS,
+                        query: "",
+                      })
+                    }
+                    className="text-sm underline hover:text-black"
+                  >
+                    Clear all filters
+                  </button>
+                </div>
               ) : (
-                filteredProducts.map((item) => (
+                pageProducts.map((item) => (
                   <ProductItem
                     key={item._id}
                     id={item._id}
@@ -1072,6 +1028,28 @@ function Collection() {
               )}
             </div>
           )}
+
+          {!isProductsLoading && pageCount > 1 && (
+            <div className="flex items-center justify-center gap-4 mt-10 text-sm">
+              <button
+                onClick={() => goToPage(currentPage - 1)}
+                disabled={currentPage === 1}
+                className="px-4 py-2 border border-gray-300 disabled:opacity-40"
+              >
+                Previous
+              </button>
+              <span className="text-gray-600">
+                Page {currentPage} of {pageCount}
+              </span>
+              <button
+                onClick={() => goToPage(currentPage + 1)}
+                disabled={currentPage === pageCount}
+                className="px-4 py-2 border border-gray-300 disabled:opacity-40"
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,487 @@
+import React from "react";
+import { Link, useParams } from "react-router-dom";
+import {
+  ArrowLeft,
+  CreditCard,
+  ExternalLink,
+  FileText,
+  Loader2,
+  MapPin,
+  Package,
+  Printer,
+  RotateCcw,
+  Truck,
+} from "lucide-react";
+import { useAuth } from "../context/NewAuthContext";
+import { Title } from "../components/Title";
+import OrderPriceSummary from "../components/OrderPriceSummary";
+import OrderTimeline from "../components/OrderTimeline";
+import {
+  CancelOrderModal,
+  ReturnRequestList,
+  ReturnRequestModal,
+} from "../components/OrderActions";
+import { priceOrder } from "../context/PricingService";
+import { downloadInvoice, printInvoice } from "../context/InvoiceService";
+import {
+  formatOrderStatus,
+  getOrderItemImage,
+  getOrderItemProductId,
+  getStatusColor,
+  getTrackingUrl,
+} from "../context/OrderService";
+import {
+  RETURN_WINDOW_DAYS,
+  canCancelOrder,
+  canRequestReturn,
+  cancelOrder,
+  createReturnRequest,
+  fetchReturnRequests,
+  getReturnDeadline,
+} from "../context/ReturnService";
+import { getOrderPaymentGateway } from "../context/PaymentService";
+
+// Order statuses after which money paid online is given back
+const REFUND_STATUSES = ["cancelled", "refunded"];
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+};
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+  }).format(amount);
+};
+
+const OrderDetail = () => {
+  const { orderId } = useParams();
+  const { user, apiCall } = useAuth();
+  const [order, setOrder] = React.useState(null);
+  const [loading, setLoading] = React.useState(true);
+  const [error, setError] = React.useState(null);
+  const [invoiceLoading, setInvoiceLoading] = React.useState(false);
+  const [returnRequests, setReturnRequests] = React.useState([]);
+  const [activeModal, setActiveModal] = React.useState(null); // "cancel" | "return"
+  const [isSubmittingRequest, setIsSubmittingRequest] = React.useState(false);
+  const [requestError, setRequestError] = React.useState("");
+  const [refund, setRefund] = React.useState(null);
+
+  React.useEffect(() => {
+    const fetchOrder = async () => {
+      if (!user?._id) return;
+
+      try {
+        setLoading(true);
+        setError(null);
+
+        const response = await apiCall(
+          `/api/v1/orders/${user._id}/${encodeURIComponent(orderId)}`,
+          { method: "GET" }
+        );
+
+        if (response.success && response.order) {
+          setOrder(response.order);
+        } else {
+          throw new Error(response.message || "Order not found");
+        }
+      } catch (err) {
+        console.error("Order fetch error:", err);
+        setError(err.message || "Error connecting to server");
+        setOrder(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOrder();
+  }, [user?._id, orderId]);
+
+  React.useEffect(() => {
+    if (!user?._id || !order?.orderId) return;
+
+    fetchReturnRequests(user._id, order.orderId).then((result) => {
+      if (result.success) {
+        setReturnRequests(result.data);
+      }
+    });
+  }, [user?._id, order?.orderId]);
+
+  React.useEffect(() => {
+    if (
+      !order?.paymentId ||
+      !REFUND_STATUSES.includes((order.status || "").toLowerCase())
+    ) {
+      setRefund(null);
+      return;
+    }
+
+    getOrderPaymentGateway(order)
+      .getRefundStatus(order)
+      .then((result) => setRefund(result.success ? result.data : null));
+  }, [order?.paymentId, order?.status]);
+
+  const closeModal = () => {
+    setActiveModal(null);
+    setRequestError("");
+  };
+
+  const handleCancel = async (reason) => {
+    setIsSubmittingRequest(true);
+    setRequestError("");
+    const result = await cancelOrder(user._id, order.orderId, reason);
+    setIsSubmittingRequest(false);
+
+    if (result.success) {
+      setOrder((prev) => result.data || { ...prev, status: "cancelled" });
+      closeModal();
+    } else {
+      setRequestError(result.error);
+    }
+  };
+
+  const handleReturnRequest = async (request) => {
+    setIsSubmittingRequest(true);
+    setRequestError("");
+    const result = await createReturnRequest(user._id, order.orderId, request);
+    setIsSubmittingRequest(false);
+
+    if (result.success) {
+      if (result.data) {
+        setReturnRequests((prev) => [result.data, ...prev]);
+      } else {
+        // The API didn't echo the request back, so reload the list
+        const requests = await fetchReturnRequests(user._id, order.orderId);
+        if (requests.success) {
+          setReturnRequests(requests.data);
+        }
+      }
+      closeModal();
+    } else {
+      setRequestError(result.error);
+    }
+  };
+
+  const handleInvoice = async (action) => {
+    try {
+      setInvoiceLoading(true);
+      if (action === "print") {
+        await printInvoice(order);
+      } else {
+        await downloadInvoice(order);
+      }
+    } catch (err) {
+      console.error("Invoice generation error:", err);
+      setError("Failed to generate invoice. Please try again.");
+    } finally {
+      setInvoiceLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-4xl mx-auto p-4 mt-8">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <div className="animate-pulse space-y-4">
+            <div className="h-6 bg-gray-200 rounded w-1/4"></div>
+            <div className="h-16 bg-gray-200 rounded"></div>
+            <div className="h-32 bg-gray-200 rounded"></div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!order) {
+    return (
+      <div className="max-w-4xl mx-auto p-6 text-center">
+        <p className="text-gray-500 mb-4">{error || "Order not found"}</p>
+        <Link to="/orders" className="text-sm underline">
+          Back to My Orders
+        </Link>
+      </div>
+    );
+  }
+
+  const priceInfo = priceOrder(order);
+  const trackingUrl = getTrackingUrl(order);
+  const address = order.deliveryAddress || {};
+  const isCancellable = canCancelOrder(order);
+  const isReturnable = canRequestReturn(order);
+  const returnDeadline = getReturnDeadline(order);
+
+  return (
+    <div className="max-w-4xl mx-auto p-6 space-y-6">
+      <Link
+        to="/orders"
+        className="inline-flex items-center gap-1 text-sm text-gray-500 hover:text-black"
+      >
+        <ArrowLeft className="h-4 w-4" />
+        My Orders
+      </Link>
+
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <div className="text-2xl">
+          <Title text1={"ORDER"} text2={` #${order.orderId}`} />
+          <p className="text-sm text-gray-500">
+            Placed on {formatDate(order.createdAt)}
+          </p>
+        </div>
+        <span
+          className={`self-start sm:self-auto px-3 py-1 rounded-full text-sm ${getStatusColor(
+            order.status
+          )}`}
+        >
+          {formatOrderStatus(order.status)}
+        </span>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 text-red-700 rounded-md">{error}</div>
+      )}
+
+      {/* Tracking */}
+      <div className="bg-gray-50 p-4 rounded-lg space-y-4">
+        <div className="flex items-center gap-2">
+          <Truck className="h-5 w-5 text-gray-400" />
+          <h4 className="font-medium text-gray-700">Shipment</h4>
+        </div>
+        <OrderTimeline order={order} />
+        {order.awbNo && (
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 text-sm text-gray-600">
+            <span>
+              {order.courierName ? `${order.courierName} · ` : ""}AWB{" "}
+              {order.awbNo}
+            </span>
+            {trackingUrl && (
+              <a
+                href={trackingUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center gap-1 text-orange-600 hover:underline"
+              >
+                Track shipment
+                <ExternalLink className="h-4 w-4" />
+              </a>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Items */}
+      <div className="bg-gray-50 p-4 rounded-lg">
+        <div className="flex items-center gap-2 mb-3">
+          <Package className="h-5 w-5 text-gray-400" />
+          <h4 className="font-medium text-gray-700">Items</h4>
+        </div>
+        <div className="space-y-3">
+          {order.items.map((item) => {
+            const image = getOrderItemImage(item);
+            const productLink = getOrderItemProductId(item);
+
+            return (
+              <div
+                key={item._id}
+                className="flex gap-4 items-center bg-white p-3 rounded-lg"
+              >
+                {image ? (
+                  <img
+                    src={image}
+                    alt={item.productName}
+                    className="w-16 h-16 object-cover rounded"
+                  />
+                ) : (
+                  <div className="w-16 h-16 bg-gray-100 rounded flex items-center justify-center">
+                    <Package className="h-6 w-6 text-gray-300" />
+                  </div>
+                )}
+                <div className="flex-1">
+                  {productLink ? (
+                    <Link
+                      to={`/product/${productLink}`}
+                      className="font-medium hover:underline"
+                    >
+                      {item.productName}
+                    </Link>
+                  ) : (
+                    <p className="font-medium">{item.productName}</p>
+                  )}
+                  <p className="text-sm text-gray-500">
+                    Size: {item.size}, Color: {item.color} · Qty:{" "}
+                    {item.quantity}
+                  </p>
+                </div>
+                <span className="font-medium">
+                  {formatCurrency(item.price)}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Delivery Address */}
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <div className="flex items-center gap-2 mb-3">
+            <MapPin className="h-5 w-5 text-gray-400" />
+            <h4 className="font-medium text-gray-700">Delivery Address</h4>
+          </div>
+          <div className="bg-white p-3 rounded-lg space-y-1 text-sm text-gray-600">
+            <p className="font-medium text-black">{address.fullName}</p>
+            <p>
+              {address.doorNo}, {address.street}
+            </p>
+            <p>
+              {address.city}, {address.state} - {address.pincode}
+            </p>
+            <p>Phone: {address.phone}</p>
+            <p>Email: {address.email}</p>
+          </div>
+        </div>
+
+        {/* Payment */}
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <div className="flex items-center gap-2 mb-3">
+            <CreditCard className="h-5 w-5 text-gray-400" />
+            <h4 className="font-medium text-gray-700">Payment</h4>
+          </div>
+          <div className="bg-white p-3 rounded-lg space-y-2">
+            <div className="flex justify-between text-sm text-gray-600">
+              <span>Payment Method</span>
+              <span>
+                {order.paymentMethod === "COD"
+                  ? "Cash on Delivery"
+                  : "Online Payment"}
+              </span>
+            </div>
+            {order.qikinkOrderId && (
+              <div className="flex justify-between text-sm text-gray-600">
+                <span>Order ID</span>
+                <span>{order.qikinkOrderId}</span>
+              </div>
+            )}
+            {order.paymentId && (
+              <div className="flex justify-between text-sm text-gray-600">
+                <span>Payment Id</span>
+                <span>{order.paymentId}</span>
+              </div>
+            )}
+            {refund && (
+              <div className="flex justify-between text-sm text-gray-600">
+                <span>Refund</span>
+                <span>
+                  {refund.amount ? `${formatCurrency(refund.amount)} ` : ""}
+                  {formatOrderStatus(refund.status)}
+                </span>
+              </div>
+            )}
+            <OrderPriceSummary pricing={priceInfo} />
+          </div>
+        </div>
+      </div>
+
+      {/* Cancellation, returns and exchanges */}
+      {(isCancellable || isReturnable || returnRequests.length > 0) && (
+        <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+          <div className="flex items-center gap-2">
+            <RotateCcw className="h-5 w-5 text-gray-400" />
+            <h4 className="font-medium text-gray-700">
+              Cancellation &amp; Returns
+            </h4>
+          </div>
+          {isCancellable && (
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 text-sm text-gray-600">
+              <span>You can cancel this order until it ships.</span>
+              <button
+                type="button"
+                onClick={() => setActiveModal("cancel")}
+                className="px-4 py-2 text-sm border border-red-300 text-red-600 rounded-md hover:bg-red-50"
+              >
+                Cancel Order
+              </button>
+            </div>
+          )}
+          {isReturnable && (
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 text-sm text-gray-600">
+              <span>
+                Defective or damaged? Request a return or exchange
+                {returnDeadline
+                  ? ` by ${returnDeadline.toLocaleDateString("en-IN", {
+                      day: "numeric",
+                      month: "short",
+                    })}`
+                  : ` within ${RETURN_WINDOW_DAYS} days of delivery`}
+                .{" "}
+                <Link to="/return" className="underline">
+                  Return policy
+                </Link>
+              </span>
+              <button
+                type="button"
+                onClick={() => setActiveModal("return")}
+                className="px-4 py-2 text-sm border border-gray-300 rounded-md hover:border-black"
+              >
+                Return / Exchange
+              </button>
+            </div>
+          )}
+          <ReturnRequestList requests={returnRequests} order={order} />
+        </div>
+      )}
+
+      {activeModal === "cancel" && (
+        <CancelOrderModal
+          onConfirm={handleCancel}
+          onClose={closeModal}
+          isSubmitting={isSubmittingRequest}
+          error={requestError}
+        />
+      )}
+      {activeModal === "return" && (
+        <ReturnRequestModal
+          order={order}
+          onSubmit={handleReturnRequest}
+          onClose={closeModal}
+          isSubmitting={isSubmittingRequest}
+          error={requestError}
+        />
+      )}
+
+      {/* Invoice */}
+      <div className="flex gap-3 justify-end">
+        <button
+          type="button"
+          onClick={() => handleInvoice("print")}
+          disabled={invoiceLoading}
+          className="flex items-center gap-2 px-4 py-2 text-sm border border-gray-300 rounded-md hover:border-black disabled:cursor-not-allowed"
+        >
+          <Printer className="h-4 w-4" />
+          Print Invoice
+        </button>
+        <button
+          type="button"
+          onClick={() => handleInvoice("download")}
+          disabled={invoiceLoading}
+          className="flex items-center gap-2 px-4 py-2 text-sm bg-orange-300 rounded-md hover:bg-orange-400 disabled:bg-orange-200 disabled:cursor-not-allowed"
+        >
+          {invoiceLoading ? (
+            <Loader2 className="h-4 w-4 animate-spin" />
+          ) : (
+            <FileText className="h-4 w-4" />
+          )}
+          Download Invoice
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OrderDetail;
@@ -1,8 +1,46 @@
 import React from "react";
+import { Link } from "react-router-dom";
 import { useAuth } from "../context/NewAuthContext";
-import { Package, ChevronDown, ChevronUp, MapPin, Truck } from "lucide-react";
-import { Title } from "../components/Title";
 import { useCartContext } from "../context/CartContext";
+import {
+  Package,
+  ChevronDown,
+  ChevronUp,
+  MapPin,
+  Truck,
+  FileText,
+  Printer,
+  Loader2,
+  RotateCcw,
+} from "lucide-react";
+import { ToastContainer, toast } from "react-toastify";
+import { Title } from "../components/Title";
+import { priceOrder } from "../context/PricingService";
+import { downloadInvoice, printInvoice } from "../context/InvoiceService";
+import {
+  DEFAULT_ORDER_FILTERS,
+  ORDERS_PAGE_SIZE,
+  buildOrderQuery,
+  filterOrders,
+  formatOrderStatus,
+  getStatusColor,
+} from "../context/OrderService";
+import OrderPriceSummary from "../components/OrderPriceSummary";
+import BuyAgain from "../components/BuyAgain";
+import OrderFilters from "../components/OrderFilters";
+import PendingPaymentNotice from "../components/PendingPaymentNotice";
+import {
+  clearPendingPayment,
+  loadPendingPayment,
+} from "../context/PaymentService";
+
+const SKIP_REASONS = {
+  deleted: "no longer available",
+  unavailable: "couldn't be loaded",
+  out_of_stock: "out of stock",
+  size_unavailable: "size no longer offered",
+  color_unavailable: "colour no longer offered",
+};
 
 const Orders = () => {
   const { user, apiCall, logout } = useAuth();
@@ -10,47 +48,149 @@ const Orders = () => {
   const [loading, setLoading] = React.useState(true);
   const [error, setError] = React.useState(null);
   const [expandedOrder, setExpandedOrder] = React.useState(null);
-  const { extraCharge } = useCartContext();
+  const [invoiceLoading, setInvoiceLoading] = React.useState(null);
+  const [reorderLoading, setReorderLoading] = React.useState(null);
+  const { addOrderItemsToCart, navigate } = useCartContext();
+
+  const [filters, setFilters] = React.useState(DEFAULT_ORDER_FILTERS);
+  const [searchInput, setSearchInput] = React.useState("");
+  const [page, setPage] = React.useState(1);
+  const [hasMore, setHasMore] = React.useState(false);
+  const [totalOrders, setTotalOrders] = React.useState(0);
+  const [isFetching, setIsFetching] = React.useState(false);
+  // Latest unfiltered orders, for the "Buy again" strip
+  const [recentOrders, setRecentOrders] = React.useState([]);
+  const [pendingPayment, setPendingPayment] = React.useState(null);
 
   React.useEffect(() => {
-    const fetchOrders = async () => {
-      if (!user?._id) {
-        setError("No user data available");
-        return;
+    setPendingPayment(loadPendingPayment(user?._id));
+  }, [user?._id]);
+
+  // Back to checkout, where the saved order is paid for again
+  const handleRetryPayment = () => {
+    navigate("/place-order", {
+      state: {
+        cartSummary: pendingPayment.cartSummary,
+        isBuyNow: pendingPayment.isBuyNow,
+      },
+    });
+  };
+
+  const handleDiscardPayment = () => {
+    clearPendingPayment(user._id);
+    setPendingPayment(null);
+  };
+  // Filtered orders when the API returns the whole history in one response
+  const clientOrdersRef = React.useRef(null);
+  const loadMoreRef = React.useRef(null);
+  const latestRequestRef = React.useRef(0);
+
+  const fetchOrders = async (pageToLoad) => {
+    if (!user?._id) {
+      setError("No user data available");
+      setLoading(false);
+      return;
+    }
+
+    const requestId = ++latestRequestRef.current;
+    try {
+      setIsFetching(true);
+      setError(null);
+
+      const response = await apiCall(
+        `/api/v1/orders/${user._id}?${buildOrderQuery(filters, pageToLoad)}`,
+        { method: "GET" }
+      );
+      // A newer search or filter change has taken over
+      if (requestId !== latestRequestRef.current) return;
+
+      if (!response.success) {
+        throw new Error(response.message || "Failed to fetch orders");
+      }
+
+      const isUnfiltered =
+        filters.status === DEFAULT_ORDER_FILTERS.status &&
+        !filters.from &&
+        !filters.to &&
+        !filters.query.trim();
+      if (pageToLoad === 1 && isUnfiltered) {
+        setRecentOrders(response.orders);
+      }
+
+      if (response.pagination) {
+        clientOrdersRef.current = null;
+        setOrders((prev) =>
+          pageToLoad === 1 ? response.orders : [...prev, ...response.orders]
+        );
+        setHasMore(pageToLoad < response.pagination.totalPages);
+        setTotalOrders(response.pagination.total);
+      } else {
+        const matching = filterOrders(response.orders, filters);
+        clientOrdersRef.current = matching;
+        setOrders(matching.slice(0, pageToLoad * ORDERS_PAGE_SIZE));
+        setHasMore(matching.length > pageToLoad * ORDERS_PAGE_SIZE);
+        setTotalOrders(matching.length);
+      }
+      setPage(pageToLoad);
+    } catch (err) {
+      console.error("Orders fetch error:", err);
+
+      // Handle specific error cases
+      if (err.message.includes("token")) {
+        setError("Session expired. Please login again.");
+        logout(); // Assuming you have access to the logout function
+      } else {
+        setError(err.message || "Error connecting to server");
       }
 
-      try {
-        setLoading(true);
-        setError(null);
-
-        const response = await apiCall(`/api/v1/orders/${user._id}`, {
-          method: "GET",
-        });
-
-        if (response.success) {
-          setOrders(response.orders);
-        } else {
-          throw new Error(response.message || "Failed to fetch orders");
-        }
-      } catch (err) {
-        console.error("Orders fetch error:", err);
-
-        // Handle specific error cases
-        if (err.message.includes("token")) {
-          setError("Session expired. Please login again.");
-          logout(); // Assuming you have access to the logout function
-        } else {
-          setError(err.message || "Error connecting to server");
-        }
-
-        setOrders([]);
-      } finally {
+      setOrders([]);
+      setHasMore(false);
+    } finally {
+      if (requestId === latestRequestRef.current) {
+        setIsFetching(false);
         setLoading(false);
       }
-    };
+    }
+  };
 
-    fetchOrders();
-  }, [user?._id]);
+  React.useEffect(() => {
+    fetchOrders(1);
+  }, [user?._id, filters]);
+
+  // Debounce the search box before it hits the API
+  React.useEffect(() => {
+    const timeoutId = setTimeout(() => {
+      setFilters((prev) =>
+        prev.query === searchInput ? prev : { ...prev, query: searchInput }
+      );
+    }, 400);
+    return () => clearTimeout(timeoutId);
+  }, [searchInput]);
+
+  const loadMore = () => {
+    if (isFetching || !hasMore) return;
+
+    if (clientOrdersRef.current) {
+      const nextPage = page + 1;
+      setOrders(clientOrdersRef.current.slice(0, nextPage * ORDERS_PAGE_SIZE));
+      setHasMore(clientOrdersRef.current.length > nextPage * ORDERS_PAGE_SIZE);
+      setPage(nextPage);
+    } else {
+      fetchOrders(page + 1);
+    }
+  };
+
+  // Infinite scroll: load the next page when the end of the list is visible
+  React.useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMore) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore();
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, page, isFetching]);
 
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString("en-US", {
@@ -69,54 +209,58 @@ const Orders = () => {
     }).format(amount);
   };
 
-  const getStatusColor = (status) => {
-    const colors = {
-      created: "bg-gray-100 text-gray-800",
-      payment_pending: "bg-yellow-100 text-yellow-800",
-      payment_failed: "bg-red-100 text-red-800",
-      confirmed: "bg-blue-100 text-blue-800",
-      processing: "bg-blue-200 text-blue-900",
-      shipped: "bg-indigo-100 text-indigo-800",
-      delivered: "bg-green-100 text-green-800",
-      cancelled: "bg-red-200 text-red-900",
-      disputed: "bg-orange-100 text-orange-800",
-      refunded: "bg-purple-100 text-purple-800",
-    };
-    return colors[status.toLowerCase()] || "bg-gray-100 text-gray-800";
-  };
-
-  // Calculate price information for an order
-  const calculatePriceInfo = (order) => {
-    // Get shipping fee based on payment method
-    const shipping = order.paymentMethod === "COD" ? 50 : 0;
-
-    // Calculate subtotal (total amount minus shipping)
-    const subtotal = order.totalAmount - shipping;
-
-    // Calculate total number of items
-    const totalItems = order.items.reduce(
-      (sum, item) => sum + item.quantity,
-      0
-    );
-
-    // Calculate total discount (extraCharge per item * number of items)
-    const discount = extraCharge * totalItems;
-
-    // Calculate original price (subtotal + discount)
-    const originalPrice = subtotal + discount;
+  // Put past order items back in the cart and report what couldn't be added
+  const handleReorder = async (items, loadingKey, goToCart = false) => {
+    try {
+      setReorderLoading(loadingKey);
+      const result = await addOrderItemsToCart(items);
 
-    // Calculate discount percentage
-    const discountPercentage =
-      originalPrice > 0 ? Math.round((discount / originalPrice) * 100) : 0;
+      if (result.added > 0) {
+        toast.success(
+          `${result.added} item${result.added > 1 ? "s" : ""} added to your cart.`
+        );
+      }
+      if (result.capped > 0) {
+        toast.warn("Some quantities were reduced to match available stock.");
+      }
+      if (result.skipped.length > 0) {
+        toast.warn(
+          `Skipped ${result.skipped
+            .map(
+              (item) =>
+                `${item.name} (${item.size}, ${
+                  item.color
+                }): ${SKIP_REASONS[item.reason] || "unavailable"}`
+            )
+            .join("; ")}`,
+          { autoClose: 8000 }
+        );
+      }
+      if (goToCart && result.added > 0) {
+        navigate("/cart");
+      }
+    } catch (err) {
+      console.error("Reorder error:", err);
+      toast.error("Failed to add items to your cart. Please try again.");
+    } finally {
+      setReorderLoading(null);
+    }
+  };
 
-    return {
-      originalPrice,
-      discount,
-      discountPercentage,
-      subtotal,
-      shipping,
-      totalItems,
-    };
+  const handleInvoice = async (order, action) => {
+    try {
+      setInvoiceLoading(order._id);
+      if (action === "print") {
+        await printInvoice(order);
+      } else {
+        await downloadInvoice(order);
+      }
+    } catch (err) {
+      console.error("Invoice generation error:", err);
+      setError("Failed to generate invoice. Please try again.");
+    } finally {
+      setInvoiceLoading(null);
+    }
   };
 
   if (loading) {
@@ -137,12 +281,13 @@ const Orders = () => {
 
   return (
     <div className="max-w-4xl mx-auto">
+      <ToastContainer />
       <div className="bg-white rounded-lg">
         <div className="p-6">
           <div className="flex items-center text-2xl justify-between mb-6">
             <Title text1={"MY"} text2={" ORDERS"} />
             <div className="flex items-center space-x-2">
-              <p className="text-sm font-bold">{orders.length}</p>
+              <p className="text-sm font-bold">{totalOrders}</p>
               <Package className="h-6 w-6 text-gray-400" />
             </div>
           </div>
@@ -153,15 +298,34 @@ const Orders = () => {
             </div>
           )}
 
-          {orders.length === 0 ? (
+          <PendingPaymentNotice
+            pendingPayment={pendingPayment}
+            onRetry={handleRetryPayment}
+            onDiscard={handleDiscardPayment}
+          />
+
+          <BuyAgain
+            orders={recentOrders}
+            onAdd={handleReorder}
+            loadingKey={reorderLoading}
+          />
+
+          <OrderFilters
+            filters={filters}
+            searchInput={searchInput}
+            onSearchChange={setSearchInput}
+            onChange={setFilters}
+          />
+
+          {orders.length === 0 && !isFetching ? (
             <div className="text-center py-8">
               <p className="text-gray-500">No orders found</p>
             </div>
           ) : (
-            <div className="space-y-4 flex flex-col-reverse">
+            <div className="space-y-4 flex flex-col">
               {orders.map((order) => {
-                // Calculate price information for each order
-                const priceInfo = calculatePriceInfo(order);
+                // Price breakdown, shared with the cart and checkout
+                const priceInfo = priceOrder(order);
 
                 return (
                   <div
@@ -188,8 +352,7 @@ const Orders = () => {
                             order.status
                           )}`}
                         >
-                          {order.status.charAt(0).toUpperCase() +
-                            order.status.slice(1)}
+                          {formatOrderStatus(order.status)}
                         </span>
                         {expandedOrder === order._id ? (
                           <ChevronUp className="h-5 w-5 text-gray-400" />
@@ -305,54 +468,57 @@ const Orders = () => {
                               )}
 
                               {/* Price breakdown */}
-                              <div className="mt-4 pt-2 border-t">
-                                {/* Original Price */}
-                                <div className="flex justify-between text-sm text-gray-600 mb-1">
-                                  <span>Original Price</span>
-                                  <span className="line-through">
-                                    {formatCurrency(priceInfo.originalPrice)}
-                                  </span>
-                                </div>
-
-                                {/* Discount */}
-                                <div className="flex justify-between text-sm text-green-600 mb-1">
-                                  <span>
-                                    Discount
-                                    <span className="text-xs ml-1">
-                                      ({priceInfo.discountPercentage}%)
-                                    </span>
-                                  </span>
-                                  <span>
-                                    -{formatCurrency(priceInfo.discount)}
-                                  </span>
-                                </div>
-
-                                {/* Subtotal */}
-                                <div className="flex justify-between text-sm text-gray-600 mb-1">
-                                  <span>Subtotal</span>
-                                  <span>
-                                    {formatCurrency(priceInfo.subtotal)}
-                                  </span>
-                                </div>
-
-                                {/* Shipping Charges */}
-                                <div className="flex justify-between text-sm text-gray-600 mb-1">
-                                  <span>Shipping</span>
-                                  <span>
-                                    {formatCurrency(priceInfo.shipping)}
-                                  </span>
-                                </div>
-
-                                {/* Total Amount */}
-                                <div className="flex justify-between font-medium text-gray-900 pt-2 border-t">
-                                  <span>Total Amount</span>
-                                  <span>
-                                    {formatCurrency(order.totalAmount)}
-                                  </span>
-                                </div>
-                              </div>
+                              <OrderPriceSummary pricing={priceInfo} />
                             </div>
                           </div>
+
+                          {/* Invoice */}
+                          <div className="flex gap-3 justify-end">
+                            <Link
+                              to={`/orders/${order.orderId}`}
+                              className="flex items-center gap-2 px-4 py-2 text-sm border border-gray-300 rounded-md hover:border-black mr-auto"
+                            >
+                              <Truck className="h-4 w-4" />
+                              Track Order
+                            </Link>
+                            <button
+                              type="button"
+                              onClick={() =>
+                                handleReorder(order.items, order._id, true)
+                              }
+                              disabled={reorderLoading === order._id}
+                              className="flex items-center gap-2 px-4 py-2 text-sm border border-gray-300 rounded-md hover:border-black disabled:cursor-not-allowed"
+                            >
+                              {reorderLoading === order._id ? (
+                                <Loader2 className="h-4 w-4 animate-spin" />
+                              ) : (
+                                <RotateCcw className="h-4 w-4" />
+                              )}
+                              Reorder
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => handleInvoice(order, "print")}
+                              disabled={invoiceLoading === order._id}
+                              className="flex items-center gap-2 px-4 py-2 text-sm border border-gray-300 rounded-md hover:border-black disabled:cursor-not-allowed"
+                            >
+                              <Printer className="h-4 w-4" />
+                              Print Invoice
+                            </button>
+                            <button
+                              type="button"
+                              onClick={() => handleInvoice(order, "download")}
+                              disabled={invoiceLoading === order._id}
+                              className="flex items-center gap-2 px-4 py-2 text-sm bg-orange-300 rounded-md hover:bg-orange-400 disabled:bg-orange-200 disabled:cursor-not-allowed"
+                            >
+                              {invoiceLoading === order._id ? (
+                                <Loader2 className="h-4 w-4 animate-spin" />
+                              ) : (
+                                <FileText className="h-4 w-4" />
+                              )}
+                              Download Invoice
+                            </button>
+                          </div>
                         </div>
                       </div>
                     )}
@@ -361,6 +527,23 @@ const Orders = () => {
               })}
             </div>
           )}
+
+          {isFetching && (
+            <div className="flex justify-center py-6">
+              <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+            </div>
+          )}
+          {hasMore && !isFetching && (
+            <div ref={loadMoreRef} className="flex justify-center py-6">
+              <button
+                type="button"
+                onClick={loadMore}
+                className="px-4 py-2 text-sm border border-gray-300 rounded-md hover:border-black"
+              >
+                Load more orders
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -23,7 +23,6 @@
 //   const [error, setError] = useState(null);
 //   const [isRazorpayLoaded, setIsRazorpayLoaded] = useState(false);
 //   const [shippingfee, setShippingFee] = useState(50);
-
 //   const total = cartSummary?.summary.totalAmount;
 //   const totalNoOfItems = cartSummary?.summary.noOfItems;
 //   const totalDiscount = extraCharge * totalNoOfItems;
@@ -549,7 +548,7 @@
 
 // export default PlaceOrder;
 
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { useLocation, useNavigate } from "react-router-dom";
 import { useAuth } from "../context/NewAuthContext";
 import { useCartContext } from "../context/CartContext";
@@ -558,7 +557,6 @@ import { colorMap } from "../context/CollectionsContext";
 import { Loader2, MapPin } from "lucide-react";
 import { Title } from "../components/Title";
 import { assets } from "../assets/assets";
-import { BASE_URL } from "../server/server";
 import ProfileInputTile from "../components/ProfileInputTile";
 import {
   ProfileSelectTile,
@@ -566,30 +564,90 @@ import {
 } from "../components/ProfileSelectTile";
 import {
   fetchLocationByPincode,
-  validatePincode as servicePincodeValidation,
+  validatePincode,
 } from "../context/LocationService";
+import {
+  ADDRESS_LABELS,
+  buildAddressBookUpdate,
+  createAddressId,
+  formatAddressLine,
+  getDefaultAddress,
+  getUserAddresses,
+  isSameAddress,
+  validateAddressField,
+  withLocality,
+} from "../context/AddressService";
+import { calculatePricing } from "../context/PricingService";
+import {
+  ZONE_LABELS,
+  calculateShippingRate,
+  getShippingZone,
+  isCodAvailable,
+} from "../context/ShippingService";
+import CouponInput from "../components/CouponInput";
+import PostOfficePicker from "../components/PostOfficePicker";
+import PendingPaymentNotice from "../components/PendingPaymentNotice";
+import StripePaymentModal from "../components/StripePaymentModal";
+import GuestCheckout from "../components/GuestCheckout";
+import { clearGuestSession, loadGuestSession } from "../context/GuestService";
+import {
+  clearCheckoutSession,
+  resolveCheckoutSession,
+  saveCheckoutSession,
+} from "../context/CheckoutSessionService";
+import {
+  PAYMENT_CURRENCIES,
+  PAYMENT_STATUS,
+  clearPendingPayment,
+  createIdempotencyKey,
+  getPaymentGateway,
+  getPaymentGatewayById,
+  getPrepaidGateways,
+  loadPendingPayment,
+  savePendingPayment,
+} from "../context/PaymentService";
+
+const GATEWAY_LOGOS = {
+  razorpay: assets.razorpay_logo,
+  stripe: assets.stripe_logo,
+};
 
 const PlaceOrder = () => {
   const location = useLocation();
   const navigate = useNavigate();
-  const { user } = useAuth();
-  const { clearCart, extraCharge } = useCartContext();
-  const cartSummary = location.state?.cartSummary;
-  const isBuyNow = location.state?.isBuyNow;
+  const { user, updateUser, isLoading: isAuthLoading } = useAuth();
+  const { clearCart, appliedCoupon, isCartReady, isSyncing, getCartSummary } =
+    useCartContext();
+  // What is being checked out, worked out once the page opens
+  const [checkoutSession, setCheckoutSession] = useState(null);
+  const cartSummary = checkoutSession?.cartSummary;
+  const isBuyNow = checkoutSession?.isBuyNow;
 
   const [paymentMethod, setPaymentMethod] = useState("COD");
+  // Online gateway and the currency Stripe charges in
+  const prepaidGateways = getPrepaidGateways();
+  const [prepaidGatewayId, setPrepaidGatewayId] = useState(
+    prepaidGateways[0].id
+  );
+  const [paymentCurrency, setPaymentCurrency] = useState("INR");
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [isRazorpayLoaded, setIsRazorpayLoaded] = useState(false);
-  const [shippingfee, setShippingFee] = useState(50);
+  // Verified guest when checking out without an account
+  const [guestSession, setGuestSession] = useState(() => loadGuestSession());
+  // Orders and payments belong to the user, or else the verified guest
+  const customerId = user?._id || guestSession?.guestId;
+  // Unfinished online payment from this or an earlier checkout
+  const [pendingPayment, setPendingPayment] = useState(null);
+  // Card dialog a gateway without its own window is waiting on, with the
+  // function that hands its outcome back to the gateway
+  const [cardDialog, setCardDialog] = useState(null);
   const [validationErrors, setValidationErrors] = useState({});
+  // Blocks a second submit while an attempt is in flight; state updates
+  // land too late to stop a double tap
+  const submitLockRef = useRef(false);
+  // { fingerprint, key } of the last checkout attempt
+  const attemptRef = useRef(null);
 
-  const total = cartSummary?.summary.totalAmount;
-  const totalNoOfItems = cartSummary?.summary.noOfItems;
-  const totalDiscount = extraCharge * totalNoOfItems;
-  const originalPrice = total + totalDiscount;
-  const discountPercentage =
-    originalPrice > 0 ? Math.round((totalDiscount / originalPrice) * 100) : 0;
 
   const [formData, setFormData] = useState({
     firstName: "",
@@ -603,153 +661,95 @@ const PlaceOrder = () => {
     pincode: "",
     country: "",
   });
-  // New state for PIN code location fetching
-  const [isPincodeLoading, setIsPincodeLoading] = useState(false);
-  const [locationDetected, setLocationDetected] = useState(false);
-
-  // Validation functions
-  const validateEmail = (email) => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-  };
-
-  const validatePhone = (phone) => {
-    const phoneRegex = /^[6-9]\d{9}$/; // Indian mobile number format
-    return phoneRegex.test(phone.replace(/\s+/g, ""));
-  };
-
-  const validatePincode = (pincode) => {
-    const pincodeRegex = /^[1-9][0-9]{5}$/; // Indian pincode format
-    return pincodeRegex.test(pincode);
-  };
-
-  const validateName = (name) => {
-    const nameRegex = /^[a-zA-Z0-9\s]{2,30}$/;
-    return nameRegex.test(name.trim());
-  };
+  // Live shipping quote for the delivery PIN code
+  const [shippingZone, setShippingZone] = useState(null);
+  const [isQuotingShipping, setIsQuotingShipping] = useState(false);
+  const shippingQuote = calculateShippingRate({
+    zone: shippingZone?.zone,
+    items: cartSummary?.items || [],
+    paymentMethod,
+  });
 
-  const validateAddress = (address) => {
-    return address.trim().length >= 5 && address.trim().length <= 200;
-  };
+  const codAvailable = !shippingZone || isCodAvailable(shippingZone.zone);
 
-  const validateCity = (city) => {
-    const cityRegex = /^[a-zA-Z\s]{2,50}$/;
-    return cityRegex.test(city.trim());
-  };
+  const pricing = calculatePricing({
+    items: cartSummary?.items || [],
+    coupon: appliedCoupon,
+    paymentMethod,
+    shippingFee: shippingQuote.fee,
+    deliveryState: formData.state,
+  });
 
-  const validateState = (state) => {
-    return INDIAN_STATES.includes(state);
-  };
+  // New state for PIN code location fetching
+  const [isPincodeLoading, setIsPincodeLoading] = useState(false);
+  const [locationDetected, setLocationDetected] = useState(false);
 
-  const validateDoorNo = (doorNo) => {
-    return doorNo.trim().length >= 1 && doorNo.trim().length <= 20;
+  // Address book
+  const savedAddresses = getUserAddresses(user);
+  const [selectedAddressId, setSelectedAddressId] = useState(null);
+  const [saveToAddressBook, setSaveToAddressBook] = useState(true);
+  const [newAddressLabel, setNewAddressLabel] = useState(ADDRESS_LABELS[0]);
+  const typedAddress = {
+    doorNo: formData.doorNo,
+    street: formData.address,
+    city: formData.city,
+    state: formData.state,
+    pincode: formData.pincode,
   };
-
-  const validateCountry = (country) => {
-    const countryRegex = /^[a-zA-Z\s]{2,50}$/;
-    return countryRegex.test(country.trim());
+  const isNewAddress =
+    !!user &&
+    !!formData.pincode &&
+    !savedAddresses.some((saved) => isSameAddress(saved, typedAddress));
+
+  const applySavedAddress = (saved) => {
+    setSelectedAddressId(saved.id);
+    setFormData((prev) => ({
+      ...prev,
+      doorNo: saved.doorNo || "",
+      address: saved.street || "",
+      city: saved.city || "",
+      state: saved.state || "",
+      pincode: saved.pincode || "",
+      country: saved.country || "",
+    }));
+    setValidationErrors((prev) => ({
+      ...prev,
+      doorNo: "",
+      address: "",
+      city: "",
+      state: "",
+      pincode: "",
+      country: "",
+    }));
+    setLocationDetected(false);
   };
 
-  // Validate individual field
-  const validateField = (name, value) => {
-    let error = "";
-
-    switch (name) {
-      case "firstName":
-        if (!value.trim()) {
-          error = "First name is required";
-        } else if (!validateName(value)) {
-          error = "First name should be 2-30 characters long";
-        }
-        break;
-
-      case "lastName":
-        if (!value.trim()) {
-          error = "Last name is required";
-        } else if (!validateName(value)) {
-          error = "Last name should be 2-30 characters long";
-        }
-        break;
-
-      case "email":
-        if (!value.trim()) {
-          error = "Email is required";
-        } else if (!validateEmail(value)) {
-          error = "Please enter a valid email address";
-        }
-        break;
-
-      case "phone":
-        if (!value.trim()) {
-          error = "Phone number is required";
-        } else if (!validatePhone(value)) {
-          error = "Please enter a valid 10-digit Indian mobile number";
-        }
-        break;
-
-      case "doorNo":
-        if (!value.trim()) {
-          error = "Door number is required";
-        } else if (!validateDoorNo(value)) {
-          error = "Door number should be 1-20 characters long";
-        }
-        break;
-
-      case "address":
-        if (!value.trim()) {
-          error = "Address is required";
-        } else if (!validateAddress(value)) {
-          error = "Address should be 5-200 characters long";
-        }
-        break;
-
-      case "city":
-        if (!value.trim()) {
-          error = "City is required";
-        } else if (!validateCity(value)) {
-          error =
-            "City should contain only letters and be 2-50 characters long";
-        }
-        break;
-
-      case "state":
-        if (!value.trim()) {
-          error = "State is required";
-        } else if (!validateState(value)) {
-          error =
-            "State should contain only letters and be 2-50 characters long";
-        }
-        break;
-
-      case "pincode":
-        if (!value.trim()) {
-          error = "PIN code is required";
-        } else if (!validatePincode(value)) {
-          error = "Please enter a valid 6-digit PIN code";
-        }
-        break;
-
-      case "country":
-        if (!value.trim()) {
-          error = "Country is required";
-        } else if (!validateCountry(value)) {
-          error =
-            "Country should contain only letters and be 2-50 characters long";
-        }
-        break;
-
-      default:
-        break;
+  // Save a newly typed checkout address back to the address book. Failing
+  // to save must not block the order.
+  const saveCheckoutAddress = async () => {
+    try {
+      await updateUser(
+        buildAddressBookUpdate([
+          ...savedAddresses,
+          {
+            ...typedAddress,
+            country: formData.country,
+            label: newAddressLabel,
+            id: createAddressId(),
+            isDefault: savedAddresses.length === 0,
+          },
+        ])
+      );
+    } catch (error) {
+      console.error("Error saving checkout address:", error);
     }
-
-    return error;
   };
 
   // Validate all fields
   const validateAllFields = () => {
     const errors = {};
     Object.keys(formData).forEach((key) => {
-      const error = validateField(key, formData[key]);
+      const error = validateAddressField(key, formData[key]);
       if (error) {
         errors[key] = error;
       }
@@ -773,7 +773,7 @@ const PlaceOrder = () => {
         // Update form data with fetched city and state
         setFormData((prev) => ({
           ...prev,
-          city: result.data.division,
+          city: result.data.division || prev.city,
           state: result.data.state,
         }));
 
@@ -785,7 +785,8 @@ const PlaceOrder = () => {
           pincode: "",
         }));
 
-        setLocationDetected(true);
+        // Only the state is known when the lookup fell back to the prefix
+        setLocationDetected(result.data.source !== "bundled");
         console.log(result.message);
       } else {
         // If PIN code is not found, show error
@@ -807,41 +808,126 @@ const PlaceOrder = () => {
     }
   };
 
-  function loadScript(src) {
-    return new Promise((resolve) => {
-      const script = document.createElement("script");
-      script.src = src;
-      script.onload = () => {
-        resolve(true);
-      };
-      script.onerror = () => {
-        resolve(false);
-      };
-      document.body.appendChild(script);
+  useEffect(() => {
+    setPendingPayment(loadPendingPayment(customerId));
+  }, [customerId]);
+
+  useEffect(() => {
+    if (checkoutSession || isAuthLoading) return;
+
+    // Only give up on an empty cart once it has finished loading
+    const isCartLoaded = isCartReady && !isSyncing;
+    const { session, error } = resolveCheckoutSession({
+      userId: user?._id,
+      navigationState: location.state,
+      cartSummary: isCartLoaded ? getCartSummary() : null,
     });
-  }
+
+    if (!session) {
+      if (isCartLoaded) {
+        navigate("/cart", { replace: true, state: { checkoutNotice: error } });
+      }
+      return;
+    }
+
+    setCheckoutSession(session);
+    // The handed-over summary is in the session now. Left in the history
+    // entry, a refresh after the session expires would bring it back.
+    if (location.state?.cartSummary) {
+      navigate(location.pathname, { replace: true, state: null });
+    }
+    if (session.paymentMethod) {
+      setPaymentMethod(session.paymentMethod);
+    }
+    if (
+      prepaidGateways.some((gateway) => gateway.id === session.prepaidGatewayId)
+    ) {
+      setPrepaidGatewayId(session.prepaidGatewayId);
+    }
+    if (session.paymentCurrency) {
+      setPaymentCurrency(session.paymentCurrency);
+    }
+  }, [checkoutSession, isAuthLoading, isCartReady, isSyncing]);
 
   useEffect(() => {
-    if (!cartSummary) {
-      navigate("/");
+    if (!cartSummary) return;
+
+    // Pick up the address draft of a resumed session
+    if (checkoutSession.formData) {
+      setFormData(checkoutSession.formData);
+      setSelectedAddressId(checkoutSession.selectedAddressId || null);
       return;
     }
 
-    if (user?.address) {
+    if (user) {
+      const defaultAddress = getDefaultAddress(getUserAddresses(user)) || {};
+      setSelectedAddressId(defaultAddress.id || null);
       setFormData({
         firstName: user.firstName || "",
         lastName: user.lastName || "",
         email: user.email || "",
         phone: user.phone || "",
-        doorNo: user.address.doorNo || "",
-        address: user.address.street || "",
-        city: user.address.city || "",
-        state: user.address.state || "",
-        pincode: user.address.pincode || "",
-        country: user.address.country || "",
+        doorNo: defaultAddress.doorNo || "",
+        address: defaultAddress.street || "",
+        city: defaultAddress.city || "",
+        state: defaultAddress.state || "",
+        pincode: defaultAddress.pincode || "",
+        country: defaultAddress.country || "",
+      });
+    }
+  }, [user?._id, cartSummary]);
+
+  // Keep the session up to date so a refresh resumes where the user was
+  useEffect(() => {
+    if (!checkoutSession) return;
+
+    saveCheckoutSession(user?._id, {
+      ...checkoutSession,
+      formData,
+      selectedAddressId,
+      paymentMethod,
+      prepaidGatewayId,
+      paymentCurrency,
+    });
+  }, [
+    checkoutSession,
+    formData,
+    selectedAddressId,
+    paymentMethod,
+    prepaidGatewayId,
+    paymentCurrency,
+  ]);
+
+  useEffect(() => {
+    if (!validatePincode(formData.pincode)) {
+      setShippingZone(null);
+      return;
+    }
+
+    let isCurrent = true;
+    setIsQuotingShipping(true);
+    getShippingZone(formData.pincode)
+      .then((result) => {
+        if (isCurrent) setShippingZone(result);
+      })
+      .catch((error) => {
+        console.error("Error fetching shipping zone:", error);
+        if (isCurrent) setShippingZone(null);
+      })
+      .finally(() => {
+        if (isCurrent) setIsQuotingShipping(false);
       });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [formData.pincode]);
+
+  useEffect(() => {
+    if (!codAvailable && paymentMethod === "COD") {
+      setPaymentMethod("Prepaid");
     }
-  }, [user, cartSummary]);
+  }, [codAvailable, paymentMethod]);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -854,6 +940,19 @@ const PlaceOrder = () => {
       }));
     }
 
+    // Editing the address means it no longer matches the saved one
+    const addressFields = [
+      "doorNo",
+      "address",
+      "city",
+      "state",
+      "pincode",
+      "country",
+    ];
+    if (addressFields.includes(name)) {
+      setSelectedAddressId(null);
+    }
+
     // Real-time validation for specific fields
     let processedValue = value;
 
@@ -890,7 +989,7 @@ const PlaceOrder = () => {
     });
 
     // Real-time validation
-    const error = validateField(name, processedValue);
+    const error = validateAddressField(name, processedValue);
     if (error) {
       setValidationErrors((prev) => ({
         ...prev,
@@ -920,120 +1019,72 @@ const PlaceOrder = () => {
         state: formData.state.trim(),
         pincode: formData.pincode.trim(),
       },
-      customerId: user?._id,
+      customerId,
+      isGuest: !user,
       customerName: `${formData.firstName.trim()} ${formData.lastName.trim()}`,
-      totalAmount: cartSummary.summary.finalTotal + shippingfee,
+      totalAmount: pricing.total,
+      pricing,
+      coupon: pricing.couponEligible
+        ? {
+            code: appliedCoupon.code,
+            type: appliedCoupon.type,
+            discount: pricing.couponDiscount,
+          }
+        : null,
       gateway: paymentMethod,
+      paymentProvider: getPaymentGateway(paymentMethod, prepaidGatewayId).id,
       gift_wrap: 0,
       rush_order: 0,
       orderType: isBuyNow ? "BUY_NOW" : "CART_CHECKOUT",
     };
   };
 
-  const handleCODPayment = async (orderPayload) => {
-    try {
-      const response = await fetch(`${BASE_URL}/api/v1/qikink/order`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(orderPayload),
-      });
+  // Shows a gateway's card dialog; resolves once the customer pays or closes it
+  const openCardDialog = (dialog) =>
+    new Promise((resolve) => setCardDialog({ dialog, resolve }));
 
-      const data = await response.json();
-
-      if (!response.ok) {
-        throw new Error(data.message || "Failed to create order");
-      }
-      if (!isBuyNow) {
-        clearCart();
-      }
-      navigate(`/successPage/${data.qikinkOrderId}`, {
-        state: { orderDetails: data },
-      });
-    } catch (error) {
-      setError(error.message || "An error occurred. Please try again.");
-    } finally {
-      if (paymentMethod === "COD") {
-        setIsLoading(false);
-      }
-    }
+  const handleCardDialogClose = (outcome) => {
+    cardDialog.resolve(outcome);
+    setCardDialog(null);
   };
 
-  const createRazorpayOrder = async (orderPayload) => {
+  // Takes the payment through the gateway for the payment method and places
+  // the order. `retry` is an earlier failed or dismissed prepaid payment,
+  // retried against the same gateway order.
+  const processPayment = async (orderPayload, retry = null) => {
+    const gateway = retry
+      ? getPaymentGatewayById(retry.gateway)
+      : getPaymentGateway(paymentMethod, prepaidGatewayId);
+
     try {
-      //load razorpay script
-      const razorpayScriptLoaded = await loadScript(
-        "https://checkout.razorpay.com/v1/checkout.js"
-      );
-      if (!razorpayScriptLoaded) {
-        throw new Error("Failed to load Razorpay script");
-      }
-      //step 1 initiate payment
-      const initResponse = await fetch(
-        `${BASE_URL}/api/v1/razorpay/initiate-payment`,
-        {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${localStorage.getItem("accessToken")}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({ amount: orderPayload.totalAmount }),
+      let session = retry?.session;
+      if (!retry) {
+        const initResult = await gateway.initiate(orderPayload, {
+          currency: paymentCurrency,
+        });
+        if (!initResult.success) {
+          throw new Error(initResult.error);
         }
-      );
-      const { razorpayOrderId } = await initResponse.json();
-      // console.log("Razorpay Order ID:", razorpayOrderId);
-      //step 2 open razorpay payment window
-      const options = {
-        key: "rzp_test_p8QC4dYgeOwM4f",
-        amount: (orderPayload.totalAmount * 100).toString(),
-        currency: "INR",
-        name: "Moons Flare",
-        description: "Order Payment",
-        image:
-          "https://res.cloudinary.com/dra8tbz4z/image/upload/v1749202863/MF/L_pqzxzz.png",
-        order_id: razorpayOrderId,
-        handler: async (response) => {
-          try {
-            // console.log("Inside handler Razorpay response:", response);
-            const paymentCompleteResponse = await fetch(
-              `${BASE_URL}/api/v1/razorpay/process-order`,
-              {
-                method: "POST",
-                headers: {
-                  Authorization: `Bearer ${localStorage.getItem(
-                    "accessToken"
-                  )}`,
-                  "Content-Type": "application/json",
-                },
-                body: JSON.stringify({
-                  ...orderPayload,
-                  paymentId: response.razorpay_payment_id,
-                  razorpayOrderId: razorpayOrderId,
-                  razorpaySignature: response.razorpay_signature,
-                }),
-              }
-            );
-            if (!paymentCompleteResponse.ok) {
-              throw new Error("Failed to verify payment");
-            }
-            const data = await paymentCompleteResponse.json();
-            // console.log("Payment Complete Response:", data);
-            if (!isBuyNow) {
-              clearCart();
-            }
-            // console.log("Payment Complete Response: Next Navigate", data);
-            navigate(`/successPage/${data.qikinkOrderId}`, {
-              state: { orderDetails: data },
-            });
-          } catch (error) {
-            setError("Payment verification failed. Please contact support.");
-            setIsLoading(false);
-          } finally {
-            setIsLoading(false);
-          }
-        },
+        session = initResult.data;
+      }
+
+      const pending = {
+        gateway: gateway.id,
+        session,
+        orderPayload,
+        cartSummary: retry ? retry.cartSummary : cartSummary,
+        isBuyNow: retry ? retry.isBuyNow : isBuyNow,
+        deliveryZone: retry ? retry.deliveryZone : shippingZone?.zone,
+      };
+      if (gateway.prepaid) {
+        savePendingPayment(customerId, {
+          ...pending,
+          status: PAYMENT_STATUS.PENDING,
+        });
+      }
+
+      const outcome = await gateway.open(session, {
+        orderPayload,
         prefill: {
           name: `${formData.firstName} ${formData.lastName}`,
           email: formData.email,
@@ -1042,22 +1093,110 @@ const PlaceOrder = () => {
         notes: {
           address: `${formData.doorNo}, ${formData.address}, ${formData.city}, ${formData.state}, ${formData.pincode}`,
         },
-        theme: {
-          color: "#FDBA74",
+        openCardDialog,
+      });
+
+      if (outcome.status !== PAYMENT_STATUS.SUCCESS) {
+        setPendingPayment(
+          savePendingPayment(customerId, {
+            ...pending,
+            status: outcome.status,
+            error: outcome.error || null,
+          })
+        );
+        return;
+      }
+
+      const result = await gateway.verify(
+        orderPayload,
+        session,
+        outcome.response
+      );
+      if (!result.success) {
+        if (!gateway.prepaid) {
+          throw new Error(result.error);
+        }
+        // The customer has been charged, so this must not be retried
+        setPendingPayment(
+          savePendingPayment(customerId, {
+            ...pending,
+            status: PAYMENT_STATUS.UNVERIFIED,
+            error: { paymentId: outcome.paymentId, description: result.error },
+          })
+        );
+        return;
+      }
+
+      if (gateway.prepaid) {
+        clearPendingPayment(customerId);
+        setPendingPayment(null);
+      }
+      clearCheckoutSession(user?._id);
+      if (!pending.isBuyNow) {
+        clearCart();
+      }
+      navigate(`/successPage/${result.data.qikinkOrderId}`, {
+        state: {
+          orderDetails: result.data,
+          deliveryZone: pending.deliveryZone,
+          duplicate: result.duplicate,
+          isGuest: !user,
         },
-      };
-      const razorpayInstance = new window.Razorpay(options);
-      razorpayInstance.open();
+      });
     } catch (error) {
       setError(error.message || "An error occurred. Please try again.");
-      setIsLoading(false);
     } finally {
       setIsLoading(false);
     }
   };
 
+  const handleRetryPayment = async () => {
+    if (submitLockRef.current) return;
+    submitLockRef.current = true;
+    setError(null);
+    setIsLoading(true);
+    try {
+      await processPayment(pendingPayment.orderPayload, pendingPayment);
+    } finally {
+      submitLockRef.current = false;
+    }
+  };
+
+  // Contact details of a verified guest can't be edited, the order goes to
+  // them
+  const handleGuestVerified = (session) => {
+    setGuestSession(session);
+    setFormData((prev) => ({
+      ...prev,
+      email: session.email,
+      phone: session.phone,
+    }));
+    setValidationErrors((prev) => ({ ...prev, email: "", phone: "" }));
+  };
+
+  const handleGuestReset = () => {
+    clearGuestSession();
+    setGuestSession(null);
+  };
+
+  // Submitting the same order again keeps its idempotency key, so the
+  // backend returns the order already placed instead of creating another
+  const withIdempotencyKey = (orderPayload) => {
+    const fingerprint = JSON.stringify(orderPayload);
+    if (attemptRef.current?.fingerprint !== fingerprint) {
+      attemptRef.current = { fingerprint, key: createIdempotencyKey() };
+    }
+    return { ...orderPayload, idempotencyKey: attemptRef.current.key };
+  };
+
+  const handleDiscardPayment = () => {
+    clearPendingPayment(customerId);
+    setPendingPayment(null);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (submitLockRef.current) return;
     setError(null);
 
     // Validate all fields before submission
@@ -1075,25 +1214,25 @@ const PlaceOrder = () => {
       return;
     }
 
-    if (!user?._id) {
-      setError("Please log in to place an order.");
+    if (!customerId) {
+      setError(
+        "Please verify your email and phone number, or log in, to place an order."
+      );
       return;
     }
 
+    submitLockRef.current = true;
     setIsLoading(true);
-    const orderPayload = createOrderPayload();
+    const orderPayload = withIdempotencyKey(createOrderPayload());
+
+    if (isNewAddress && saveToAddressBook) {
+      saveCheckoutAddress();
+    }
 
     try {
-      if (paymentMethod === "COD") {
-        handleCODPayment(orderPayload);
-        return;
-      }
-      if (paymentMethod === "Prepaid") {
-        createRazorpayOrder(orderPayload);
-      }
-    } catch (error) {
-      setError(error.message || "An error occurred. Please try again.");
-      setIsLoading(false);
+      await processPayment(orderPayload);
+    } finally {
+      submitLockRef.current = false;
     }
   };
 
@@ -1104,6 +1243,14 @@ const PlaceOrder = () => {
     }).format(amount);
   };
 
+  if (!checkoutSession) {
+    return (
+      <div className="flex justify-center items-center py-20">
+        <Loader2 className="w-8 h-8 animate-spin text-gray-400" />
+      </div>
+    );
+  }
+
   return (
     <form
       onSubmit={handleSubmit}
@@ -1121,8 +1268,31 @@ const PlaceOrder = () => {
           </div>
         )}
 
+        <PendingPaymentNotice
+          pendingPayment={pendingPayment}
+          onRetry={handleRetryPayment}
+          onDiscard={handleDiscardPayment}
+          isRetrying={isLoading}
+        />
+
+        {cardDialog && (
+          <StripePaymentModal
+            dialog={cardDialog.dialog}
+            onClose={handleCardDialogClose}
+          />
+        )}
+
         <div className="bg-white rounded-lg border border-gray-200 p-5">
           <Title text1="Contact" text2={" Information"} />
+          {!user && (
+            <GuestCheckout
+              guestSession={guestSession}
+              email={formData.email}
+              phone={formData.phone}
+              onVerified={handleGuestVerified}
+              onReset={handleGuestReset}
+            />
+          )}
           {/* Contact form fields */}
           <div className="flex flex-col gap-4">
             <div className="flex flex-col md:flex-row gap-4">
@@ -1165,6 +1335,7 @@ const PlaceOrder = () => {
                   name="email"
                   value={formData.email}
                   handleInputChange={handleInputChange}
+                  isDisable={!!user || !guestSession}
                   type="email"
                   placeholder="Email"
                   required
@@ -1181,6 +1352,7 @@ const PlaceOrder = () => {
                   name="phone"
                   value={formData.phone}
                   handleInputChange={handleInputChange}
+                  isDisable={!!user || !guestSession}
                   type="tel"
                   placeholder="10-digit mobile number"
                   required
@@ -1197,6 +1369,39 @@ const PlaceOrder = () => {
 
         <div className="bg-white rounded-lg border border-gray-200 p-5">
           <Title text1={"Shipping"} text2={" Address"} />
+          {/* Saved addresses */}
+          {savedAddresses.length > 0 && (
+            <div className="flex flex-col gap-2 mb-4">
+              {savedAddresses.map((saved) => (
+                <button
+                  key={saved.id}
+                  type="button"
+                  onClick={() => applySavedAddress(saved)}
+                  className={`flex items-start gap-3 text-left border p-3 rounded transition-colors ${
+                    selectedAddressId === saved.id
+                      ? "border-orange-300 bg-orange-50"
+                      : "border-gray-300 hover:border-gray-400"
+                  }`}
+                >
+                  <MapPin className="w-4 h-4 mt-0.5 text-gray-400 shrink-0" />
+                  <div className="text-sm">
+                    <p className="font-medium">
+                      {saved.label}
+                      {saved.isDefault && (
+                        <span className="ml-2 text-xs text-orange-700">
+                          Default
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-gray-600">{formatAddressLine(saved)}</p>
+                  </div>
+                </button>
+              ))}
+              <p className="text-xs text-gray-500">
+                Or enter a new address below
+              </p>
+            </div>
+          )}
           {/* Address form fields */}
           <div className="flex flex-col gap-4">
             <div className="flex flex-col md:flex-row gap-4">
@@ -1316,6 +1521,46 @@ const PlaceOrder = () => {
                 )}
               </div>
             </div>
+            <PostOfficePicker
+              pincode={formData.pincode}
+              onSelect={(office) =>
+                setFormData((prev) => ({
+                  ...prev,
+                  address: withLocality(prev.address, office.Name),
+                  city: office.Division || prev.city,
+                }))
+              }
+            />
+            {isNewAddress && (
+              <div className="flex flex-col md:flex-row md:items-center gap-3 text-sm">
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={saveToAddressBook}
+                    onChange={(e) => setSaveToAddressBook(e.target.checked)}
+                    className="accent-orange-400"
+                  />
+                  Save this address as
+                </label>
+                <div className="flex gap-2">
+                  {ADDRESS_LABELS.map((label) => (
+                    <button
+                      key={label}
+                      type="button"
+                      disabled={!saveToAddressBook}
+                      onClick={() => setNewAddressLabel(label)}
+                      className={`px-3 py-1 rounded-full border disabled:opacity-50 ${
+                        newAddressLabel === label
+                          ? "border-orange-300 bg-orange-50"
+                          : "border-gray-300"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -1355,42 +1600,111 @@ const PlaceOrder = () => {
             </div>
 
             <div className="flex flex-col gap-2 mt-4">
-              {totalDiscount > 0 && (
+              {pricing.discount > 0 && (
                 <div className="flex justify-between">
                   <p className="font-medium">Original Price</p>
                   <p className="line-through text-gray-500">
-                    {formatCurrency(originalPrice)}
+                    {formatCurrency(pricing.mrp)}
                   </p>
                 </div>
               )}
 
-              {totalDiscount > 0 && (
+              {pricing.discount > 0 && (
                 <div className="flex justify-between">
                   <p className="font-medium">
                     Discount{" "}
                     <span className="text-green-600 text-xs">
-                      ({discountPercentage}%)
+                      ({pricing.discountPercentage}%)
                     </span>
                   </p>
                   <p className="text-green-600">
-                    -{formatCurrency(totalDiscount)}
+                    -{formatCurrency(pricing.discount)}
                   </p>
                 </div>
               )}
               <div className="flex justify-between">
                 <span>Subtotal</span>
-                <span>₹{cartSummary?.summary.totalAmount}</span>
+                <span>₹{pricing.subtotal}</span>
               </div>
               <div className="flex justify-between">
-                <span>Shipping</span>
-                <span>₹{shippingfee}</span>
+                <span>
+                  Shipping
+                  {shippingZone && (
+                    <span className="text-xs text-gray-500 ml-1">
+                      ({ZONE_LABELS[shippingZone.zone]},{" "}
+                      {shippingQuote.weight} kg)
+                    </span>
+                  )}
+                </span>
+                <span className="flex items-center gap-1">
+                  {isQuotingShipping && (
+                    <Loader2 className="w-3 h-3 animate-spin text-orange-500" />
+                  )}
+                  {pricing.shipping > 0 ? `₹${pricing.shipping}` : "Free"}
+                </span>
               </div>
+              {!shippingZone && !isQuotingShipping && !shippingQuote.isFree && (
+                <p className="text-xs text-gray-500">
+                  Enter your PIN code for an exact shipping quote
+                </p>
+              )}
+              {shippingQuote.amountToFreeShipping > 0 && (
+                <p className="text-xs text-green-600">
+                  Add {formatCurrency(shippingQuote.amountToFreeShipping)} more
+                  for free shipping
+                </p>
+              )}
+              {pricing.codFee > 0 && (
+                <div className="flex justify-between">
+                  <span>COD Fee</span>
+                  <span>₹{pricing.codFee}</span>
+                </div>
+              )}
+              {pricing.tax > 0 && (
+                <div className="flex justify-between">
+                  <span>Tax</span>
+                  <span>₹{pricing.tax}</span>
+                </div>
+              )}
+              {formData.state && pricing.gst.lines.length > 0 && (
+                <div className="flex justify-between text-xs text-gray-500">
+                  <span>
+                    Includes{" "}
+                    {pricing.gst.isInterState ? "IGST" : "CGST + SGST"}
+                  </span>
+                  <span>
+                    {pricing.gst.isInterState
+                      ? formatCurrency(pricing.gst.totals.igst)
+                      : `${formatCurrency(
+                          pricing.gst.totals.cgst
+                        )} + ${formatCurrency(pricing.gst.totals.sgst)}`}
+                  </span>
+                </div>
+              )}
+              {pricing.couponDiscount > 0 && (
+                <div className="flex justify-between">
+                  <span>
+                    Coupon{" "}
+                    <span className="text-green-600 text-xs">
+                      ({appliedCoupon.code})
+                    </span>
+                  </span>
+                  <span className="text-green-600">
+                    -{formatCurrency(pricing.couponDiscount)}
+                  </span>
+                </div>
+              )}
               <div className="flex justify-between font-bold mt-2 pt-2 border-t">
                 <span>Total</span>
-                <span>₹{cartSummary?.summary.finalTotal + shippingfee}</span>
+                <span>₹{pricing.total}</span>
               </div>
             </div>
 
+            <CouponInput
+              items={cartSummary?.items || []}
+              message={pricing.couponEligible ? "" : pricing.couponMessage}
+            />
+
             <div className="mt-6">
               <p className="font-medium mb-4">Payment Method</p>
               <div className="flex gap-4">
@@ -1398,7 +1712,6 @@ const PlaceOrder = () => {
                   type="button"
                   onClick={() => {
                     setPaymentMethod("Prepaid");
-                    setShippingFee(0);
                   }}
                   className={`border p-4 rounded flex-1 transition-colors ${
                     paymentMethod === "Prepaid"
@@ -1412,9 +1725,9 @@ const PlaceOrder = () => {
                   type="button"
                   onClick={() => {
                     setPaymentMethod("COD");
-                    setShippingFee(50);
                   }}
-                  className={`border p-4 rounded flex-1 transition-colors ${
+                  disabled={!codAvailable}
+                  className={`border p-4 rounded flex-1 transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
                     paymentMethod === "COD"
                       ? "border-orange-300 bg-orange-50"
                       : "border-gray-300 hover:border-gray-400"
@@ -1423,6 +1736,67 @@ const PlaceOrder = () => {
                   Cash on Delivery
                 </button>
               </div>
+              {!codAvailable && (
+                <p className="text-xs text-gray-500 mt-2">
+                  Cash on Delivery isn&apos;t available for this PIN code
+                </p>
+              )}
+              {paymentMethod === "Prepaid" && prepaidGateways.length > 1 && (
+                <div className="flex gap-4 mt-4">
+                  {prepaidGateways.map((gateway) => (
+                    <button
+                      key={gateway.id}
+                      type="button"
+                      onClick={() => {
+                        setPrepaidGatewayId(gateway.id);
+                        if (gateway.id !== "stripe") {
+                          setPaymentCurrency("INR");
+                        }
+                      }}
+                      className={`border p-3 rounded flex-1 flex justify-center items-center transition-colors ${
+                        prepaidGatewayId === gateway.id
+                          ? "border-orange-300 bg-orange-50"
+                          : "border-gray-300 hover:border-gray-400"
+                      }`}
+                    >
+                      {GATEWAY_LOGOS[gateway.id] ? (
+                        <img
+                          src={GATEWAY_LOGOS[gateway.id]}
+                          alt={gateway.label}
+                          className="h-5"
+                        />
+                      ) : (
+                        gateway.label
+                      )}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {paymentMethod === "Prepaid" && prepaidGatewayId === "stripe" && (
+                <div className="mt-4">
+                  <label className="flex items-center justify-between gap-4 text-sm">
+                    <span>Pay in</span>
+                    <select
+                      value={paymentCurrency}
+                      onChange={(e) => setPaymentCurrency(e.target.value)}
+                      className="px-2 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-orange-300"
+                    >
+                      {PAYMENT_CURRENCIES.map((currency) => (
+                        <option key={currency.code} value={currency.code}>
+                          {currency.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  {paymentCurrency !== "INR" && (
+                    <p className="text-xs text-gray-500 mt-2">
+                      Your card is charged the converted amount in{" "}
+                      {paymentCurrency} at today&apos;s rate. Your bank may add
+                      a foreign transaction fee.
+                    </p>
+                  )}
+                </div>
+              )}
             </div>
 
             <div className="flex justify-center items-center ">
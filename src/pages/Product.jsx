@@ -13,6 +13,7 @@ import { ToastContainer, toast } from "react-toastify";
 import { LikeButton, ShareButton } from "../components/icons";
 import ImageViewModal from "../components/ImageViewModal";
 import { ProductItem } from "../components/ProductItem";
+import DeliveryCheck from "../components/DeliveryCheck";
 
 // Defines the sections for the product's bottom panel (Description, Additional Information, Reviews)
 const bottomSection = ["Description", "Additional Information", "Reviews"];
@@ -235,6 +236,7 @@ function Product() {
           id: product._id,
           name: product.name,
           sku: product.sku,
+          category: product.category?.name,
           quantity: 1,
           price: product.price,
           size: size,
@@ -767,6 +769,8 @@ function Product() {
               </div>
             </div>
 
+            <DeliveryCheck />
+
             <hr className="mt-8 sm:w-4/5" />
             {/* Product features/details list */}
             <div className="text-sm text-gray-500 mt-5 flex flex-col gap-1">
@@ -5,6 +5,7 @@ import { Title } from "../components/Title";
 import { Pencil, PencilOff, Loader2 } from "lucide-react";
 import ProfileInputTile from "../components/ProfileInputTile";
 import { assets } from "../assets/assets";
+import AddressBook from "../components/AddressBook";
 
 const Profile = () => {
   const { user, isLoading, updateUser, logout } = useAuth();
@@ -19,14 +20,6 @@ const Profile = () => {
     email: "",
     phone: "",
     avatar: "",
-    address: {
-      country: "",
-      state: "",
-      city: "",
-      street: "",
-      pincode: "",
-      doorNo: "",
-    },
   });
 
   useEffect(() => {
@@ -37,14 +30,6 @@ const Profile = () => {
         email: user.email || "",
         phone: user.phone || "",
         avatar: user.avatar || "",
-        address: {
-          country: user.address?.country || "",
-          state: user.address?.state || "",
-          city: user.address?.city || "",
-          street: user.address?.street || "",
-          pincode: user.address?.pincode || "",
-          doorNo: user.address?.doorNo || "",
-        },
       });
     }
   }, [user]);
@@ -108,14 +93,6 @@ const Profile = () => {
         lastName: formData.lastName,
         avatar: formData.avatar,
         phone: formData.phone,
-        address: {
-          country: formData.address.country,
-          state: formData.address.state,
-          city: formData.address.city,
-          street: formData.address.street,
-          pincode: formData.address.pincode,
-          doorNo: formData.address.doorNo,
-        },
       };
       await updateUser(updatePayload);
       setSuccess("Profile updated successfully!");
@@ -254,29 +231,6 @@ const Profile = () => {
             placeholder="+91 9999999999"
           />
 
-          {/* Address Fields */}
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            {[
-              { title: "Country", name: "address.country" },
-              { title: "State", name: "address.state" },
-              { title: "City", name: "address.city" },
-              { title: "Street", name: "address.street" },
-              { title: "Zip Code", name: "address.pincode" },
-              { title: "Door No.", name: "address.doorNo" },
-            ].map((field) => (
-              <ProfileInputTile
-                key={field.name}
-                isDisable={isEditing}
-                title={field.title}
-                name={field.name}
-                value={field.name
-                  .split(".")
-                  .reduce((obj, key) => obj?.[key] ?? "", formData)}
-                handleInputChange={handleInputChange}
-              />
-            ))}
-          </div>
-
           {isEditing && (
             <div className="flex justify-end">
               <button
@@ -296,6 +250,10 @@ const Profile = () => {
             </div>
           )}
         </form>
+
+        <div className="mt-8">
+          <AddressBook />
+        </div>
       </div>
 
       <div className="flex-1 border border-gray-100 shadow-md rounded-md h-[60vh] overflow-y-scroll">
@@ -0,0 +1,224 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { ToastContainer, toast } from "react-toastify";
+import { Title } from "../components/Title";
+import { ProductItem } from "../components/ProductItem";
+import { useCollections } from "../context/CollectionsContext";
+import { useWishlist } from "../context/WhislistContext";
+import {
+  SEARCH_MIN_QUERY_LENGTH,
+  normalizeQuery,
+  searchCatalog,
+} from "../context/SearchService";
+
+const ResultsSkeleton = () => (
+  <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-4 gap-y-6 w-full">
+    {[1, 2, 3, 4, 5].map((i) => (
+      <div key={i} className="animate-pulse">
+        <div className="aspect-square bg-gray-200 mb-2"></div>
+        <div className="h-4 bg-gray-200 rounded w-3/4 mb-2"></div>
+        <div className="h-4 bg-gray-200 rounded w-1/2"></div>
+      </div>
+    ))}
+  </div>
+);
+
+function Search() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const query = normalizeQuery(searchParams.get("q"));
+  const { setSearch, loadSearchIndex, searchProducts } = useCollections();
+  const {
+    wishlistItems = [],
+    addToWishlist,
+    removeFromWishlist,
+  } = useWishlist() || {};
+
+  const [products, setProducts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [correctedQuery, setCorrectedQuery] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+
+  useEffect(() => {
+    loadSearchIndex();
+  }, [loadSearchIndex]);
+
+  // A new query starts over from the first page
+  useEffect(() => {
+    let isCurrent = true;
+    setSearch(query);
+    setIsLoading(true);
+    setError(null);
+
+    searchCatalog(query, 1).then((result) => {
+      if (!isCurrent) return;
+      if (result.success) {
+        setProducts(result.data.products);
+        setTotal(result.data.total);
+        setHasMore(result.data.hasMore);
+        setCorrectedQuery(result.data.correctedQuery);
+      } else {
+        setProducts([]);
+        setTotal(0);
+        setHasMore(false);
+        setError(result.error);
+      }
+      setPage(1);
+      setIsLoading(false);
+    });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [query]);
+
+  const loadMore = async () => {
+    setIsLoadingMore(true);
+    const result = await searchCatalog(query, page + 1);
+    setIsLoadingMore(false);
+
+    if (!result.success) {
+      toast.error(result.error);
+      return;
+    }
+    setProducts((prev) => [...prev, ...result.data.products]);
+    setHasMore(result.data.hasMore);
+    setPage((prev) => prev + 1);
+  };
+
+  const isItemInWishlist = (itemId) =>
+    wishlistItems?.some(
+      (wishlistItem) => wishlistItem?.product?._id === itemId
+    ) || false;
+
+  const handleLikeClick = async (e, itemId) => {
+    e.preventDefault();
+    try {
+      if (isItemInWishlist(itemId)) {
+        await removeFromWishlist(itemId);
+        toast.success("Item removed from wishlist");
+      } else {
+        await addToWishlist(itemId);
+        toast.success("Item added to wishlist");
+      }
+    } catch (error) {
+      console.error("Wishlist operation failed:", error);
+      toast.error("Please check if you are logged in.");
+    }
+  };
+
+  // Matches from the local index, shown while the server answers and
+  // instead of its results when it can't be reached
+  const localResults =
+    isLoading || error
+      ? searchProducts(query).map(({ product }) => ({
+          _id: product.id,
+          name: product.name,
+          image: product.image,
+          price: product.price,
+          color: product.color,
+        }))
+      : [];
+
+  const renderProducts = (items) => (
+    <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-4 gap-y-6 place-items-start">
+      {items.map((item) => (
+        <ProductItem
+          key={item._id}
+          id={item._id}
+          name={item.name}
+          image={Array.isArray(item.image) ? item.image[0] : item.image}
+          price={item.price}
+          colors={item.color || []}
+          like={isItemInWishlist(item._id)}
+          onLikeClick={(e) => handleLikeClick(e, item._id)}
+          onClick={() => navigate(`/product/${item._id}`)}
+        />
+      ))}
+    </div>
+  );
+
+  const renderResults = () => {
+    if (query.length < SEARCH_MIN_QUERY_LENGTH) {
+      return (
+        <p className="text-gray-500 py-16 text-center">
+          Type at least {SEARCH_MIN_QUERY_LENGTH} characters to search.
+        </p>
+      );
+    }
+
+    if (isLoading) {
+      return localResults.length > 0 ? (
+        renderProducts(localResults)
+      ) : (
+        <ResultsSkeleton />
+      );
+    }
+
+    if (error) {
+      return localResults.length > 0 ? (
+        <>
+          <p className="text-sm text-orange-700 mb-6">
+            We couldn&apos;t reach the store, so these results may be out of
+            date.
+          </p>
+          {renderProducts(localResults)}
+        </>
+      ) : (
+        <p className="text-red-500 py-16 text-center">{error}</p>
+      );
+    }
+
+    if (products.length === 0) {
+      return (
+        <p className="text-gray-500 py-16 text-center">
+          No products match &quot;{query}&quot;. Try a different word or check
+          the spelling.
+        </p>
+      );
+    }
+
+    return (
+      <>
+        {renderProducts(products)}
+        {hasMore && (
+          <div className="text-center mt-8">
+            <button
+              onClick={loadMore}
+              disabled={isLoadingMore}
+              className="px-8 py-3 border border-gray-400 text-sm hover:bg-gray-50 disabled:opacity-50"
+            >
+              {isLoadingMore ? "Loading..." : "Load more"}
+            </button>
+          </div>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="min-h-screen border-t p-5">
+      <ToastContainer />
+      <div className="text-2xl mb-2">
+        <Title text1={"SEARCH"} text2={" RESULTS"} />
+      </div>
+      {!isLoading && !error && query.length >= SEARCH_MIN_QUERY_LENGTH && (
+        <p className="text-sm text-gray-500 mb-6">
+          {total} {total === 1 ? "result" : "results"} for{" "}
+          {correctedQuery ? (
+            `"${correctedQuery}" (no exact matches for "${query}")`
+          ) : (
+            <>&quot;{query}&quot;</>
+          )}
+        </p>
+      )}
+      {renderResults()}
+    </div>
+  );
+}
+
+export default Search;
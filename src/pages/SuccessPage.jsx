@@ -1,10 +1,29 @@
-import React from "react";
-import { useNavigate, useParams } from "react-router-dom";
+import React, { useState } from "react";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
+import { useAuth } from "../context/NewAuthContext";
+import GuestAccountForm from "../components/GuestAccountForm";
+import {
+  estimateDeliveryWindow,
+  formatDeliveryWindow,
+  getZoneFromPincodePrefix,
+} from "../context/ShippingService";
 
 const SuccessPage = () => {
   const navigate = useNavigate();
   const { qiKinkOrderId } = useParams();
-  console.log(qiKinkOrderId);
+  const location = useLocation();
+  const { user } = useAuth();
+  const { orderDetails, deliveryZone, duplicate, isGuest } =
+    location.state || {};
+  // Kept after the guest converts, so the form can show its confirmation
+  const [isGuestOrder] = useState(isGuest && !user);
+  const orderId = orderDetails?.orderId || qiKinkOrderId;
+  const deliveryPincode = orderDetails?.deliveryAddress?.pincode;
+  const deliveryWindow = estimateDeliveryWindow(
+    deliveryZone ||
+      (deliveryPincode ? getZoneFromPincodePrefix(deliveryPincode) : undefined),
+    orderDetails?.createdAt ? new Date(orderDetails.createdAt) : new Date()
+  );
 
   return (
     <div className="py-20 flex flex-col justify-center items-center bg-gray-100 px-6">
@@ -37,6 +56,12 @@ const SuccessPage = () => {
         <p className="text-gray-600 mt-2">
           Thank you for your purchase. Your order has been placed successfully.
         </p>
+        {duplicate && (
+          <p className="text-sm text-orange-700 mt-2">
+            This order had already been placed, so we haven&apos;t placed it
+            again.
+          </p>
+        )}
 
         {/* 📦 Order Details (Example) */}
         <div className="mt-4 bg-gray-100 p-4 rounded-md">
@@ -44,8 +69,8 @@ const SuccessPage = () => {
             <span className="font-semibold">Order ID:</span> {qiKinkOrderId}
           </p>
           <p className="text-sm text-gray-700">
-            <span className="font-semibold">Estimated Delivery:</span> 3-5
-            Business Days
+            <span className="font-semibold">Estimated Delivery:</span>{" "}
+            {formatDeliveryWindow(deliveryWindow)}
           </p>
         </div>
 
@@ -58,12 +83,30 @@ const SuccessPage = () => {
             Back to Home
           </button>
           <button
-            onClick={() => navigate("/orders")}
+            onClick={() =>
+              user
+                ? navigate(`/orders/${orderId}`)
+                : navigate("/track-order", {
+                    state: {
+                      orderId,
+                      email: orderDetails?.deliveryAddress?.email,
+                    },
+                  })
+            }
             className="px-6 py-2 bg-orange-300 text-black rounded-lg hover:bg-orange-400 transition"
           >
-            View Orders
+            View Order
           </button>
         </div>
+
+        {/* Guests can keep this order by turning the guest into an account */}
+        {isGuestOrder && (
+          <GuestAccountForm
+            email={orderDetails?.deliveryAddress?.email}
+            firstName={orderDetails?.deliveryAddress?.firstName}
+            lastName={orderDetails?.deliveryAddress?.lastName}
+          />
+        )}
       </div>
     </div>
   );
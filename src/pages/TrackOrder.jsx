@@ -0,0 +1,222 @@
+import React, { useEffect, useState } from "react";
+import { Link, useLocation } from "react-router-dom";
+import { ExternalLink, Loader2, Package, Search, Truck } from "lucide-react";
+import { Title } from "../components/Title";
+import OrderTimeline from "../components/OrderTimeline";
+import GuestAccountForm from "../components/GuestAccountForm";
+import { loadGuestSession, lookupOrder } from "../context/GuestService";
+import {
+  formatOrderStatus,
+  getOrderItemImage,
+  getStatusColor,
+  getTrackingUrl,
+} from "../context/OrderService";
+import { priceOrder } from "../context/PricingService";
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat("en-IN", {
+    style: "currency",
+    currency: "INR",
+  }).format(amount);
+};
+
+const inputClassName =
+  "w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-1 focus:ring-orange-500";
+
+// Order status for guests, looked up by order ID and email
+const TrackOrder = () => {
+  const location = useLocation();
+  const [lookup, setLookup] = useState({
+    orderId: location.state?.orderId || "",
+    email: location.state?.email || "",
+  });
+  const [order, setOrder] = useState(null);
+  const [error, setError] = useState("");
+  const [isSearching, setIsSearching] = useState(false);
+  // Kept after the guest converts, so the form can show its confirmation
+  const [guestSession] = useState(() => loadGuestSession());
+
+  const findOrder = async ({ orderId, email }) => {
+    if (!orderId.trim() || !email.trim()) {
+      setError("Please enter your order ID and email address");
+      return;
+    }
+
+    setIsSearching(true);
+    setError("");
+    const result = await lookupOrder(orderId, email);
+    setIsSearching(false);
+
+    if (result.success) {
+      setOrder(result.data);
+    } else {
+      setOrder(null);
+      setError(result.error);
+    }
+  };
+
+  // Coming from the guest order confirmation
+  useEffect(() => {
+    if (location.state?.orderId && location.state?.email) {
+      findOrder(location.state);
+    }
+  }, []);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    findOrder(lookup);
+  };
+
+  const trackingUrl = order ? getTrackingUrl(order) : null;
+  // Converting attaches the guest's own orders, so only offer it for them
+  const isOwnGuestOrder =
+    !!guestSession &&
+    order?.deliveryAddress?.email?.toLowerCase() ===
+      guestSession.email?.toLowerCase();
+
+  return (
+    <div className="max-w-4xl mx-auto p-6 space-y-6">
+      <div className="text-2xl">
+        <Title text1={"TRACK"} text2={" ORDER"} />
+      </div>
+
+      <form
+        onSubmit={handleSubmit}
+        className="bg-gray-50 p-4 rounded-lg flex flex-col md:flex-row gap-3"
+      >
+        <input
+          value={lookup.orderId}
+          onChange={(e) =>
+            setLookup((prev) => ({ ...prev, orderId: e.target.value }))
+          }
+          placeholder="Order ID"
+          className={inputClassName}
+        />
+        <input
+          type="email"
+          value={lookup.email}
+          onChange={(e) =>
+            setLookup((prev) => ({ ...prev, email: e.target.value }))
+          }
+          placeholder="Email used for the order"
+          className={inputClassName}
+        />
+        <button
+          type="submit"
+          disabled={isSearching}
+          className="flex items-center justify-center gap-2 px-6 py-2 bg-black text-white text-sm rounded-md disabled:opacity-50"
+        >
+          {isSearching ? (
+            <Loader2 className="h-4 w-4 animate-spin" />
+          ) : (
+            <Search className="h-4 w-4" />
+          )}
+          Find order
+        </button>
+      </form>
+
+      {error && (
+        <div className="p-4 bg-red-50 text-red-700 rounded-md">{error}</div>
+      )}
+
+      {order && (
+        <div className="space-y-6">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+            <div>
+              <p className="text-lg font-medium">Order #{order.orderId}</p>
+              <p className="text-sm text-gray-500">
+                Placed on{" "}
+                {new Date(order.createdAt).toLocaleDateString("en-IN", {
+                  day: "numeric",
+                  month: "long",
+                  year: "numeric",
+                })}
+              </p>
+            </div>
+            <span
+              className={`self-start sm:self-auto px-3 py-1 rounded-full text-sm ${getStatusColor(
+                order.status
+              )}`}
+            >
+              {formatOrderStatus(order.status)}
+            </span>
+          </div>
+
+          <div className="bg-gray-50 p-4 rounded-lg space-y-4">
+            <div className="flex items-center gap-2">
+              <Truck className="h-5 w-5 text-gray-400" />
+              <h4 className="font-medium text-gray-700">Shipment</h4>
+            </div>
+            <OrderTimeline order={order} />
+            {order.awbNo && trackingUrl && (
+              <a
+                href={trackingUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center gap-1 text-sm text-orange-600 hover:underline"
+              >
+                Track shipment (AWB {order.awbNo})
+                <ExternalLink className="h-4 w-4" />
+              </a>
+            )}
+          </div>
+
+          <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+            {order.items.map((item) => {
+              const image = getOrderItemImage(item);
+              return (
+                <div
+                  key={item._id}
+                  className="flex gap-4 items-center bg-white p-3 rounded-lg"
+                >
+                  {image ? (
+                    <img
+                      src={image}
+                      alt={item.productName}
+                      className="w-16 h-16 object-cover rounded"
+                    />
+                  ) : (
+                    <div className="w-16 h-16 bg-gray-100 rounded flex items-center justify-center">
+                      <Package className="h-6 w-6 text-gray-300" />
+                    </div>
+                  )}
+                  <div className="flex-1">
+                    <p className="font-medium">{item.productName}</p>
+                    <p className="text-sm text-gray-500">
+                      Size: {item.size}, Color: {item.color} · Qty:{" "}
+                      {item.quantity}
+                    </p>
+                  </div>
+                  <span className="font-medium">
+                    {formatCurrency(item.price)}
+                  </span>
+                </div>
+              );
+            })}
+            <div className="flex justify-between font-medium pt-2">
+              <span>Total</span>
+              <span>{formatCurrency(priceOrder(order).total)}</span>
+            </div>
+          </div>
+
+          {isOwnGuestOrder ? (
+            <GuestAccountForm
+              email={guestSession.email}
+              firstName={order.deliveryAddress?.firstName}
+              lastName={order.deliveryAddress?.lastName}
+            />
+          ) : (
+            <p className="text-sm text-gray-500">
+              Want to manage returns and see all your orders in one place?{" "}
+              <Link to="/signup" className="text-orange-600 hover:underline">
+                Create an account
+              </Link>
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrackOrder;